@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Persisted AI responses shared across instances; MongoDB removes expired entries
+const AICacheEntrySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    value: {
+        type: Object,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// TTL index: documents are deleted once expiresAt has passed
+AICacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AICacheEntry', AICacheEntrySchema);
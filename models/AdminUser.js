@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const AdminUserSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    // scrypt hash in the form "scrypt$<salt>$<hash>", never the plain password
+    passwordHash: {
+        type: String,
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['admin', 'counselor', 'viewer'],
+        default: 'viewer'
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    lastLoginAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('AdminUser', AdminUserSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Append-only: one document per tracked event
+const AnalyticsEventSchema = new mongoose.Schema({
+    event: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    data: {
+        type: Object,
+        default: {}
+    },
+    visitorId: {
+        type: String
+    },
+    sessionId: {
+        type: String
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    versionKey: false
+});
+
+// Index for counter and trend queries
+AnalyticsEventSchema.index({ event: 1, timestamp: -1 });
+AnalyticsEventSchema.index({ timestamp: -1 });
+AnalyticsEventSchema.index({ visitorId: 1 });
+
+module.exports = mongoose.model('AnalyticsEvent', AnalyticsEventSchema);
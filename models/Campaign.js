@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A bulk email send to a resolved audience; recipients are in CampaignRecipient
+const CampaignSchema = new mongoose.Schema({
+    campaignId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    content: {
+        // Template text rendered per lead
+        type: String,
+        required: true
+    },
+    templateVersion: {
+        // e.g. 'newsletter@v2', or 'campaign@draft' for content written in the dashboard
+        type: String
+    },
+    audience: {
+        type: {
+            type: String,
+            enum: ['all', 'status', 'selected'],
+            required: true
+        },
+        status: String,
+        leadIds: [String]
+    },
+    status: {
+        type: String,
+        enum: ['sending', 'completed', 'cancelled'],
+        default: 'sending'
+    },
+    counts: {
+        total: { type: Number, default: 0 },
+        sent: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 },
+        cancelled: { type: Number, default: 0 }
+    },
+    ratePerMinute: {
+        type: Number
+    },
+    createdBy: {
+        type: String
+    },
+    completedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Index for the campaign list and the worker's active-campaign lookup
+CampaignSchema.index({ createdAt: -1 });
+CampaignSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Campaign', CampaignSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Delivery state for one lead in a campaign
+const CampaignRecipientSchema = new mongoose.Schema({
+    campaignId: {
+        type: String,
+        required: true
+    },
+    leadId: {
+        type: String,
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed', 'skipped', 'cancelled'],
+        default: 'pending'
+    },
+    messageId: {
+        type: String
+    },
+    trackingId: {
+        type: String
+    },
+    provider: {
+        type: String
+    },
+    error: {
+        type: String
+    },
+    lockedAt: {
+        type: Date
+    },
+    sentAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Index: one row per lead per campaign, and the worker's pending lookup
+CampaignRecipientSchema.index({ campaignId: 1, leadId: 1 }, { unique: true });
+CampaignRecipientSchema.index({ campaignId: 1, status: 1 });
+
+module.exports = mongoose.model('CampaignRecipient', CampaignRecipientSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Routing profile of a counselor account: who gets which new leads
+const CounselorSchema = new mongoose.Schema({
+    userId: {
+        // AdminUser (role counselor) the profile belongs to; leads store it in assignedTo
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: {
+        // Shown to leads as {{advisorName}} in emails
+        type: String,
+        required: true
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    title: {
+        // Replaces the template's {{advisorTitle}} when set
+        type: String
+    },
+    interests: {
+        // Assessment interests the counselor specialises in, e.g. ['data_science', 'mlops']
+        type: [String],
+        default: []
+    },
+    takesUrgent: {
+        // Preferred for leads who want to start immediately
+        type: Boolean,
+        default: false
+    },
+    maxOpenLeads: {
+        // No new leads once this many assigned leads are open (0 = no limit)
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    lastAssignedAt: {
+        // Round-robin position: the longest-waiting counselor goes next
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Counselor', CounselorSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One document per tracked email send, open or click
+const EmailEventSchema = new mongoose.Schema({
+    trackingId: {
+        type: String,
+        required: true
+    },
+    leadId: {
+        type: String
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        enum: ['sent', 'open', 'click'],
+        required: true
+    },
+    url: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    templateVersion: {
+        type: String
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    versionKey: false
+});
+
+// Index for per-message lookups, per-step rates and per-lead history
+EmailEventSchema.index({ trackingId: 1, event: 1 });
+EmailEventSchema.index({ type: 1, event: 1, timestamp: -1 });
+EmailEventSchema.index({ leadId: 1, timestamp: -1 });
+
+module.exports = mongoose.model('EmailEvent', EmailEventSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// One document per email the app tried to send, with what was sent and how it went
+const EmailMessageSchema = new mongoose.Schema({
+    trackingId: {
+        // Our id for the message (also used by the open pixel and click links)
+        type: String,
+        required: true,
+        unique: true
+    },
+    leadId: {
+        type: String
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String
+    },
+    type: {
+        // Sequence step ('welcome', 'success_stories', ...) or 'campaign'
+        type: String,
+        required: true
+    },
+    templateVersion: {
+        type: String
+    },
+    subject: {
+        type: String
+    },
+    content: {
+        type: String
+    },
+    cta: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['sent', 'failed', 'skipped'],
+        required: true
+    },
+    provider: {
+        type: String
+    },
+    messageId: {
+        // Id assigned by the transport (SMTP Message-ID, Resend id)
+        type: String
+    },
+    error: {
+        type: String
+    },
+    attempts: [{
+        // One entry per transport tried, in failover order
+        _id: false,
+        transport: String,
+        success: Boolean,
+        error: String,
+        permanent: Boolean
+    }],
+    campaignId: {
+        type: String
+    },
+    resendOf: {
+        type: String
+    },
+    resentAs: {
+        type: String
+    },
+    sentAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Index for per-lead history and failed-message lookups
+EmailMessageSchema.index({ leadId: 1, createdAt: -1 });
+EmailMessageSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailMessage', EmailMessageSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Per-address email preferences; suppressed addresses form the suppression list
+const EmailPreferenceSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    leadId: {
+        type: String
+    },
+    suppressed: {
+        type: Boolean,
+        default: false
+    },
+    suppressionReason: {
+        type: String,
+        enum: ['unsubscribed', 'bounced', 'complaint', 'manual']
+    },
+    suppressedAt: {
+        type: Date
+    },
+    paused: {
+        type: Boolean,
+        default: false
+    },
+    topics: {
+        // Opted-in topics; every topic when unset
+        type: [String],
+        default: undefined
+    }
+}, {
+    timestamps: true
+});
+
+// Index for the suppression list
+EmailPreferenceSchema.index({ suppressed: 1, suppressedAt: -1 });
+
+module.exports = mongoose.model('EmailPreference', EmailPreferenceSchema);
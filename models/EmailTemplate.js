@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One immutable document per template version; the highest version is the live one
+const EmailTemplateSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    template: {
+        type: String,
+        required: true
+    },
+    data: {
+        // Template defaults, e.g. { advisorTitle }
+        type: Object,
+        default: {}
+    },
+    note: {
+        type: String
+    },
+    rolledBackFrom: {
+        type: Number
+    },
+    createdBy: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for version lookups and history (unique per key and version)
+EmailTemplateSchema.index({ key: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('EmailTemplate', EmailTemplateSchema);
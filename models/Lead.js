@@ -21,18 +21,83 @@ const LeadSchema = new mongoose.Schema({
         trim: true
     },
     assessmentAnswers: {
+        // Latest assessment; every submission is kept in assessmentHistory
         type: Object,
         default: {}
     },
+    assessmentHistory: [{
+        _id: false,
+        assessmentAnswers: Object,
+        source: String,
+        submittedAt: Date,
+        // Name/phone a returning submission sent that differ from the lead's
+        submittedContact: {
+            name: String,
+            phone: String
+        }
+    }],
+    notes: {
+        type: String
+    },
     status: {
         type: String,
-        enum: ['new', 'contacted', 'qualified', 'converted', 'inactive'],
+        enum: ['new', 'contacted', 'qualified', 'converted', 'lost', 'inactive'],
         default: 'new'
     },
+    statusHistory: [{
+        // Every status the lead has moved to, oldest first
+        _id: false,
+        status: String,
+        from: String,
+        changedAt: Date,
+        changedBy: String
+    }],
     source: {
         type: String,
         default: 'funnelmind'
     },
+    emailStatus: {
+        // Double opt-in: 'unverified' until the confirmation link is clicked
+        type: String,
+        enum: ['unverified', 'verified']
+    },
+    verificationExpiresAt: {
+        // Unverified leads are deleted after this
+        type: Date
+    },
+    verifiedAt: {
+        type: Date
+    },
+    assignedTo: {
+        // userId of the counselor who owns this lead
+        type: String
+    },
+    engagementEvents: {
+        // Counts of scored events, e.g. { page_view: 3, email_opened: 1 }
+        type: Object,
+        default: {}
+    },
+    score: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    scoreBreakdown: {
+        type: Object,
+        default: {}
+    },
+    scoreUpdatedAt: {
+        type: Date
+    },
+    mergedFrom: [{
+        // Duplicate leads merged into this one
+        _id: false,
+        leadId: String,
+        email: String,
+        phone: String,
+        mergedAt: Date,
+        mergedBy: String
+    }],
     createdAt: {
         type: Date,
         default: Date.now
@@ -42,12 +107,18 @@ const LeadSchema = new mongoose.Schema({
         default: Date.now
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    // Built at startup by ensureLeadIndexes() in server.js, which reports duplicate emails first
+    autoIndex: false
 });
 
-// Index for faster queries
-LeadSchema.index({ email: 1 });
+// Index for faster queries (one lead per email address; returning visitors add to it)
+LeadSchema.index({ email: 1 }, { unique: true });
 LeadSchema.index({ createdAt: -1 });
 LeadSchema.index({ status: 1 });
+LeadSchema.index({ source: 1 });
+LeadSchema.index({ score: -1 });
+LeadSchema.index({ assignedTo: 1 });
+LeadSchema.index({ emailStatus: 1, verificationExpiresAt: 1 });
 
 module.exports = mongoose.model('Lead', LeadSchema);
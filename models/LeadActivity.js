@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One entry in a lead's activity timeline (status changes, notes, emails, retakes)
+const LeadActivitySchema = new mongoose.Schema({
+    leadId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: [
+            'lead_created',
+            'assessment_retaken',
+            'status_changed',
+            'note_added',
+            'notes_updated',
+            'email_sent',
+            'email_failed',
+            'email_opened',
+            'email_clicked',
+            'email_confirmed',
+            'lead_merged',
+            'lead_assigned'
+        ]
+    },
+    actor: {
+        // Admin user email, or 'lead' / 'system' for activity nobody on the team did
+        type: String,
+        default: 'system'
+    },
+    data: {
+        // Type-specific details, e.g. { from, to } or { emailType, subject, trackingId }
+        type: Object,
+        default: {}
+    },
+    occurredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for timeline reads (newest first, paged by occurredAt)
+LeadActivitySchema.index({ leadId: 1, occurredAt: -1 });
+
+module.exports = mongoose.model('LeadActivity', LeadActivitySchema);
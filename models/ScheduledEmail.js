@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const ScheduledEmailSchema = new mongoose.Schema({
+    jobId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    leadId: {
+        type: String,
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    runAt: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'sent', 'dead_letter', 'cancelled', 'skipped'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lockedAt: {
+        type: Date
+    },
+    sentAt: {
+        type: Date
+    },
+    messageId: {
+        type: String
+    },
+    provider: {
+        type: String
+    },
+    templateVersion: {
+        // e.g. 'course_deep_dive@v3'
+        type: String
+    },
+    lastError: {
+        type: String
+    },
+    deadLetteredAt: {
+        type: Date
+    },
+    failureReason: {
+        // Why the job was dead-lettered
+        type: String,
+        enum: ['permanent', 'max_attempts']
+    }
+}, {
+    timestamps: true
+});
+
+// Index for the worker's due-job lookup, per-lead listing and the dead-letter list
+ScheduledEmailSchema.index({ status: 1, runAt: 1 });
+ScheduledEmailSchema.index({ leadId: 1, runAt: 1 });
+ScheduledEmailSchema.index({ status: 1, deadLetteredAt: -1 });
+
+module.exports = mongoose.model('ScheduledEmail', ScheduledEmailSchema);
@@ -63,10 +63,12 @@ class AIEngine {
     // Generate personalized CTA based on user profile
     async generatePersonalizedCTA(context = 'general') {
         const userBehavior = this.analyzeUserBehavior();
-        const prompt = this.buildCTAPrompt(userBehavior, context);
 
         try {
-            const response = await this.callAI(prompt, 'cta-generation');
+            const response = await this.callAI('cta-generation', {
+                placement: context,
+                ...this.getBehaviorContext(userBehavior)
+            });
             return this.parseCTAResponse(response);
         } catch (error) {
             console.error('CTA generation failed:', error);
@@ -74,59 +76,14 @@ class AIEngine {
         }
     }
 
-    buildCTAPrompt(userBehavior, context) {
-        return `Generate a personalized call-to-action for a user with the following profile:
-        
-        Behavior Analysis:
-        - Time spent on page: ${Math.round(userBehavior.timeSpent / 1000)} seconds
-        - Scroll depth: ${userBehavior.scrollDepth}%
-        - Engagement level: ${userBehavior.engagementLevel}
-        - Interaction count: ${userBehavior.interactionCount}
-        
-        Context: ${context}
-        Target: Software engineers looking to upskill in AI/Data Science
-        
-        Generate a compelling, action-oriented CTA button text (max 4 words) and supporting message (max 15 words).
-        
-        Return in JSON format:
-        {
-            "buttonText": "...",
-            "supportMessage": "..."
-        }`;
-    }
-
     // Generate personalized course recommendations
     async generateCourseRecommendations(assessmentAnswers = null) {
         const userProfile = assessmentAnswers || this.userProfile;
-        const prompt = `Based on the following user profile, recommend the most suitable Scaler AI/Data Science course:
-        
-        User Profile:
-        ${JSON.stringify(userProfile, null, 2)}
-        
-        Available Courses:
-        1. AI & Machine Learning (12 months, comprehensive, job guarantee)
-        2. Data Science & Analytics (10 months, project-focused, industry certified)
-        3. MLOps & Deployment (6 months, specialized, cloud platforms)
-        
-        Provide a detailed recommendation with reasoning. Include:
-        - Primary course recommendation
-        - Why it's perfect for them
-        - Expected outcome
-        - Learning path highlights
-        - Success probability
-        
-        Return in JSON format:
-        {
-            "recommendedCourse": "...",
-            "reasoning": "...",
-            "expectedOutcome": "...",
-            "learningPath": ["...", "...", "..."],
-            "successProbability": "...",
-            "personalizedMessage": "..."
-        }`;
 
         try {
-            const response = await this.callAI(prompt, 'course-recommendation');
+            const response = await this.callAI('course-recommendation', {
+                assessmentAnswers: this.getAnswerContext(userProfile)
+            });
             return JSON.parse(response);
         } catch (error) {
             console.error('Course recommendation failed:', error);
@@ -134,36 +91,9 @@ class AIEngine {
         }
     }
 
-    // Generate personalized email content
-    async generateEmailContent(emailType, userProfile) {
-        const prompt = `Create a personalized ${emailType} email for a user interested in Scaler's AI/Data Science courses.
-        
-        User Profile:
-        ${JSON.stringify(userProfile, null, 2)}
-        
-        Email Type: ${emailType}
-        
-        Requirements:
-        - Professional but engaging tone
-        - Personalized to user's background
-        - Include relevant success stories
-        - Clear call-to-action
-        - Mobile-friendly format
-        
-        Return in JSON format:
-        {
-            "subject": "...",
-            "content": "...",
-            "cta": "..."
-        }`;
-
-        try {
-            const response = await this.callAI(prompt, 'email-generation');
-            return JSON.parse(response);
-        } catch (error) {
-            console.error('Email generation failed:', error);
-            return this.getFallbackEmail(emailType);
-        }
+    // Email content is generated on the server when emails are sent; this is a preview only
+    async generateEmailContent(emailType) {
+        return this.getFallbackEmail(emailType);
     }
 
     // Analyze user behavior and determine engagement level
@@ -206,26 +136,13 @@ class AIEngine {
     // Generate personalized popup content
     async generatePopupContent() {
         const behavior = this.analyzeUserBehavior();
-        const prompt = `Create a personalized exit-intent popup for a user with the following behavior:
-        
-        ${JSON.stringify(behavior, null, 2)}
-        
-        The popup should:
-        - Address their specific interests
-        - Create urgency without being pushy  
-        - Offer clear value
-        - Include social proof
-        
-        Return in JSON format:
-        {
-            "title": "...",
-            "message": "...",
-            "offer": "...",
-            "buttonText": "..."
-        }`;
 
         try {
-            const response = await this.callAI(prompt, 'popup-generation');
+            const response = await this.callAI('popup-generation', {
+                ...this.getBehaviorContext(behavior),
+                isReturnVisitor: behavior.isReturnVisitor,
+                deviceType: behavior.deviceType
+            });
             return JSON.parse(response);
         } catch (error) {
             console.error('Popup generation failed:', error);
@@ -233,22 +150,15 @@ class AIEngine {
         }
     }
 
-    // Core AI API call function
-    async callAI(prompt, type = 'general') {
+    // Core AI API call function - the server builds the prompt from the task type and context
+    async callAI(type, context = {}) {
         try {
             const response = await fetch(this.apiEndpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({
-                    prompt,
-                    type,
-                    userContext: {
-                        profile: this.userProfile,
-                        behavior: this.sessionData
-                    }
-                })
+                body: JSON.stringify({ type, context })
             });
 
             if (!response.ok) {
@@ -364,6 +274,27 @@ class AIEngine {
         this.trackEvent('popup_shown', { content: content.title });
     }
 
+    // Behavior metrics sent as AI context
+    getBehaviorContext(behavior) {
+        return {
+            timeSpentSeconds: Math.round(behavior.timeSpent / 1000),
+            scrollDepth: behavior.scrollDepth,
+            engagementLevel: behavior.engagementLevel,
+            interactionCount: behavior.interactionCount
+        };
+    }
+
+    // Answered questions only, as strings
+    getAnswerContext(profile = {}) {
+        const answers = {};
+        Object.entries(profile).forEach(([question, answer]) => {
+            if (typeof answer === 'string' && answer) {
+                answers[question] = answer;
+            }
+        });
+        return answers;
+    }
+
     // Utility functions
     loadUserProfile() {
         const saved = localStorage.getItem('scaler_user_profile');
@@ -439,6 +439,9 @@ async function handleLeadFormSubmit(event) {
         email: document.getElementById('user-email').value,
         phone: document.getElementById('user-phone').value,
         assessmentAnswers: assessmentAnswers,
+        engagementEvents: getEngagementSummary(),
+        visitorId: getVisitorId(),
+        sessionId: getSessionId(),
         timestamp: new Date().toISOString()
     };
     
@@ -450,13 +453,13 @@ async function handleLeadFormSubmit(event) {
     
     try {
         // Save lead data
-        await saveLeadData(formData);
+        const result = await saveLeadData(formData);
         
         // Track conversion
         trackEvent('lead_captured', formData);
         
         // Show success and redirect
-        showSuccessMessage();
+        showSuccessMessage(result?.verificationRequired);
         
         // Email automation is handled by the backend when lead is created
         // No need to trigger it separately from frontend
@@ -496,20 +499,26 @@ async function saveLeadData(leadData) {
     }
 }
 
-function showSuccessMessage() {
+function showSuccessMessage(verificationRequired = false) {
     const modal = document.getElementById('assessment-modal');
     const modalBody = modal.querySelector('.modal-body');
     
+    // With double opt-in the roadmap is only sent once the email is confirmed
     modalBody.innerHTML = `
         <div class="success-message">
             <div class="success-icon">
                 <i class="fas fa-check-circle"></i>
             </div>
             <h3>🎉 Success!</h3>
-            <p>Your personalized career roadmap is on its way!</p>
+            <p>${verificationRequired
+                ? 'Please check your inbox and confirm your email address.'
+                : 'Your personalized career roadmap is on its way!'}</p>
             <div class="next-steps">
                 <h4>What happens next:</h4>
                 <ul>
+                    ${verificationRequired
+                        ? '<li>📬 Click the confirmation link we just emailed you</li>'
+                        : ''}
                     <li>✅ You'll receive a detailed career roadmap via email</li>
                     <li>📞 Our career advisor will contact you within 24 hours</li>
                     <li>🎯 We'll schedule your free consultation call</li>
@@ -719,6 +728,57 @@ function trackEvent(eventName, data = {}) {
     }
     
     localStorage.setItem('scaler_events', JSON.stringify(events));
+    
+    // Send to the server event log (lead_captured is recorded server-side with the lead)
+    if (eventName !== 'lead_captured') {
+        sendEventToServer(eventName, data);
+    }
+}
+
+function sendEventToServer(eventName, data) {
+    fetch('/api/analytics/track', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            event: eventName,
+            data,
+            visitorId: getVisitorId(),
+            sessionId: getSessionId(),
+            timestamp: new Date().toISOString()
+        }),
+        keepalive: true
+    }).catch(error => console.warn('Failed to send analytics event:', error));
+}
+
+// Anonymous visitor id, kept across visits
+function getVisitorId() {
+    let visitorId = localStorage.getItem('scaler_visitor_id');
+    if (!visitorId) {
+        visitorId = `v_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        localStorage.setItem('scaler_visitor_id', visitorId);
+    }
+    return visitorId;
+}
+
+// Session id, reset when the tab is closed
+function getSessionId() {
+    let sessionId = sessionStorage.getItem('scaler_session_id');
+    if (!sessionId) {
+        sessionId = `s_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        sessionStorage.setItem('scaler_session_id', sessionId);
+    }
+    return sessionId;
+}
+
+// Count locally stored events by name (sent with the lead for server-side scoring)
+function getEngagementSummary() {
+    const events = JSON.parse(localStorage.getItem('scaler_events') || '[]');
+    return events.reduce((counts, { event }) => {
+        counts[event] = (counts[event] || 0) + 1;
+        return counts;
+    }, {});
 }
 
 function startEngagementTracking() {
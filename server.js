@@ -11,15 +11,31 @@ require('dotenv').config();
 // MongoDB imports
 const database = require('./config/database');
 const Lead = require('./models/Lead');
-const Analytics = require('./models/Analytics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Admin authentication and role-based access
+const AuthService = require('./services/auth-service');
+const authService = new AuthService({ database });
+const requireAdmin = authService.requireRole('admin');
+const requireLeadAccess = authService.requireRole('admin', 'counselor');
+const requireAnyRole = authService.requireRole();
+
 // Middleware
 app.use(cors());
+// CSV imports arrive as JSON and need more room than other requests
+app.use('/api/leads/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 
+// The dashboard is only served through the authenticated /admin route
+app.use((req, res, next) => {
+    if (req.path === '/admin-dashboard.html') {
+        return res.redirect('/admin');
+    }
+    next();
+});
+
 // Serve static files (CSS, JS, images)
 app.use(express.static('.'));
 
@@ -32,10 +48,85 @@ app.get('/test', (req, res) => {
     });
 });
 
+/**
+ * Admin login - issues a session token (also set as an HttpOnly cookie)
+ */
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const { email, password } = req.body || {};
+        if (!email || !password) {
+            return res.status(400).json({ error: 'email and password are required' });
+        }
+        
+        const session = await authService.login(email, password);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+        
+        console.log(`🔐 Admin login: ${session.user.email} (${session.user.role})`);
+        
+        res.setHeader('Set-Cookie', authService.sessionCookie(session.token, session.expiresAt));
+        res.json({
+            success: true,
+            token: session.token,
+            expiresAt: session.expiresAt.toISOString(),
+            user: session.user
+        });
+    } catch (error) {
+        console.error('Admin login error:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    res.setHeader('Set-Cookie', authService.clearSessionCookie());
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', requireAnyRole, (req, res) => {
+    res.json({ user: req.user });
+});
+
+/**
+ * Admin user management
+ */
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        res.json({ users: await authService.listUsers() });
+    } catch (error) {
+        console.error('Admin users fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+app.post('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const { email, name, password, role } = req.body || {};
+        const user = await authService.createUser({ email, name, password, role });
+        // New counselors start receiving leads with a default routing profile
+        if (user.role === 'counselor') {
+            await counselorService.saveCounselor(user.userId, { name: user.name, email: user.email });
+        }
+        
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Admin user creation error:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
 /**
  * Debug endpoint to check MongoDB connection and data
  */
-app.get('/debug/mongodb', async (req, res) => {
+app.get('/debug/mongodb', requireAdmin, async (req, res) => {
     try {
         await ensureDbConnection();
         const dbStatus = database.getConnectionStatus();
@@ -61,57 +152,182 @@ app.get('/debug/mongodb', async (req, res) => {
 // MongoDB will handle data persistence when available
 // Fallback to in-memory storage when MongoDB is not connected
 let fallbackLeads = [];
-let fallbackAnalytics = {
-    pageViews: 0,
-    assessmentStarts: 0,
-    assessmentCompletions: 0,
-    leadCaptures: 0,
-    conversionRate: 0
-};
 
-// AI Integration - OpenAI API
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+// Append-only analytics event log (counters and trends are derived from it)
+const AnalyticsStore = require('./services/analytics-store');
+const analyticsStore = new AnalyticsStore({ database });
+
+// Funnel stages and KPI formulas from data/analytics-config.json
+const FunnelMetrics = require('./services/funnel-metrics');
+const funnelMetrics = new FunnelMetrics({ analyticsStore });
+const MAX_EVENT_DATA_BYTES = 4096;
+// Events the server records itself; client copies are ignored to avoid double counting
+const SERVER_RECORDED_EVENTS = ['lead_captured', 'lead_returned', AnalyticsStore.BASELINE_EVENT];
+
+// Lead fields the admin dashboard may edit
+const LEAD_STATUSES = Lead.schema.path('status').enumValues;
+const UPDATABLE_LEAD_FIELDS = ['name', 'email', 'phone', 'source', 'status', 'assessmentAnswers', 'notes'];
+const BULK_UPDATABLE_LEAD_FIELDS = ['status', 'source'];
+const LEAD_SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'email', 'score', 'status', 'source'];
+const MAX_BULK_LEADS = 500;
+const MAX_NOTES_LENGTH = 5000;
+// Statuses that count towards a counselor's workload
+const OPEN_LEAD_STATUSES = ['new', 'contacted', 'qualified'];
+
+// Email/phone matching, assessment history and duplicate merging
+const {
+    MAX_ASSESSMENT_HISTORY,
+    normalizeEmail,
+    buildAssessmentEntry,
+    getAssessmentHistory,
+    findDuplicateGroups,
+    mergeLeadRecords
+} = require('./services/lead-dedup');
+
+// CSV lead import (column mapping and row validation)
+const { DUPLICATE_POLICIES, parseCsv, buildColumnMapping, mapImportRow } = require('./services/lead-import');
+const MAX_IMPORT_ROWS = 5000;
+
+// Streaming lead export (CSV, NDJSON, XLSX)
+const { EXPORT_FORMATS, buildExportColumns, startExport } = require('./services/lead-export');
+
+// AI Integration - provider and model per prompt type (data/ai-providers.json)
+const AIClient = require('./services/ai-client');
+const aiClient = new AIClient();
+
+// Per-type JSON schemas for AI output (data/ai-response-schemas.json)
+const AIResponseValidator = require('./services/ai-response-validator');
+const aiValidator = new AIResponseValidator();
+
+// Server-side prompt templates (data/ai-prompt-templates.json)
+const PromptBuilder = require('./services/prompt-builder');
+const promptBuilder = new PromptBuilder();
+
+// Validated AI responses cached per task type and context fingerprint
+const AICache = require('./services/ai-cache');
+const aiCache = new AICache({ database });
 
 // Gmail Email service configuration
-const GmailService = require('./services/gmail-service');
-const emailService = new GmailService();
+const EmailService = require('./services/email-service');
+const emailService = new EmailService();
+
+// Sequence email templates: versions saved through the API, defaulting to data/email-templates.json
+const EmailTemplateEngine = require('./services/email-template-engine');
+const EmailTemplateStore = require('./services/email-template-store');
+const emailTemplates = new EmailTemplateEngine();
+const emailTemplateStore = new EmailTemplateStore({ database, engine: emailTemplates });
+
+// Open pixel and signed click redirects for outgoing emails
+const EmailTracking = require('./services/email-tracking');
+const emailTracking = new EmailTracking({
+    database,
+    baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`
+});
+const CONSULTATION_URL = process.env.CONSULTATION_URL || 'https://calendly.com/scaler-ai/consultation';
+
+// Per-lead delivery log of every email sent, failed or skipped
+const EmailLog = require('./services/email-log');
+const emailLog = new EmailLog({ database });
+
+// Per-lead timeline of status changes, notes, emails and assessment retakes
+const LeadActivityLog = require('./services/lead-activity');
+const leadActivity = new LeadActivityLog({ database });
+
+// Counselor profiles and new-lead routing; a lead's assignedTo is its counselor's userId
+const CounselorService = require('./services/counselor-service');
+const counselorService = new CounselorService({ database, countOpenLeads: countOpenLeadsByCounselor });
+// Signs emails to leads without a counselor
+const DEFAULT_ADVISOR_NAME = process.env.DEFAULT_ADVISOR_NAME || 'Sarah Chen';
+
+// Suppression list, pause/topic preferences and signed unsubscribe links
+const EmailPreferences = require('./services/email-preferences');
+const emailPreferences = new EmailPreferences({
+    database,
+    signer: emailTracking,
+    baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`
+});
+// How long a paused sequence email waits before it is checked again
+const PAUSED_EMAIL_RETRY_MS = 24 * 60 * 60 * 1000;
+
+// Optional double opt-in (EMAIL_DOUBLE_OPT_IN): signed confirmation links for new leads
+const EmailVerification = require('./services/email-verification');
+const emailVerification = new EmailVerification({
+    signer: emailTracking,
+    baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`
+});
+// How often unconfirmed leads past their confirmation window are removed
+const LEAD_EXPIRY_SWEEP_MS = 15 * 60 * 1000;
+
+// Lead scoring (weights in data/lead-scoring.json)
+const LeadScorer = require('./services/lead-scoring');
+const leadScorer = new LeadScorer();
+
+// Persistent follow-up email scheduler
+const EmailScheduler = require('./services/email-scheduler');
+const emailScheduler = new EmailScheduler({
+    database,
+    sendJob: (job) => sendScheduledEmail(job)
+});
+
+// Bulk email campaigns, throttled to the active transport's rate limit
+const CampaignService = require('./services/campaign-service');
+const campaignService = new CampaignService({
+    database,
+    sendToRecipient: (recipient) => sendCampaignEmail(recipient),
+    getRatePerMinute: () => emailService.getRatePerMinute()
+});
 
 /**
  * AI API Endpoint
- * Handles all AI-powered content generation
+ * Accepts a task type plus structured context; the prompt itself is
+ * always built on the server so the endpoint can't be used as an open LLM proxy
  */
 app.post('/api/ai', async (req, res) => {
+    const { type, context, prompt } = req.body;
+    
+    console.log(`🤖 AI Request - Type: ${type}`);
+    
+    // Validate request
+    if (prompt !== undefined) {
+        return res.status(400).json({ error: 'Raw prompts are not accepted; send a task type and context' });
+    }
+    
+    let built;
     try {
-        const { prompt, type, userContext } = req.body;
-        
-        console.log(`🤖 AI Request - Type: ${type}`);
-        
-        // Validate request
-        if (!prompt) {
-            return res.status(400).json({ error: 'Prompt is required' });
-        }
-        
-        // Call OpenAI API
-        const aiResponse = await callOpenAI(prompt, type);
+        built = promptBuilder.build(type, context);
+    } catch (error) {
+        return res.status(error.statusCode || 400).json({ error: error.message });
+    }
+    
+    try {
+        // Cached response or a fresh, schema-checked call to the configured provider
+        const aiResponse = await getAIContent(type, built);
         
         // Log analytics
-        logAIUsage(type, userContext);
+        logAIUsage(type, built.version);
         
         res.json({ 
-            response: aiResponse,
+            response: typeof aiResponse.data === 'string' ? aiResponse.data : JSON.stringify(aiResponse.data),
             type: type,
+            promptVersion: built.version,
+            provider: aiResponse.provider,
+            model: aiResponse.model,
+            cached: !!aiResponse.cached,
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
         console.error('AI API Error:', error);
+        if (aiValidator.hasSchema(req.body.type)) {
+            aiValidator.record(req.body.type, 'fallback');
+        }
         
         // Return fallback response
         const fallbackResponse = getFallbackAIResponse(req.body.type);
         res.json({ 
             response: fallbackResponse,
             type: req.body.type,
+            promptVersion: built.version,
             fallback: true,
             timestamp: new Date().toISOString()
         });
@@ -119,43 +335,43 @@ app.post('/api/ai', async (req, res) => {
 });
 
 /**
- * Call OpenAI API
+ * Call the AI provider configured for this prompt type
+ * @returns {Promise<{content: string, provider: string, model: string}>}
  */
-async function callOpenAI(prompt, type) {
-    if (!OPENAI_API_KEY) {
-        throw new Error('OpenAI API key not configured');
-    }
-    
-    const response = await fetch(OPENAI_API_URL, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${OPENAI_API_KEY}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            model: 'gpt-3.5-turbo',
-            messages: [
-                {
-                    role: 'system',
-                    content: getSystemPrompt(type)
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            max_tokens: 500,
-            temperature: 0.7
-        })
+async function callAI(prompt, type) {
+    return aiClient.complete(type, {
+        system: getSystemPrompt(type),
+        prompt
     });
-    
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`OpenAI API error: ${error.error?.message || 'Unknown error'}`);
+}
+
+/**
+ * Serve a built prompt from the AI cache, or generate and cache it
+ * (TTL per type from data/ai-providers.json; fallbacks are never cached)
+ */
+async function getAIContent(type, built) {
+    const cached = await aiCache.get(type, built.fingerprint);
+    if (cached) {
+        return { ...cached, cached: true };
     }
-    
-    const data = await response.json();
-    return data.choices[0].message.content;
+
+    const result = await generateAIContent(built.prompt, type);
+    await aiCache.set(type, built.fingerprint, {
+        data: result.data,
+        provider: result.provider,
+        model: result.model
+    }, aiClient.getSettings(type).cacheTtlSeconds);
+
+    return result;
+}
+
+/**
+ * Call the AI provider and enforce the response schema for the type
+ * (repair, then one retry; throws so callers fall back)
+ * @returns {Promise<{data: Object|string, provider: string, model: string}>}
+ */
+async function generateAIContent(prompt, type) {
+    return aiValidator.generate(type, prompt, text => callAI(text, type));
 }
 
 /**
@@ -232,54 +448,135 @@ app.post('/api/leads', async (req, res) => {
         }
         
         const dbStatus = database.getConnectionStatus();
+        const engagementEvents = sanitizeEventCounts(req.body.engagementEvents);
+        const email = normalizeEmail(req.body.email);
+        
+        // A returning visitor's new assessment is added to their existing lead
+        let existing = await findLeadByEmail(email);
         let savedLead;
         
-        if (dbStatus.connected) {
-            // Use MongoDB
-            const leadData = new Lead({
-                leadId: generateLeadId(),
-                ...req.body,
-                status: 'new',
-                source: 'funnelmind'
-            });
-            savedLead = await leadData.save();
-        } else {
-            // Use fallback in-memory storage
-            savedLead = {
-                leadId: generateLeadId(),
+        if (!existing) {
+            const leadFields = {
                 ...req.body,
-                createdAt: new Date().toISOString(),
+                email,
+                assignedTo: undefined, // Assignment is never client-controlled
+                notes: undefined,
+                mergedFrom: undefined,
+                // With double opt-in the lead waits for its confirmation link; never client-controlled
+                emailStatus: emailVerification.enabled ? 'unverified' : undefined,
+                verificationExpiresAt: emailVerification.enabled ? emailVerification.getExpiresAt() : undefined,
+                verifiedAt: undefined,
+                assessmentHistory: [buildAssessmentEntry(req.body.assessmentAnswers)],
+                engagementEvents,
                 status: 'new',
-                source: 'funnelmind'
+                statusHistory: [{ status: 'new', changedAt: new Date() }],
+                source: 'funnelmind',
+                ...buildScoreFields({ assessmentAnswers: req.body.assessmentAnswers, engagementEvents })
             };
-            fallbackLeads.push(savedLead);
+            
+            if (dbStatus.connected) {
+                // Use MongoDB
+                const leadData = new Lead({
+                    leadId: generateLeadId(),
+                    ...leadFields
+                });
+                try {
+                    savedLead = await leadData.save();
+                } catch (error) {
+                    // Another submission for the same address won the race
+                    if (error.code !== 11000) throw error;
+                    existing = await findLeadByEmail(email);
+                }
+            } else {
+                // Use fallback in-memory storage
+                savedLead = {
+                    leadId: generateLeadId(),
+                    ...leadFields,
+                    createdAt: new Date().toISOString()
+                };
+                fallbackLeads.push(savedLead);
+            }
         }
         
-        // Update analytics
-        await updateAnalytics('leadCaptures');
-        
-        console.log(`📋 New Lead: ${savedLead.name} (${savedLead.email})`);
+        const returning = !savedLead;
+        if (returning) {
+            // Anyone can submit any address, so an anonymous submission never changes the
+            // lead's contact details or engagement counts; differing details are kept with it
+            const submittedContact = {};
+            ['name', 'phone'].forEach(field => {
+                const value = typeof req.body[field] === 'string' ? req.body[field].trim() : '';
+                if (value && value !== existing[field]) submittedContact[field] = value;
+            });
+            savedLead = await updateExistingLead(existing, {
+                assessment: buildAssessmentEntry(req.body.assessmentAnswers, { submittedContact })
+            });
+            await trackAnalyticsEvent('lead_returned', { leadId: savedLead.leadId }, {
+                visitorId: req.body.visitorId,
+                sessionId: req.body.sessionId
+            });
+            await recordLeadActivity({
+                leadId: savedLead.leadId,
+                type: 'assessment_retaken',
+                actor: 'lead',
+                data: {
+                    assessmentCount: savedLead.assessmentHistory.length,
+                    score: savedLead.score,
+                    ...(Object.keys(submittedContact).length > 0 && { submittedContact })
+                }
+            });
+            console.log(`📋 Returning Lead: ${savedLead.name} (${savedLead.email}) - ${savedLead.assessmentHistory.length} assessments, score ${savedLead.score}`);
+        } else {
+            // Update analytics
+            await trackAnalyticsEvent('lead_captured', { leadId: savedLead.leadId }, {
+                visitorId: req.body.visitorId,
+                sessionId: req.body.sessionId
+            });
+            await recordLeadActivity({
+                leadId: savedLead.leadId,
+                type: 'lead_created',
+                actor: 'lead',
+                data: { source: savedLead.source, score: savedLead.score }
+            });
+            console.log(`📋 New Lead: ${savedLead.name} (${savedLead.email}) - score ${savedLead.score}`);
+        }
         
-        // Trigger welcome email
-        await triggerWelcomeEmail(savedLead);
+        // Before any email goes out, so it is signed by the lead's counselor
+        if (!savedLead.assignedTo) {
+            savedLead = await autoAssignLead(savedLead);
+        }
         
-        // Schedule follow-up emails
-        scheduleEmailSequence(savedLead);
+        const verificationRequired = savedLead.emailStatus === 'unverified';
+        let confirmationSent = false;
+        if (verificationRequired) {
+            // Results and follow-ups wait until the address is confirmed
+            if (returning) {
+                confirmationSent = await resendConfirmationEmail(savedLead);
+            } else {
+                const result = await sendConfirmationEmail(savedLead);
+                confirmationSent = result.status === 'sent';
+            }
+        } else {
+            // Welcome email and follow-ups are idempotent, so a returning lead never gets them twice
+            await triggerWelcomeEmail(savedLead);
+            await scheduleEmailSequence(savedLead);
+        }
         
         res.json({ 
             success: true, 
             leadId: savedLead.leadId,
-            message: 'Lead captured successfully'
+            returning,
+            verificationRequired,
+            message: verificationRequired
+                ? confirmationSent
+                    ? 'Lead captured - confirmation email sent'
+                    : 'Lead captured - awaiting email confirmation'
+                : returning
+                    ? 'Assessment added to existing lead'
+                    : 'Lead captured successfully'
         });
         
     } catch (error) {
         console.error('Lead creation error:', error);
-        
-        // Handle duplicate email error
-        if (error.code === 11000) {
-            return res.status(400).json({ error: 'Email already exists' });
-        }
-        
         res.status(500).json({ error: 'Failed to process lead' });
     }
 });
@@ -287,17 +584,17 @@ app.post('/api/leads', async (req, res) => {
 /**
  * Get Analytics Dashboard Data
  */
-app.get('/api/analytics', async (req, res) => {
+app.get('/api/analytics', requireAnyRole, async (req, res) => {
     try {
         // Ensure database connection for serverless
         await ensureDbConnection();
         
         const dbStatus = database.getConnectionStatus();
+        const analytics = await analyticsStore.getCounters();
         let enhancedAnalytics;
         
         if (dbStatus.connected) {
             // Use MongoDB
-            const analytics = await Analytics.getGlobalAnalytics();
             const totalLeads = await Lead.countDocuments();
             const recentLeads = await Lead.find()
                 .sort({ createdAt: -1 })
@@ -335,7 +632,7 @@ app.get('/api/analytics', async (req, res) => {
             }));
             
             enhancedAnalytics = {
-                ...fallbackAnalytics,
+                ...analytics,
                 totalLeads: fallbackLeads.length,
                 recentLeads: formattedRecentLeads,
                 leadsBySource: await getLeadsBySource(),
@@ -343,6 +640,11 @@ app.get('/api/analytics', async (req, res) => {
             };
         }
         
+        // Viewers only see aggregates
+        if (req.user.role === 'viewer') {
+            delete enhancedAnalytics.recentLeads;
+        }
+        
         res.json(enhancedAnalytics);
     } catch (error) {
         console.error('Analytics fetch error:', error);
@@ -351,38 +653,33 @@ app.get('/api/analytics', async (req, res) => {
 });
 
 /**
- * Get Leads (simple API for admin dashboard)
- * Supports optional pagination and basic search
+ * Get Leads (API for admin dashboard)
+ * Supports pagination, the filters and sort of buildLeadListQuery, and
+ * returns status and source facet counts
  */
-app.get('/api/leads', async (req, res) => {
+app.get('/api/leads', requireLeadAccess, async (req, res) => {
     try {
         console.log('📋 /api/leads endpoint called');
         
         // Ensure database connection for serverless
         await ensureDbConnection();
         
-        const { page = 1, limit = 100, q } = req.query;
+        const { page = 1, limit = 100 } = req.query;
         const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
         const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
 
         const dbStatus = database.getConnectionStatus();
         console.log('📊 Database status:', dbStatus);
 
-        // Build optional search filter
-        const searchFilter = q
-            ? {
-                  $or: [
-                      { name: { $regex: q, $options: 'i' } },
-                      { email: { $regex: q, $options: 'i' } },
-                  ],
-              }
-            : {};
+        const listQuery = buildLeadListQuery(req.query, req.user);
+        const { filter: searchFilter, matches, sort, compare } = listQuery;
+        const facets = await getLeadFacets(listQuery);
 
         if (dbStatus.connected) {
             console.log('✅ Using MongoDB for leads');
             const [leads, total] = await Promise.all([
                 Lead.find(searchFilter)
-                    .sort({ createdAt: -1 })
+                    .sort(sort)
                     .skip((pageNumber - 1) * pageSize)
                     .limit(pageSize)
                     .lean(),
@@ -395,24 +692,17 @@ app.get('/api/leads', async (req, res) => {
                 total,
                 page: pageNumber,
                 limit: pageSize,
+                sort,
+                facets,
                 leads,
                 storage: 'mongodb',
             });
         } else {
             console.log('⚠️ Using in-memory fallback for leads');
             // Fallback to in-memory store
-            let leads = [...fallbackLeads];
-
-            if (q) {
-                const query = q.toLowerCase();
-                leads = leads.filter(
-                    (l) =>
-                        (l.name && l.name.toLowerCase().includes(query)) ||
-                        (l.email && l.email.toLowerCase().includes(query))
-                );
-            }
+            const leads = fallbackLeads.filter(matches);
 
-            leads.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            leads.sort(compare);
             const total = leads.length;
             const start = (pageNumber - 1) * pageSize;
             const paginated = leads.slice(start, start + pageSize);
@@ -423,228 +713,1743 @@ app.get('/api/leads', async (req, res) => {
                 total,
                 page: pageNumber,
                 limit: pageSize,
+                sort,
+                facets,
                 leads: paginated,
                 storage: 'in-memory',
             });
         }
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Leads fetch error:', error);
         res.status(500).json({ error: 'Failed to fetch leads' });
     }
 });
 
 /**
- * Email Automation Trigger
+ * Stream every lead matching the list filters as CSV, NDJSON or XLSX
+ * (`format`), one lead at a time from a MongoDB cursor
  */
-app.post('/api/email/trigger', async (req, res) => {
+app.get('/api/leads/export', requireLeadAccess, async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: `Invalid format "${format}". Allowed: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    
     try {
-        const { email, name, assessmentData, sequenceType } = req.body;
+        await ensureDbConnection();
         
-        console.log(`📧 Triggering email sequence: ${sequenceType} for ${email}`);
+        const { filter, matches, sort, compare } = buildLeadListQuery(req.query, req.user);
+        const dbStatus = database.getConnectionStatus();
+        let answerKeys;
+        let leads;
         
-        // Generate personalized email content
-        const emailContent = await generatePersonalizedEmail(assessmentData, sequenceType);
+        if (dbStatus.connected) {
+            // Assessment answers become columns, so their keys are needed before the first row
+            const keys = await Lead.aggregate([
+                { $match: filter },
+                { $project: { answers: { $objectToArray: { $ifNull: ['$assessmentAnswers', {}] } } } },
+                { $unwind: '$answers' },
+                { $group: { _id: '$answers.k' } },
+                { $sort: { _id: 1 } }
+            ]);
+            answerKeys = keys.map(key => key._id);
+            leads = Lead.find(filter).sort(sort).lean().cursor();
+        } else {
+            leads = fallbackLeads.filter(matches).sort(compare);
+            answerKeys = [...new Set(leads.flatMap(lead => Object.keys(lead.assessmentAnswers || {})))].sort();
+        }
         
-        // Send email (mock implementation)
-        const emailResult = await sendEmail({
-            to: email,
-            name: name,
-            subject: emailContent.subject,
-            content: emailContent.content,
-            type: sequenceType
-        });
+        const columns = buildExportColumns({ answerKeys, scoreFactors: leadScorer.getFactors(), statuses: LEAD_STATUSES });
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="leads-export-${new Date().toISOString().split('T')[0]}.${extension}"`);
         
-        res.json({ 
-            success: true, 
-            emailId: emailResult.id,
-            message: 'Email sequence triggered'
-        });
+        const writer = await startExport(format, res, columns);
+        let exported = 0;
+        for await (const lead of leads) {
+            // Client went away; leaving the loop closes the cursor
+            if (res.destroyed) break;
+            await writer.writeLead(lead);
+            exported++;
+        }
+        if (res.destroyed) {
+            console.log(`📋 Lead export cancelled after ${exported} leads`);
+            return;
+        }
+        await writer.end();
         
+        console.log(`📋 Exported ${exported} leads as ${format}`);
     } catch (error) {
-        console.error('Email trigger error:', error);
-        res.status(500).json({ error: 'Failed to trigger email' });
+        if (error.statusCode && !res.headersSent) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Lead export error:', error);
+        // Once streaming has started the only way to signal failure is a cut-off download
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({ error: 'Failed to export leads' });
     }
 });
 
 /**
- * Analytics Event Tracking
+ * Bulk update leads (status or source) from the admin dashboard
  */
-app.post('/api/analytics/track', async (req, res) => {
+app.patch('/api/leads/bulk', requireLeadAccess, async (req, res) => {
     try {
-        const { event, data } = req.body;
+        await ensureDbConnection();
         
-        // Update analytics based on event type
-        let updateField;
-        switch (event) {
-            case 'page_view':
-                updateField = 'pageViews';
-                break;
-            case 'assessment_started':
-                updateField = 'assessmentStarts';
-                break;
-            case 'assessment_completed':
-                updateField = 'assessmentCompletions';
-                break;
+        const { leadIds, updates } = req.body || {};
+        const idsError = validateLeadIds(leadIds);
+        if (idsError) {
+            return res.status(400).json({ error: idsError });
         }
         
-        if (updateField) {
-            await updateAnalytics(updateField);
+        const { updates: leadUpdates, error } = validateLeadUpdate(updates || {}, BULK_UPDATABLE_LEAD_FIELDS);
+        if (error) {
+            return res.status(400).json({ error });
         }
         
-        console.log(`📊 Analytics Event: ${event}`);
+        const leadScope = getLeadScope(req.user);
+        const dbStatus = database.getConnectionStatus();
+        let updated;
         
-        res.json({ success: true });
+        const statusChanges = leadUpdates.status
+            ? await findStatusChanges(leadIds, leadScope, leadUpdates.status)
+            : [];
+        
+        if (dbStatus.connected) {
+            const result = await Lead.updateMany(
+                { ...leadScope, leadId: { $in: leadIds } },
+                { $set: leadUpdates },
+                { runValidators: true }
+            );
+            updated = result.modifiedCount;
+        } else {
+            const targets = fallbackLeads.filter(lead => leadIds.includes(lead.leadId) && matchesLeadScope(lead, leadScope));
+            targets.forEach(lead => Object.assign(lead, leadUpdates, { updatedAt: new Date().toISOString() }));
+            updated = targets.length;
+        }
+        await recordStatusChange(statusChanges, leadUpdates.status, req.user.email);
+        
+        console.log(`📋 Bulk updated ${updated} leads:`, leadUpdates);
         
+        res.json({ success: true, updated });
     } catch (error) {
-        console.error('Analytics tracking error:', error);
-        res.status(500).json({ error: 'Failed to track event' });
+        console.error('Bulk lead update error:', error);
+        res.status(500).json({ error: 'Failed to update leads' });
     }
 });
 
 /**
- * Email Generation and Sending Functions
+ * Bulk delete leads from the admin dashboard
  */
-async function generatePersonalizedEmail(assessmentData, sequenceType) {
-    const prompt = `Create a personalized ${sequenceType} email for a user with assessment data: ${JSON.stringify(assessmentData)}. Make it engaging and action-oriented.`;
-    
+app.delete('/api/leads/bulk', requireAdmin, async (req, res) => {
     try {
-        if (OPENAI_API_KEY) {
-            const response = await callOpenAI(prompt, 'email-generation');
-            return JSON.parse(response);
+        await ensureDbConnection();
+        
+        const { leadIds } = req.body || {};
+        const idsError = validateLeadIds(leadIds);
+        if (idsError) {
+            return res.status(400).json({ error: idsError });
+        }
+        
+        const dbStatus = database.getConnectionStatus();
+        let deleted;
+        
+        if (dbStatus.connected) {
+            const result = await Lead.deleteMany({ leadId: { $in: leadIds } });
+            deleted = result.deletedCount;
+        } else {
+            const before = fallbackLeads.length;
+            fallbackLeads = fallbackLeads.filter(lead => !leadIds.includes(lead.leadId));
+            deleted = before - fallbackLeads.length;
+        }
+        
+        // Deleted leads must not keep receiving the follow-up sequence
+        for (const leadId of leadIds) {
+            await emailScheduler.cancelJobsForLead(leadId, 'lead deleted');
         }
+        
+        console.log(`🗑️ Bulk deleted ${deleted} leads`);
+        
+        res.json({ success: true, deleted });
     } catch (error) {
-        console.error('Email generation failed:', error);
+        console.error('Bulk lead delete error:', error);
+        res.status(500).json({ error: 'Failed to delete leads' });
     }
-    
-    // Enhanced fallback with actual personalization
-    console.log('📧 Using fallback email generation with assessment data processing');
-    return generateFallbackEmail(assessmentData, sequenceType);
-}
+});
 
 /**
- * Generate fallback email with actual personalization based on assessment data
+ * Groups of leads that share an email address or phone number
  */
-function generateFallbackEmail(assessmentData, sequenceType) {
-    console.log(`📧 Generating fallback email - Type: ${sequenceType}`, {
-        hasAssessmentData: !!assessmentData,
-        assessmentKeys: assessmentData ? Object.keys(assessmentData) : []
-    });
-    
-    // Load email templates
-    const fs = require('fs');
-    const path = require('path');
-    
-    let templates = {};
+app.get('/api/leads/duplicates', requireAdmin, async (req, res) => {
     try {
-        const templatesPath = path.join(__dirname, 'data', 'email-templates.json');
-        templates = JSON.parse(fs.readFileSync(templatesPath, 'utf8'));
-        console.log(`📧 Successfully loaded email templates. Available: ${Object.keys(templates).join(', ')}`);
+        await ensureDbConnection();
+        
+        const dbStatus = database.getConnectionStatus();
+        const fields = ['leadId', 'name', 'email', 'phone', 'score', 'status', 'createdAt'];
+        const leads = dbStatus.connected
+            ? await Lead.find({}, fields.join(' ')).lean()
+            : fallbackLeads;
+        
+        const byId = new Map(leads.map(lead => [lead.leadId, lead]));
+        const groups = findDuplicateGroups(leads).map(group => ({
+            matchedOn: group.matchedOn,
+            // Oldest first: the usual choice of lead to keep
+            leads: group.leadIds
+                .map(leadId => byId.get(leadId))
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+                .map(lead => Object.fromEntries(fields.map(field => [field, lead[field]])))
+        }));
+        
+        res.json({ groups, total: groups.length });
     } catch (error) {
-        console.error('❌ Failed to load email templates:', error);
+        console.error('Duplicate leads error:', error);
+        res.status(500).json({ error: 'Failed to find duplicate leads' });
     }
-    
-    // Generate course recommendation based on assessment data
-    const recommendation = generateCourseRecommendation(assessmentData);
-    console.log(`📧 Generated course recommendation: ${recommendation.recommendedCourse}`);
-    
-    // Get the appropriate template
-    const templateKey = sequenceType === 'welcome' ? 'welcome' : 'assessment_results';
-    const template = templates[templateKey];
-    console.log(`📧 Using template: ${templateKey}, Found: ${!!template}`);
-    
-    if (template) {
-        // Generate detailed roadmap
-        const detailedRoadmap = generateDetailedRoadmap(assessmentData, recommendation);
-        
-        // Replace template placeholders with actual data
-        let content = template.template
-            .replace(/\{\{name\}\}/g, assessmentData?.name || 'there')
-            .replace(/\{\{recommendedCourse\}\}/g, recommendation.recommendedCourse)
-            .replace(/\{\{reasoning\}\}/g, recommendation.reasoning)
-            .replace(/\{\{expectedOutcome\}\}/g, recommendation.expectedOutcome)
-            .replace(/\{\{detailedRoadmap\}\}/g, detailedRoadmap)
-            .replace(/\{\{successStory\}\}/g, recommendation.successStory || 'Join thousands of engineers who have successfully transitioned to AI roles with average salary increases of 80%.')
-            .replace(/\{\{ctaLink\}\}/g, 'https://calendly.com/scaler-ai/consultation')
-            .replace(/\{\{advisorName\}\}/g, 'Sarah Chen');
-        
-        // Convert markdown formatting to HTML
-        content = content
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // **text** to <strong>text</strong>
-            .replace(/\*(.*?)\*/g, '<em>$1</em>') // *text* to <em>text</em>
-            .replace(/\n/g, '<br>'); // line breaks to <br>
-        
-        const emailResult = {
-            subject: template.subject,
-            content: content,
-            cta: 'Book Your Free Consultation'
-        };
+});
+
+/**
+ * Merge duplicate leads into a primary lead: notes, engagement, assessment
+ * history and email history move to the primary, the duplicates are deleted
+ */
+app.post('/api/leads/merge', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const { primaryId, duplicateIds } = req.body || {};
+        const idsError = validateLeadIds(duplicateIds);
+        if (typeof primaryId !== 'string' || !primaryId) {
+            return res.status(400).json({ error: 'primaryId is required' });
+        }
+        if (idsError) {
+            return res.status(400).json({ error: idsError.replace('leadIds', 'duplicateIds') });
+        }
+        const mergeIds = [...new Set(duplicateIds)];
+        if (mergeIds.includes(primaryId)) {
+            return res.status(400).json({ error: 'The primary lead cannot also be a duplicate' });
+        }
+        
+        const primary = await findLeadById(primaryId);
+        const duplicates = await Promise.all(mergeIds.map(findLeadById));
+        const missing = [primaryId, ...mergeIds].filter((leadId, i) => !(i === 0 ? primary : duplicates[i - 1]));
+        if (missing.length > 0) {
+            return res.status(404).json({ error: `Leads not found: ${missing.join(', ')}` });
+        }
+        // Only leads matching on email or phone may be merged
+        const groups = findDuplicateGroups([primary, ...duplicates]);
+        if (groups.length !== 1 || groups[0].leadIds.length !== mergeIds.length + 1) {
+            return res.status(400).json({ error: 'Leads can only be merged when they share an email address or phone number' });
+        }
         
-        console.log(`✅ Successfully generated personalized email:`, {
-            subject: emailResult.subject,
-            contentLength: emailResult.content.length,
-            hasRoadmap: content.includes('Timeline:'),
-            hasRecommendation: content.includes(recommendation.recommendedCourse)
+        const merged = mergeLeadRecords(primary, duplicates, { mergedBy: req.user.email });
+        if (merged.emailStatus === 'verified' && primary.emailStatus !== 'verified') {
+            merged.verifiedAt = new Date();
+        }
+        const unset = merged.emailStatus === 'verified' ? { verificationExpiresAt: 1 } : {};
+        const dbStatus = database.getConnectionStatus();
+        
+        // Duplicates go first so the primary never holds a second copy of an address
+        if (dbStatus.connected) {
+            await Lead.deleteMany({ leadId: { $in: mergeIds } });
+            await Lead.updateOne({ leadId: primaryId }, { $set: merged, $unset: unset });
+        } else {
+            fallbackLeads = fallbackLeads.filter(lead => !mergeIds.includes(lead.leadId));
+            const stored = fallbackLeads.find(lead => lead.leadId === primaryId);
+            Object.assign(stored, merged, { updatedAt: new Date().toISOString() });
+            Object.keys(unset).forEach(field => delete stored[field]);
+        }
+        
+        const moved = {
+            emails: await emailLog.reassignLead(mergeIds, primaryId),
+            emailEvents: await emailTracking.reassignLead(mergeIds, primaryId),
+            scheduledEmails: await emailScheduler.reassignLead(mergeIds, primaryId),
+            activities: await leadActivity.reassignLead(mergeIds, primaryId)
+        };
+        const lead = await recalculateLeadScore(primaryId);
+        await recordLeadActivity({
+            leadId: primaryId,
+            type: 'lead_merged',
+            actor: req.user.email,
+            data: { mergedFrom: duplicates.map(duplicate => ({ leadId: duplicate.leadId, email: duplicate.email })) }
         });
         
-        return emailResult;
+        await trackAnalyticsEvent('leads_merged', { leadId: primaryId, mergedLeadIds: mergeIds });
+        console.log(`📋 Merged ${mergeIds.join(', ')} into ${primaryId} by ${req.user.email}`);
+        
+        res.json({ success: true, lead, merged: mergeIds, moved });
+    } catch (error) {
+        console.error('Lead merge error:', error);
+        res.status(500).json({ error: 'Failed to merge leads' });
     }
-    
-    // Ultimate fallback if templates are missing
-    console.log('⚠️ Using ultimate fallback email template (templates not found)');
-    const detailedRoadmap = generateDetailedRoadmap(assessmentData, recommendation);
-    
-    // Convert markdown formatting in the roadmap content
-    const formattedRoadmap = detailedRoadmap
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // **text** to <strong>text</strong>
-        .replace(/\*(.*?)\*/g, '<em>$1</em>') // *text* to <em>text</em>
-        .replace(/\n/g, '<br>'); // line breaks to <br>
-    
-    const fallbackEmail = {
-        subject: 'Your Personalized AI Career Roadmap',
-        content: `Hi ${assessmentData?.name || 'there'}!<br><br>
-
-Thank you for completing our career assessment. Based on your responses, we've created a personalized roadmap for your AI career transformation.<br><br>
-
-<strong>Your Recommended Path:</strong> ${recommendation.recommendedCourse}<br><br>
-
-<strong>Why this is perfect for you:</strong><br>
-${recommendation.reasoning}<br><br>
-
-<strong>Expected Outcome:</strong><br>
-${recommendation.expectedOutcome}<br><br>
-
-<strong>Your Personalized Learning Roadmap:</strong><br>
-${formattedRoadmap}<br><br>
-
-<strong>Success Story:</strong><br>
-${recommendation.successStory}<br><br>
-
-<strong>What's Next:</strong><br>
-✅ Review your detailed career roadmap above<br>
-📞 Book a free 1-on-1 consultation with our career advisor<br>
-🎯 Get personalized guidance on your learning journey<br>
-💼 Access exclusive job opportunities in our partner network<br><br>
-
-Our team will contact you within 24 hours to discuss your next steps.<br><br>
-
-Best regards,<br>
-The Scaler Team<br><br>
-
-P.S. Over 50,000 engineers have transformed their careers with us. You're next! 🚀`,
-        cta: 'Schedule Your Consultation'
-    };
-    
-    console.log(`✅ Generated ultimate fallback email with ${detailedRoadmap.length} character roadmap`);
-    return fallbackEmail;
-}
+});
 
 /**
- * Generate course recommendation based on assessment data
+ * Import leads from a CSV file: { csv, mapping, duplicatePolicy, sendWelcomeEmails }.
+ * Returns a report for every row; welcome emails go out after the response.
  */
-function generateCourseRecommendation(assessmentData) {
-    if (!assessmentData) {
-        return {
-            recommendedCourse: 'AI & Machine Learning Program',
+app.post('/api/leads/import', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const { csv, mapping, duplicatePolicy = 'skip', sendWelcomeEmails = true } = req.body || {};
+        if (typeof csv !== 'string' || !csv.trim()) {
+            return res.status(400).json({ error: 'csv is required' });
+        }
+        if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+            return res.status(400).json({ error: `Invalid duplicatePolicy "${duplicatePolicy}". Allowed: ${DUPLICATE_POLICIES.join(', ')}` });
+        }
+        if (typeof sendWelcomeEmails !== 'boolean') {
+            return res.status(400).json({ error: 'sendWelcomeEmails must be true or false' });
+        }
+        
+        let records;
+        try {
+            records = parseCsv(csv);
+        } catch (error) {
+            return res.status(400).json({ error: `Invalid CSV: ${error.message}` });
+        }
+        const [headers = [], ...dataRows] = records;
+        if (dataRows.length === 0) {
+            return res.status(400).json({ error: 'The file has a header row but no leads' });
+        }
+        if (dataRows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ error: `The file has ${dataRows.length} rows; the limit is ${MAX_IMPORT_ROWS} per import` });
+        }
+        const { columns, unmappedColumns, errors } = buildColumnMapping(headers, mapping);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+        
+        const rules = { statuses: LEAD_STATUSES, maxNotesLength: MAX_NOTES_LENGTH };
+        const rows = [];
+        const createdLeads = [];
+        
+        for (const [index, values] of dataRows.entries()) {
+            // Row 1 is the header
+            const row = index + 2;
+            const { fields, errors: rowErrors } = mapImportRow(values, columns, rules);
+            if (rowErrors.length > 0) {
+                rows.push({ row, status: 'invalid', email: fields.email, errors: rowErrors });
+                continue;
+            }
+            
+            try {
+                const { status, lead } = await importLeadRow(fields, { duplicatePolicy, sendWelcomeEmails, importedBy: req.user.email });
+                rows.push({ row, status, email: fields.email, leadId: lead.leadId });
+                if (status === 'created') createdLeads.push(lead);
+            } catch (error) {
+                console.error(`Lead import row ${row} error:`, error);
+                rows.push({ row, status: 'failed', email: fields.email, errors: [error.code === 11000 ? 'A lead with this email was created at the same time' : 'Could not be saved'] });
+            }
+        }
+        
+        const summary = { created: 0, updated: 0, merged: 0, skipped: 0, invalid: 0, failed: 0 };
+        rows.forEach(report => { summary[report.status]++; });
+        
+        await trackAnalyticsEvent('leads_imported', { ...summary, duplicatePolicy });
+        console.log(`📋 Lead import by ${req.user.email}: ${JSON.stringify(summary)}`);
+        
+        const welcomeEmails = sendWelcomeEmails ? await queueImportedLeadEmails(createdLeads) : 0;
+        
+        res.json({
+            success: true,
+            total: dataRows.length,
+            summary,
+            columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+            unmappedColumns,
+            welcomeEmails,
+            rows
+        });
+    } catch (error) {
+        console.error('Lead import error:', error);
+        res.status(500).json({ error: 'Failed to import leads' });
+    }
+});
+
+/**
+ * Update a single lead
+ */
+app.patch('/api/leads/:leadId', requireLeadAccess, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        // Only admins can reassign leads
+        const allowedFields = req.user.role === 'admin'
+            ? [...UPDATABLE_LEAD_FIELDS, 'assignedTo']
+            : UPDATABLE_LEAD_FIELDS;
+        const { updates, error } = validateLeadUpdate(req.body || {}, allowedFields);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        // Reassignment is applied after the other fields, through the same checks as /assign
+        const assignTo = updates.assignedTo;
+        delete updates.assignedTo;
+        if (assignTo) {
+            await getActiveCounselor(assignTo);
+        }
+        
+        const leadScope = getLeadScope(req.user);
+        const dbStatus = database.getConnectionStatus();
+        let lead;
+        
+        if (updates.email !== undefined) {
+            const owner = await findLeadByEmail(updates.email);
+            if (owner && owner.leadId !== req.params.leadId) {
+                return res.status(409).json({ error: `Lead ${owner.leadId} already has this email; merge the two leads instead` });
+            }
+        }
+        const statusChanges = updates.status
+            ? await findStatusChanges([req.params.leadId], leadScope, updates.status)
+            : [];
+        const previousNotes = updates.notes !== undefined ? (await findLeadById(req.params.leadId))?.notes : undefined;
+        
+        if (dbStatus.connected) {
+            lead = await Lead.findOneAndUpdate(
+                { ...leadScope, leadId: req.params.leadId },
+                { $set: updates },
+                { new: true, runValidators: true }
+            ).lean();
+        } else {
+            lead = fallbackLeads.find(l => l.leadId === req.params.leadId && matchesLeadScope(l, leadScope));
+            if (lead) {
+                Object.assign(lead, updates, { updatedAt: new Date().toISOString() });
+            }
+        }
+        
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        await recordStatusChange(statusChanges, updates.status, req.user.email);
+        
+        // New assessment answers change the score
+        if (updates.assessmentAnswers) {
+            lead = await recalculateLeadScore(lead.leadId);
+        }
+        if (updates.notes !== undefined && (updates.notes || '') !== (previousNotes || '')) {
+            await recordLeadActivity({
+                leadId: lead.leadId,
+                type: 'notes_updated',
+                actor: req.user.email,
+                data: { notes: updates.notes }
+            });
+        }
+        if (assignTo !== undefined) {
+            ({ lead } = await assignLead(lead, assignTo || null, req.user.email));
+        }
+        
+        console.log(`📋 Lead updated: ${lead.leadId}`, Object.keys(updates));
+        
+        res.json({ success: true, lead });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Lead update error:', error);
+        
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'Another lead already has this email' });
+        }
+        
+        res.status(500).json({ error: 'Failed to update lead' });
+    }
+});
+
+/**
+ * Delete a single lead
+ */
+app.delete('/api/leads/:leadId', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const dbStatus = database.getConnectionStatus();
+        let deleted;
+        
+        if (dbStatus.connected) {
+            const result = await Lead.deleteOne({ leadId: req.params.leadId });
+            deleted = result.deletedCount > 0;
+        } else {
+            const index = fallbackLeads.findIndex(lead => lead.leadId === req.params.leadId);
+            deleted = index !== -1;
+            if (deleted) {
+                fallbackLeads.splice(index, 1);
+            }
+        }
+        
+        if (!deleted) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        await emailScheduler.cancelJobsForLead(req.params.leadId, 'lead deleted');
+        
+        console.log(`🗑️ Lead deleted: ${req.params.leadId}`);
+        
+        res.json({ success: true, leadId: req.params.leadId });
+    } catch (error) {
+        console.error('Lead delete error:', error);
+        res.status(500).json({ error: 'Failed to delete lead' });
+    }
+});
+
+/**
+ * Record engagement or email signals for a lead and recalculate its score
+ * Body: { events: { page_view: 2, email_opened: 1 } } or { event: 'email_clicked' }
+ */
+app.post('/api/leads/:leadId/events', requireLeadAccess, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        if (!(await canAccessLead(req.user, req.params.leadId))) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        const { event, events } = req.body || {};
+        const counts = sanitizeEventCounts(event ? { [event]: 1 } : events);
+        if (Object.keys(counts).length === 0) {
+            return res.status(400).json({ 
+                error: `No scored events provided. Scored events: ${leadScorer.getScoredEvents().join(', ')}` 
+            });
+        }
+        
+        const lead = await recordLeadEvents(req.params.leadId, counts);
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        res.json({
+            success: true,
+            leadId: lead.leadId,
+            score: lead.score,
+            scoreBreakdown: lead.scoreBreakdown
+        });
+    } catch (error) {
+        console.error('Lead event tracking error:', error);
+        res.status(500).json({ error: 'Failed to record lead events' });
+    }
+});
+
+/**
+ * Get a lead's scheduled follow-up emails and their outcomes
+ */
+app.get('/api/leads/:leadId/scheduled-emails', requireLeadAccess, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        if (!(await canAccessLead(req.user, req.params.leadId))) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        const jobs = await emailScheduler.getJobsForLead(req.params.leadId);
+        
+        res.json({
+            leadId: req.params.leadId,
+            total: jobs.length,
+            jobs
+        });
+    } catch (error) {
+        console.error('Scheduled emails fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch scheduled emails' });
+    }
+});
+
+/**
+ * Get a lead's email delivery history (sent, failed and skipped messages)
+ */
+app.get('/api/leads/:leadId/emails', requireLeadAccess, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        if (!(await canAccessLead(req.user, req.params.leadId))) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        const messages = await emailLog.findByLead(req.params.leadId, {
+            status: req.query.status,
+            type: req.query.type,
+            limit: Math.min(parseInt(req.query.limit) || 100, 500)
+        });
+        
+        res.json({
+            leadId: req.params.leadId,
+            total: messages.length,
+            messages
+        });
+    } catch (error) {
+        console.error('Lead emails fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch lead emails' });
+    }
+});
+
+/**
+ * Assign a lead: { counselorId } to a counselor, { counselorId: null } to
+ * unassign, or no counselorId to let the assignment rules pick
+ */
+app.post('/api/leads/:leadId/assign', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const { counselorId } = req.body || {};
+        if (counselorId !== undefined && counselorId !== null && (typeof counselorId !== 'string' || !counselorId)) {
+            return res.status(400).json({ error: 'counselorId must be a counselor userId or null' });
+        }
+        
+        const existing = await findLeadById(req.params.leadId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        const { lead, counselor, reasons } = await assignLead(existing, counselorId, req.user.email);
+        if (counselorId === undefined && !counselor) {
+            return res.status(409).json({ error: 'No counselor is available: none are active or all are at capacity' });
+        }
+        
+        res.json({
+            success: true,
+            lead,
+            counselor: counselor ? { userId: counselor.userId, name: counselor.name } : null,
+            reasons
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Lead assignment error:', error);
+        res.status(500).json({ error: 'Failed to assign lead' });
+    }
+});
+
+/**
+ * Counselor routing profiles with their open lead counts
+ */
+app.get('/api/counselors', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        res.json({
+            counselors: await counselorService.listCounselors(),
+            interests: Object.keys(INTEREST_LABELS),
+            urgentTimelines: CounselorService.URGENT_TIMELINES
+        });
+    } catch (error) {
+        console.error('Counselors fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch counselors' });
+    }
+});
+
+/**
+ * Create or update the routing profile of a counselor user:
+ * { name, title, interests, takesUrgent, maxOpenLeads, active }
+ */
+app.put('/api/counselors/:userId', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const user = await authService.findUserById(req.params.userId);
+        if (!user || user.role !== 'counselor') {
+            return res.status(404).json({ error: 'Counselor user not found' });
+        }
+        
+        const { fields, error } = validateCounselorUpdate(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const counselor = await counselorService.saveCounselor(user.userId, {
+            name: user.name,
+            ...fields,
+            email: user.email
+        });
+        
+        console.log(`📋 Counselor profile saved: ${counselor.name} (${counselor.userId}) by ${req.user.email}`);
+        res.json({ success: true, counselor });
+    } catch (error) {
+        console.error('Counselor update error:', error);
+        res.status(500).json({ error: 'Failed to save counselor' });
+    }
+});
+
+/**
+ * Activity timeline of a lead, oldest first: status changes, notes, emails
+ * sent, opens and clicks, assessment retakes. Page back with ?before=<occurredAt
+ * of the first entry>; filter with ?types=status_changed,note_added
+ */
+app.get('/api/leads/:leadId/timeline', requireLeadAccess, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        if (!(await canAccessLead(req.user, req.params.leadId))) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        const before = req.query.before ? new Date(req.query.before) : undefined;
+        if (before && isNaN(before)) {
+            return res.status(400).json({ error: 'before must be a valid date' });
+        }
+        const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : [];
+        const invalidType = types.find(type => !LeadActivityLog.ACTIVITY_TYPES.includes(type));
+        if (invalidType) {
+            return res.status(400).json({ error: `Invalid activity type "${invalidType}". Allowed: ${LeadActivityLog.ACTIVITY_TYPES.join(', ')}` });
+        }
+        
+        const { activities, hasMore } = await leadActivity.getTimeline(req.params.leadId, {
+            limit: parseInt(req.query.limit) || 100,
+            before,
+            types
+        });
+        
+        res.json({
+            leadId: req.params.leadId,
+            total: activities.length,
+            hasMore,
+            activities
+        });
+    } catch (error) {
+        console.error('Lead timeline fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch lead timeline' });
+    }
+});
+
+/**
+ * Add a counselor note to a lead's timeline
+ */
+app.post('/api/leads/:leadId/notes', requireLeadAccess, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+        if (!text) {
+            return res.status(400).json({ error: 'text is required' });
+        }
+        if (text.length > MAX_NOTES_LENGTH) {
+            return res.status(400).json({ error: `text must be at most ${MAX_NOTES_LENGTH} characters` });
+        }
+        if (!(await canAccessLead(req.user, req.params.leadId))) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        const activity = {
+            leadId: req.params.leadId,
+            type: 'note_added',
+            actor: req.user.email,
+            data: { text },
+            occurredAt: new Date()
+        };
+        await leadActivity.record([activity]);
+        
+        console.log(`📋 Note added to ${req.params.leadId} by ${req.user.email}`);
+        res.status(201).json({ success: true, activity });
+    } catch (error) {
+        console.error('Lead note error:', error);
+        res.status(500).json({ error: 'Failed to add note' });
+    }
+});
+
+/**
+ * Resend a failed message with its original subject and content
+ */
+app.post('/api/leads/:leadId/emails/:trackingId/resend', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const original = await emailLog.get(req.params.trackingId);
+        if (!original || original.leadId !== req.params.leadId) {
+            return res.status(404).json({ error: 'Email not found' });
+        }
+        if (original.status !== 'failed') {
+            return res.status(409).json({ error: `Only failed emails can be resent (this one was ${original.status})` });
+        }
+        if (original.resentAs) {
+            return res.status(409).json({ error: `Already resent as ${original.resentAs}` });
+        }
+        if (EMAIL_SEQUENCE_STEPS.includes(original.type) && await emailLog.hasSent(original.leadId, original.type)) {
+            return res.status(409).json({ error: `The lead has already received the ${original.type} email` });
+        }
+        
+        // Send to the lead's current address in case it was corrected after the failure
+        const lead = await findLeadById(original.leadId);
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+        
+        const emailResult = await sendEmail({
+            to: lead.email,
+            name: lead.name,
+            leadId: lead.leadId,
+            subject: original.subject,
+            content: original.content,
+            cta: original.cta,
+            templateVersion: original.templateVersion,
+            campaignId: original.campaignId,
+            resendOf: original.trackingId,
+            type: original.type
+        });
+        await emailLog.markResent(original.trackingId, emailResult.trackingId);
+        
+        console.log(`📧 Resent ${original.type} email ${original.trackingId} to ${lead.email}: ${emailResult.status}`);
+        res.status(emailResult.status === 'failed' ? 502 : 200).json({
+            success: emailResult.status === 'sent',
+            resendOf: original.trackingId,
+            emailResult
+        });
+    } catch (error) {
+        console.error('Email resend error:', error);
+        res.status(500).json({ error: 'Failed to resend email' });
+    }
+});
+
+/**
+ * Dead-letter list: sequence emails that failed permanently or ran out of retries
+ */
+app.get('/api/email/dead-letters', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const jobs = await emailScheduler.getDeadLetters({
+            limit: Math.min(parseInt(req.query.limit) || 100, 500)
+        });
+        
+        res.json({ total: jobs.length, jobs });
+    } catch (error) {
+        console.error('Dead-letter list error:', error);
+        res.status(500).json({ error: 'Failed to fetch dead-lettered emails' });
+    }
+});
+
+/**
+ * Inspect a dead-lettered job together with its delivery attempts
+ */
+app.get('/api/email/dead-letters/:jobId', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const job = await emailScheduler.getJob(req.params.jobId);
+        if (!job || job.status !== 'dead_letter') {
+            return res.status(404).json({ error: 'Dead-lettered job not found' });
+        }
+        
+        const messages = await emailLog.findByLead(job.leadId, { type: job.type });
+        res.json({ job, messages });
+    } catch (error) {
+        console.error('Dead-letter fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch dead-lettered email' });
+    }
+});
+
+app.post('/api/email/dead-letters/:jobId/requeue', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const job = await emailScheduler.requeueJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        console.log(`📧 Requeued ${job.type} email for ${job.email} (${job.jobId}) by ${req.user.email}`);
+        res.json({ success: true, job });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Dead-letter requeue error:', error);
+        res.status(500).json({ error: 'Failed to requeue email' });
+    }
+});
+
+/**
+ * Run the email scheduler once (for serverless cron triggers)
+ */
+app.post('/api/email/scheduler/run', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const processed = await emailScheduler.processDueJobs();
+        const expiredLeads = await expireUnverifiedLeads();
+        
+        res.json({
+            success: true,
+            processed,
+            expiredLeads,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Email scheduler run error:', error);
+        res.status(500).json({ error: 'Failed to run email scheduler' });
+    }
+});
+
+/**
+ * Email Automation Trigger
+ */
+app.post('/api/email/trigger', requireAdmin, async (req, res) => {
+    try {
+        const { email, name, assessmentData, sequenceType } = req.body;
+        
+        console.log(`📧 Triggering email sequence: ${sequenceType} for ${email}`);
+        
+        // Generate personalized email content
+        const emailContent = await generatePersonalizedEmail(assessmentData, sequenceType, { name });
+        
+        const emailResult = await sendEmail({
+            to: email,
+            name: name,
+            subject: emailContent.subject,
+            content: emailContent.content,
+            cta: emailContent.cta,
+            templateVersion: emailContent.templateVersion,
+            type: sequenceType
+        });
+        
+        if (emailResult.status === 'skipped') {
+            return res.json({ success: false, skipped: true, reason: emailResult.reason });
+        }
+        if (emailResult.status === 'failed') {
+            return res.status(502).json({ success: false, error: emailResult.error });
+        }
+        
+        res.json({ 
+            success: true, 
+            emailId: emailResult.id,
+            trackingId: emailResult.trackingId,
+            templateVersion: emailResult.templateVersion,
+            message: 'Email sequence triggered'
+        });
+        
+    } catch (error) {
+        console.error('Email trigger error:', error);
+        res.status(500).json({ error: 'Failed to trigger email' });
+    }
+});
+
+/**
+ * Email open pixel - always answers with the GIF so mail clients render normally
+ */
+app.get('/api/email/open/:token', async (req, res) => {
+    const trackingId = emailTracking.verifyOpenToken(req.params.token);
+    if (trackingId) {
+        try {
+            await ensureDbConnection();
+            await recordEmailEngagement(trackingId, 'open', { userAgent: req.get('user-agent') });
+        } catch (error) {
+            console.error('Email open tracking error:', error);
+        }
+    }
+    
+    res.set({
+        'Content-Type': 'image/gif',
+        'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+        'Content-Length': EmailTracking.PIXEL_GIF.length
+    });
+    res.end(EmailTracking.PIXEL_GIF);
+});
+
+/**
+ * Email click redirect - only follows links signed for the message
+ */
+app.get('/api/email/click', async (req, res) => {
+    const { m: trackingId, u: url, s: signature } = req.query;
+    
+    if (!emailTracking.verifyClick(trackingId, url, signature)) {
+        return res.status(400).json({ error: 'Invalid or tampered link' });
+    }
+    
+    try {
+        await ensureDbConnection();
+        await recordEmailEngagement(trackingId, 'click', { url, userAgent: req.get('user-agent') });
+    } catch (error) {
+        // Never block the visitor on tracking
+        console.error('Email click tracking error:', error);
+    }
+    
+    res.redirect(302, url);
+});
+
+/**
+ * Email engagement per sequence step: unique opens and clicks over messages sent in the range
+ */
+app.get('/api/email/engagement', requireAnyRole, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const { from, to, error } = parseDateRange(req.query, 30);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const stats = await emailTracking.getStepStats({ from, to });
+        const stepIndex = type => {
+            const index = EMAIL_SEQUENCE_STEPS.indexOf(type);
+            return index === -1 ? EMAIL_SEQUENCE_STEPS.length : index;
+        };
+        stats.sort((a, b) => stepIndex(a.type) - stepIndex(b.type) || a.type.localeCompare(b.type));
+        
+        res.json({
+            from: from.toISOString(),
+            to: to.toISOString(),
+            steps: stats
+        });
+    } catch (error) {
+        console.error('Email engagement error:', error);
+        res.status(500).json({ error: 'Failed to compute email engagement' });
+    }
+});
+
+/**
+ * Unsubscribe link: GET (a person clicking) shows the preference page to confirm,
+ * POST (RFC 8058 one-click from the mail client, or the page) unsubscribes
+ */
+app.get('/api/email/unsubscribe/:token', (req, res) => {
+    if (!emailPreferences.verifyToken(req.params.token)) {
+        return res.status(400).json({ error: 'Invalid or tampered link' });
+    }
+    res.redirect(302, `${emailPreferences.getPreferencesUrl(req.params.token)}&unsubscribe=1`);
+});
+
+/**
+ * Double opt-in confirmation link: verifies the lead, then sends the results
+ * email and schedules the follow-ups. Lands on the preference page either way.
+ */
+app.get('/api/email/confirm/:token', async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const confirmation = emailVerification.verifyToken(req.params.token);
+        if (!confirmation) {
+            return res.redirect(302, '/email/preferences?confirm=invalid');
+        }
+        
+        // Expired leads are deleted, so a missing lead means the window has passed
+        const lead = await findLeadById(confirmation.leadId);
+        if (!lead || (lead.emailStatus === 'unverified' && confirmation.expired)) {
+            return res.redirect(302, '/email/preferences?confirm=expired');
+        }
+        
+        if (lead.emailStatus === 'unverified') {
+            await confirmLeadEmail(lead);
+        }
+        
+        const preferencesToken = emailPreferences.createToken(lead.email, lead.leadId);
+        res.redirect(302, `${emailPreferences.getPreferencesUrl(preferencesToken)}&confirmed=1`);
+    } catch (error) {
+        console.error('Email confirmation error:', error);
+        res.status(500).json({ error: 'Failed to confirm email' });
+    }
+});
+
+app.post('/api/email/unsubscribe/:token', async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const identity = emailPreferences.verifyToken(req.params.token);
+        if (!identity) {
+            return res.status(400).json({ error: 'Invalid or tampered link' });
+        }
+        
+        const cancelled = await unsubscribeAddress(identity.email, { leadId: identity.leadId, reason: 'unsubscribed' });
+        
+        res.json({ success: true, email: identity.email, cancelledEmails: cancelled });
+    } catch (error) {
+        console.error('Unsubscribe error:', error);
+        res.status(500).json({ error: 'Failed to unsubscribe' });
+    }
+});
+
+/**
+ * Preference page data for a signed link
+ */
+app.get('/api/email/preferences/:token', async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const identity = emailPreferences.verifyToken(req.params.token);
+        if (!identity) {
+            return res.status(400).json({ error: 'Invalid or tampered link' });
+        }
+        
+        res.json(formatEmailPreferences(await emailPreferences.get(identity.email)));
+    } catch (error) {
+        console.error('Email preferences fetch error:', error);
+        res.status(500).json({ error: 'Failed to load email preferences' });
+    }
+});
+
+app.put('/api/email/preferences/:token', async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const identity = emailPreferences.verifyToken(req.params.token);
+        if (!identity) {
+            return res.status(400).json({ error: 'Invalid or tampered link' });
+        }
+        
+        const { paused, topics, subscribed } = req.body || {};
+        for (const [field, value] of Object.entries({ paused, subscribed })) {
+            if (value !== undefined && typeof value !== 'boolean') {
+                return res.status(400).json({ error: `${field} must be true or false` });
+            }
+        }
+        // Checked before an unsubscribe is applied, so a bad request changes nothing
+        if (topics !== undefined && (!Array.isArray(topics) || topics.some(topic => !Object.hasOwn(EmailPreferences.TOPICS, topic)))) {
+            return res.status(400).json({ error: `topics must be a list of: ${Object.keys(EmailPreferences.TOPICS).join(', ')}` });
+        }
+        if (subscribed === false) {
+            await unsubscribeAddress(identity.email, { leadId: identity.leadId, reason: 'unsubscribed' });
+        } else if (subscribed === true) {
+            // Resubscribing lifts the suppression; cancelled sequence emails are not restored
+            await emailPreferences.unsuppress(identity.email);
+        }
+        
+        const preferences = await emailPreferences.updatePreferences(identity.email, {
+            paused,
+            topics,
+            leadId: identity.leadId
+        });
+        
+        res.json({ success: true, ...formatEmailPreferences(preferences) });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Email preferences update error:', error);
+        res.status(500).json({ error: 'Failed to update email preferences' });
+    }
+});
+
+/**
+ * Suppression list management
+ */
+app.get('/api/email/suppressions', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const suppressions = await emailPreferences.listSuppressed();
+        res.json({ total: suppressions.length, suppressions });
+    } catch (error) {
+        console.error('Suppression list fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch suppression list' });
+    }
+});
+
+app.post('/api/email/suppressions', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const { email, reason = 'manual' } = req.body || {};
+        if (!email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+        if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+            return res.status(400).json({ error: 'email is invalid' });
+        }
+        
+        const cancelled = await unsubscribeAddress(email, { reason });
+        
+        res.status(201).json({ success: true, email: email.toLowerCase().trim(), cancelledEmails: cancelled });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Suppression add error:', error);
+        res.status(500).json({ error: 'Failed to suppress email' });
+    }
+});
+
+app.delete('/api/email/suppressions/:email', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const preferences = await emailPreferences.unsuppress(req.params.email);
+        res.json({ success: true, email: preferences.email });
+    } catch (error) {
+        console.error('Suppression removal error:', error);
+        res.status(500).json({ error: 'Failed to remove suppression' });
+    }
+});
+
+/**
+ * Email template management: every save is a new version, the newest is live
+ */
+app.get('/api/email/templates', requireAnyRole, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const templates = await emailTemplateStore.list();
+        res.json({ total: templates.length, templates });
+    } catch (error) {
+        console.error('Email templates fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch email templates' });
+    }
+});
+
+app.post('/api/email/templates', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const template = await emailTemplateStore.create(req.body, req.user.email);
+        res.status(201).json({ success: true, template });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Email template create error:', error);
+        res.status(500).json({ error: 'Failed to create email template' });
+    }
+});
+
+app.get('/api/email/templates/:key', requireAnyRole, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const template = await emailTemplateStore.getCurrent(req.params.key);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        
+        const versions = await emailTemplateStore.findVersions(req.params.key);
+        res.json({
+            template,
+            versions: versions.map(({ version, note, rolledBackFrom, createdBy, createdAt }) => ({
+                version, note, rolledBackFrom, createdBy, createdAt
+            })),
+            hasFileDefault: !!emailTemplateStore.getFileTemplate(req.params.key)
+        });
+    } catch (error) {
+        console.error('Email template fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch email template' });
+    }
+});
+
+app.get('/api/email/templates/:key/versions/:version', requireAnyRole, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const version = parseTemplateVersion(req.params.version);
+        if (version === null) {
+            return res.status(400).json({ error: TEMPLATE_VERSION_ERROR });
+        }
+        
+        const template = await emailTemplateStore.getVersion(req.params.key, version);
+        if (!template) {
+            return res.status(404).json({ error: 'Template version not found' });
+        }
+        res.json({ template });
+    } catch (error) {
+        console.error('Email template version fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch email template version' });
+    }
+});
+
+app.put('/api/email/templates/:key', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const template = await emailTemplateStore.update(req.params.key, req.body, req.user.email);
+        res.json({ success: true, template });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Email template update error:', error);
+        res.status(500).json({ error: 'Failed to update email template' });
+    }
+});
+
+app.post('/api/email/templates/:key/rollback', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const version = parseTemplateVersion((req.body || {}).version);
+        if (version === null) {
+            return res.status(400).json({ error: TEMPLATE_VERSION_ERROR });
+        }
+        
+        const template = await emailTemplateStore.rollback(req.params.key, version, req.user.email);
+        res.json({ success: true, template });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Email template rollback error:', error);
+        res.status(500).json({ error: 'Failed to roll back email template' });
+    }
+});
+
+app.delete('/api/email/templates/:key', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const deleted = await emailTemplateStore.remove(req.params.key);
+        if (deleted === 0) {
+            return res.status(404).json({ error: 'No saved versions for this template' });
+        }
+        
+        const fileDefault = emailTemplateStore.getFileTemplate(req.params.key);
+        res.json({ success: true, deletedVersions: deleted, live: fileDefault ? fileDefault.versionLabel : null });
+    } catch (error) {
+        console.error('Email template delete error:', error);
+        res.status(500).json({ error: 'Failed to delete email template' });
+    }
+});
+
+/**
+ * Render a template (live, a saved version, or an unsaved draft in the body)
+ * against a real lead or sample assessment data
+ */
+app.post('/api/email/templates/:key/preview', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const { leadId, version: requestedVersion, subject, template: draft, data: draftData } = req.body || {};
+        const version = requestedVersion === undefined ? undefined : parseTemplateVersion(requestedVersion);
+        if (version === null) {
+            return res.status(400).json({ error: TEMPLATE_VERSION_ERROR });
+        }
+        
+        let template = version !== undefined
+            ? await emailTemplateStore.getVersion(req.params.key, version)
+            : await emailTemplateStore.getCurrent(req.params.key);
+        if (!template && draft === undefined) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        if (draft !== undefined || subject !== undefined) {
+            template = {
+                ...(template || {}),
+                versionLabel: `${req.params.key}@draft`,
+                subject: subject !== undefined ? subject : template?.subject,
+                template: draft !== undefined ? draft : template?.template,
+                data: draftData !== undefined ? draftData : template?.data
+            };
+        }
+        
+        let recipient = SAMPLE_EMAIL_RECIPIENT;
+        if (leadId) {
+            recipient = await findLeadById(leadId);
+            if (!recipient) {
+                return res.status(404).json({ error: 'Lead not found' });
+            }
+        }
+        
+        let rendered;
+        try {
+            rendered = emailTemplates.renderTemplate(template, buildEmailTemplateData(recipient.assessmentAnswers, recipient, await getLeadAdvisor(recipient)));
+        } catch (error) {
+            return res.status(400).json({ error: `Template failed to render: ${error.message}` });
+        }
+        
+        res.json({
+            templateVersion: template.versionLabel,
+            lead: leadId ? { leadId: recipient.leadId, name: recipient.name, email: recipient.email } : null,
+            subject: rendered.subject,
+            content: rendered.content,
+            html: emailService.generateEmailHTML({
+                ...rendered,
+                name: recipient.name,
+                cta: 'Book Your Free Consultation',
+                ctaUrl: CONSULTATION_URL
+            })
+        });
+    } catch (error) {
+        console.error('Email template preview error:', error);
+        res.status(500).json({ error: 'Failed to preview email template' });
+    }
+});
+
+/**
+ * Email campaigns: resolve the audience, then send per-lead content in the background
+ */
+app.post('/api/campaigns', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const body = req.body || {};
+        const { name, templateKey } = body;
+        const audience = body.audience || {};
+        let { subject, content } = body;
+        let templateVersion = 'campaign@draft';
+        
+        // A saved template fills in whatever the request leaves out
+        if (templateKey) {
+            const template = await emailTemplateStore.getCurrent(templateKey);
+            if (!template) {
+                return res.status(404).json({ error: 'Template not found' });
+            }
+            subject = subject !== undefined ? subject : template.subject;
+            content = content !== undefined ? content : template.template;
+            if (subject === template.subject && content === template.template) {
+                templateVersion = template.versionLabel;
+            }
+        }
+        
+        if (typeof subject !== 'string' || !subject.trim() || typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ error: 'subject and content (or templateKey) are required' });
+        }
+        
+        // Catch template errors before anything is queued
+        try {
+            emailTemplates.renderTemplate({ subject, template: content }, buildEmailTemplateData(SAMPLE_EMAIL_RECIPIENT.assessmentAnswers, SAMPLE_EMAIL_RECIPIENT));
+        } catch (error) {
+            return res.status(400).json({ error: `Template failed to render: ${error.message}` });
+        }
+        
+        const leads = await resolveCampaignAudience(audience);
+        const campaign = await campaignService.createCampaign({
+            name: name ? String(name).slice(0, 100) : subject.slice(0, 100),
+            subject,
+            content,
+            templateVersion,
+            audience: {
+                type: audience.type,
+                status: audience.type === 'status' ? audience.status : undefined,
+                leadIds: audience.type === 'selected' ? audience.leadIds : undefined
+            },
+            createdBy: req.user.email
+        }, leads);
+        
+        await trackAnalyticsEvent('campaign_created', { campaignId: campaign.campaignId, recipients: campaign.counts.total });
+        
+        res.status(202).json({ success: true, campaign });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Campaign create error:', error);
+        res.status(500).json({ error: 'Failed to create campaign' });
+    }
+});
+
+app.get('/api/campaigns', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const campaigns = await campaignService.listCampaigns({ limit });
+        res.json({ campaigns, worker: campaignService.getStatus() });
+    } catch (error) {
+        console.error('Campaign list error:', error);
+        res.status(500).json({ error: 'Failed to fetch campaigns' });
+    }
+});
+
+app.get('/api/campaigns/:campaignId', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const campaign = await campaignService.getCampaign(req.params.campaignId);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        
+        const recipients = await campaignService.getRecipients(req.params.campaignId, {
+            status: req.query.status,
+            limit: Math.min(parseInt(req.query.limit) || 500, 5000)
+        });
+        res.json({ campaign, recipients });
+    } catch (error) {
+        console.error('Campaign fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch campaign' });
+    }
+});
+
+app.post('/api/campaigns/:campaignId/cancel', requireAdmin, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const campaign = await campaignService.cancelCampaign(req.params.campaignId);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        res.json({ success: true, campaign });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Campaign cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel campaign' });
+    }
+});
+
+/**
+ * Analytics Event Tracking
+ * Every event is appended to the event log with its visitor and session ids
+ */
+app.post('/api/analytics/track', async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const { event, data = {}, visitorId, sessionId, timestamp } = req.body;
+        
+        // Validate request
+        if (typeof event !== 'string' || !/^[a-z0-9_]{1,64}$/i.test(event)) {
+            return res.status(400).json({ error: 'event must be 1-64 letters, digits or underscores' });
+        }
+        if (typeof data !== 'object' || Array.isArray(data) || JSON.stringify(data).length > MAX_EVENT_DATA_BYTES) {
+            return res.status(400).json({ error: `data must be an object under ${MAX_EVENT_DATA_BYTES} bytes` });
+        }
+        
+        if (SERVER_RECORDED_EVENTS.includes(event)) {
+            return res.json({ success: true, ignored: true });
+        }
+        
+        // Client clocks can't be trusted far from now; keep the server time if skewed
+        const clientTime = timestamp ? new Date(timestamp) : null;
+        const useClientTime = clientTime && !isNaN(clientTime) && Math.abs(Date.now() - clientTime) < 24 * 60 * 60 * 1000;
+        
+        await trackAnalyticsEvent(event, data, {
+            visitorId: typeof visitorId === 'string' ? visitorId.slice(0, 64) : undefined,
+            sessionId: typeof sessionId === 'string' ? sessionId.slice(0, 64) : undefined,
+            timestamp: useClientTime ? clientTime : undefined
+        });
+        
+        res.json({ success: true });
+        
+    } catch (error) {
+        console.error('Analytics tracking error:', error);
+        res.status(500).json({ error: 'Failed to track event' });
+    }
+});
+
+/**
+ * Event trend data for charts
+ * Query: events=page_view,lead_captured&interval=day|week&from=ISO&to=ISO
+ */
+app.get('/api/analytics/trends', requireAnyRole, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const { interval = 'day' } = req.query;
+        const events = String(req.query.events || Object.values(AnalyticsStore.COUNTER_EVENTS).join(','))
+            .split(',')
+            .map(event => event.trim())
+            .filter(Boolean);
+        
+        if (!['day', 'week'].includes(interval)) {
+            return res.status(400).json({ error: 'interval must be day or week' });
+        }
+        
+        const { from, to, error } = parseDateRange(req.query, 30);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const trend = await analyticsStore.getTrend(events, { interval, from, to });
+        
+        res.json({
+            interval,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            events,
+            trend
+        });
+    } catch (error) {
+        console.error('Analytics trends error:', error);
+        res.status(500).json({ error: 'Failed to fetch analytics trends' });
+    }
+});
+
+/**
+ * Conversion funnel built from the configured stages
+ * Query: from=ISO&to=ISO (defaults to the last 30 days)
+ */
+app.get('/api/analytics/funnel', requireAnyRole, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const { from, to, error } = parseDateRange(req.query, 30);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const stages = await funnelMetrics.getFunnel({ from, to });
+        
+        res.json({
+            from: from.toISOString(),
+            to: to.toISOString(),
+            stages
+        });
+    } catch (error) {
+        console.error('Funnel analytics error:', error);
+        res.status(500).json({ error: 'Failed to compute funnel' });
+    }
+});
+
+/**
+ * Primary KPIs evaluated from the configured formulas, with target and baseline
+ * Query: from=ISO&to=ISO (defaults to the last 30 days)
+ */
+app.get('/api/analytics/kpis', requireAnyRole, async (req, res) => {
+    try {
+        await ensureDbConnection();
+        
+        const { from, to, error } = parseDateRange(req.query, 30);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const kpis = await funnelMetrics.getKpis({ from, to });
+        
+        res.json({
+            from: from.toISOString(),
+            to: to.toISOString(),
+            kpis
+        });
+    } catch (error) {
+        console.error('KPI analytics error:', error);
+        res.status(500).json({ error: 'Failed to compute KPIs' });
+    }
+});
+
+/**
+ * Email Generation and Sending Functions
+ */
+async function generatePersonalizedEmail(assessmentData, sequenceType, recipient = {}) {
+    try {
+        if (aiClient.isConfigured('email-generation')) {
+            const built = promptBuilder.build('email-generation', {
+                emailType: sequenceType,
+                assessmentAnswers: assessmentData || {}
+            }, { internal: true });
+            const response = await getAIContent('email-generation', built);
+            return { ...response.data, templateVersion: built.version };
+        }
+    } catch (error) {
+        console.error('Email generation failed:', error);
+        aiValidator.record('email-generation', 'fallback');
+    }
+    
+    // Enhanced fallback with actual personalization
+    console.log('📧 Using fallback email generation with assessment data processing');
+    return await generateFallbackEmail(assessmentData, sequenceType, recipient);
+}
+
+/**
+ * Generate fallback email with actual personalization based on assessment data
+ */
+async function generateFallbackEmail(assessmentData, sequenceType, recipient = {}) {
+    console.log(`📧 Generating fallback email - Type: ${sequenceType}`, {
+        hasAssessmentData: !!assessmentData,
+        assessmentKeys: assessmentData ? Object.keys(assessmentData) : []
+    });
+    
+    const data = buildEmailTemplateData(assessmentData, recipient, await getLeadAdvisor(recipient));
+    
+    // Every sequence step has its own template; unknown types get the generic roadmap email
+    let template = null;
+    try {
+        template = await emailTemplateStore.getCurrent(sequenceType);
+    } catch (error) {
+        console.error('Email template lookup failed:', error);
+    }
+    if (!template) {
+        console.log(`⚠️ No email template for "${sequenceType}" - using the generic roadmap email`);
+    }
+    
+    let rendered;
+    try {
+        rendered = emailTemplates.renderTemplate(template || FALLBACK_EMAIL_TEMPLATE, data);
+    } catch (error) {
+        console.error(`Email template ${template.versionLabel} failed to render:`, error);
+        template = null;
+        rendered = emailTemplates.renderTemplate(FALLBACK_EMAIL_TEMPLATE, data);
+    }
+    
+    const emailResult = {
+        ...rendered,
+        cta: 'Book Your Free Consultation',
+        templateVersion: template ? template.versionLabel : 'generic'
+    };
+    
+    console.log(`✅ Successfully generated personalized email:`, {
+        template: emailResult.templateVersion,
+        subject: emailResult.subject,
+        contentLength: emailResult.content.length
+    });
+    
+    return emailResult;
+}
+
+// Labels for the assessment's interest answers, as used in email copy
+const INTEREST_LABELS = {
+    machine_learning: 'machine learning',
+    data_science: 'data science',
+    mlops: 'MLOps',
+    ai_research: 'AI research'
+};
+
+/**
+ * Values available to email templates. Lead-supplied values are escaped by the engine.
+ * @param {Object} [advisor] - The lead's counselor (getLeadAdvisor); signs the email
+ */
+function buildEmailTemplateData(assessmentData, recipient = {}, advisor = null) {
+    const answers = assessmentData || {};
+    const recommendation = generateCourseRecommendation(assessmentData);
+    
+    return {
+        name: recipient.name || answers.name || 'there',
+        interest: answers.interest || null,
+        interestLabel: INTEREST_LABELS[answers.interest] || answers.interest || null,
+        experience: answers.experience || null,
+        careerGoal: answers.career_goal || null,
+        ...recommendation,
+        roadmap: generateDetailedRoadmap(assessmentData, recommendation),
+        ctaLink: `<a href="${CONSULTATION_URL}">${CONSULTATION_URL}</a>`,
+        advisorName: advisor?.name || DEFAULT_ADVISOR_NAME,
+        // Otherwise each template's own advisorTitle applies
+        ...(advisor?.title && { advisorTitle: advisor.title })
+    };
+}
+
+// Stand-in lead for template previews
+const SAMPLE_EMAIL_RECIPIENT = {
+    name: 'Priya',
+    email: 'priya@example.com',
+    assessmentAnswers: { interest: 'data_science', experience: 'intermediate', career_goal: 'switch_to_ai' }
+};
+
+// Used when a sequence type has no template (and if the templates file fails to load)
+const FALLBACK_EMAIL_TEMPLATE = {
+    subject: 'Your Personalized AI Career Roadmap',
+    data: { advisorTitle: 'The Scaler Team' },
+    template: [
+        'Hi {{name}}!',
+        '',
+        'Thank you for completing our career assessment. Based on your responses, we\'ve created a personalized roadmap for your AI career transformation.',
+        '',
+        '**Your Recommended Path:** {{recommendedCourse}}',
+        '',
+        '**Why this is perfect for you:**',
+        '{{reasoning}}',
+        '',
+        '**Expected Outcome:**',
+        '{{expectedOutcome}}',
+        '',
+        '**Your Personalized Learning Roadmap:**',
+        '**Timeline:** {{roadmap.timeline}}',
+        '{{#each roadmap.phases}}',
+        '**Phase {{@number}}: {{title}} ({{months}})**',
+        '{{#each items}}• {{this}}',
+        '{{/each}}{{/each}}',
+        '**Success Story:**',
+        '{{successStory}}',
+        '',
+        'Book your free consultation: {{{ctaLink}}}',
+        '',
+        'Best regards,',
+        '{{advisorName}}',
+        '{{advisorTitle}}'
+    ]
+};
+
+/**
+ * Generate course recommendation based on assessment data
+ */
+function generateCourseRecommendation(assessmentData) {
+    if (!assessmentData) {
+        return {
+            recommendedCourse: 'AI & Machine Learning Program',
             reasoning: 'Our comprehensive program offers the best career advancement opportunities in the rapidly growing AI field.',
             expectedOutcome: 'Achieve a 2-3x salary increase and land roles at top tech companies within 12 months.',
             successStory: 'Like Rahul, who went from a software developer to AI Engineer at Google with a 120% salary increase.'
@@ -693,6 +2498,7 @@ function generateCourseRecommendation(assessmentData) {
 
 /**
  * Generate detailed roadmap based on assessment data and course recommendation
+ * @returns {{timeline: string, phases: Array<{title: string, months: string, items: string[]}>}}
  */
 function generateDetailedRoadmap(assessmentData, recommendation) {
     const { interest, experience, background, career_goal } = assessmentData || {};
@@ -825,143 +2631,1246 @@ function generateDetailedRoadmap(assessmentData, recommendation) {
         };
     }
     
-    // Adjust timeline based on experience level
-    let timeline = "12 months";
-    if (experience === 'beginner') {
-        timeline = "15 months (includes extended foundation period)";
-    } else if (experience === 'expert') {
-        timeline = "9 months (accelerated track available)";
+    // Adjust timeline based on experience level
+    let timeline = "12 months";
+    if (experience === 'beginner') {
+        timeline = "15 months (includes extended foundation period)";
+    } else if (experience === 'expert') {
+        timeline = "9 months (accelerated track available)";
+    }
+    
+    return {
+        timeline,
+        phases: [
+            { title: 'Foundation Building', months: 'Months 1-3', items: roadmap.foundation },
+            { title: 'Core Skills Development', months: 'Months 4-8', items: roadmap.core },
+            { title: 'Specialization & Advanced Topics', months: 'Months 9-11', items: roadmap.specialization },
+            { title: 'Career Transition & Job Placement', months: 'Month 12+', items: roadmap.career }
+        ]
+    };
+}
+
+async function sendEmail(emailData) {
+    // Every message gets its own tracking id for the open pixel, click redirects and the delivery log
+    const trackingId = emailTracking.createTrackingId();
+    
+    // The suppression list and topic preferences are checked before every send
+    const check = await emailPreferences.checkSend(emailData.to, emailData.type);
+    if (!check.allowed) {
+        console.log(`🚫 Email not sent to ${emailData.to} (${emailData.type}): ${check.reason}`);
+        const skipped = {
+            id: null,
+            status: 'skipped',
+            reason: check.reason,
+            trackingId,
+            timestamp: new Date().toISOString()
+        };
+        await logEmailMessage(emailData, skipped);
+        return skipped;
+    }
+    
+    const preferencesToken = emailPreferences.createToken(emailData.to, emailData.leadId);
+    const message = {
+        ctaUrl: CONSULTATION_URL,
+        unsubscribeUrl: emailPreferences.getUnsubscribeUrl(preferencesToken),
+        preferencesUrl: emailPreferences.getPreferencesUrl(preferencesToken),
+        ...emailData
+    };
+    message.html = emailTracking.instrumentHtml(emailService.generateEmailHTML(message), trackingId);
+    
+    // Delivered through the configured transports, in failover order
+    let sent;
+    try {
+        const result = await emailService.sendEmail(message);
+        sent = {
+            id: result.messageId || null,
+            status: result.success ? 'sent' : 'failed',
+            timestamp: result.timestamp,
+            provider: result.provider,
+            attempts: result.attempts,
+            permanent: result.permanent,
+            trackingId,
+            templateVersion: emailData.templateVersion,
+            error: result.error
+        };
+        
+        if (sent.status === 'sent') {
+            await emailTracking.recordSent({
+                trackingId,
+                leadId: emailData.leadId,
+                email: emailData.to,
+                type: emailData.type,
+                templateVersion: emailData.templateVersion
+            })
+                .catch(error => console.error('Failed to record email send:', error));
+        }
+    } catch (error) {
+        console.error('Failed to send email:', error);
+        sent = {
+            id: null,
+            status: 'failed',
+            trackingId,
+            timestamp: new Date().toISOString(),
+            error: error.message
+        };
+    }
+    
+    await logEmailMessage(emailData, sent);
+    return sent;
+}
+
+/**
+ * Store a send outcome in the delivery log; logging problems never fail the send
+ */
+async function logEmailMessage(emailData, result) {
+    await emailLog.record({
+        trackingId: result.trackingId,
+        leadId: emailData.leadId,
+        email: emailData.to,
+        name: emailData.name,
+        type: emailData.type,
+        templateVersion: emailData.templateVersion,
+        subject: emailData.subject,
+        content: emailData.content,
+        cta: emailData.cta,
+        campaignId: emailData.campaignId,
+        resendOf: emailData.resendOf,
+        status: result.status,
+        provider: result.provider,
+        messageId: result.id || undefined,
+        attempts: result.attempts,
+        error: result.status === 'skipped' ? result.reason : result.error
+    }).catch(error => console.error('Failed to log email message:', error));
+    
+    // Skipped emails never left the server, so they stay off the timeline
+    if (emailData.leadId && ['sent', 'failed'].includes(result.status)) {
+        await recordLeadActivity({
+            leadId: emailData.leadId,
+            type: result.status === 'sent' ? 'email_sent' : 'email_failed',
+            data: {
+                emailType: emailData.type,
+                subject: emailData.subject,
+                trackingId: result.trackingId,
+                campaignId: emailData.campaignId,
+                error: result.status === 'failed' ? result.error : undefined
+            }
+        });
+    }
+}
+
+async function triggerWelcomeEmail(leadData) {
+    if (await emailLog.hasSent(leadData.leadId, 'welcome')) {
+        return { id: null, status: 'skipped', reason: 'Already sent to this lead' };
+    }
+    // A queued retry (or import job) will deliver it; sending now would be a duplicate
+    if (await emailScheduler.findOpenJob(leadData.leadId, 'welcome')) {
+        return { id: null, status: 'skipped', reason: 'Already queued for this lead' };
+    }
+    
+    const emailContent = await generatePersonalizedEmail(leadData.assessmentAnswers, 'welcome', leadData);
+    const result = await sendEmail({
+        to: leadData.email,
+        name: leadData.name,
+        leadId: leadData.leadId,
+        subject: emailContent.subject,
+        content: emailContent.content,
+        cta: emailContent.cta,
+        templateVersion: emailContent.templateVersion,
+        type: 'welcome'
+    });
+    
+    // A failed welcome email is retried by the scheduler (or dead-lettered if permanent)
+    if (result.status === 'failed') {
+        await emailScheduler.enqueueFailedSend(leadData, 'welcome', result)
+            .catch(error => console.error(`Failed to queue welcome email retry for ${leadData.email}:`, error));
+    }
+    return result;
+}
+
+// Follow-up emails sent after the welcome email
+const EMAIL_SEQUENCE_SCHEDULE = [
+    { delay: 24 * 60 * 60 * 1000, type: 'assessment_results' }, // 24 hours
+    { delay: 3 * 24 * 60 * 60 * 1000, type: 'success_stories' }, // 3 days
+    { delay: 5 * 24 * 60 * 60 * 1000, type: 'course_deep_dive' }, // 5 days
+    { delay: 7 * 24 * 60 * 60 * 1000, type: 'social_proof' }, // 7 days
+    { delay: 10 * 24 * 60 * 60 * 1000, type: 'final_cta' } // 10 days
+];
+const EMAIL_SEQUENCE_STEPS = ['welcome', ...EMAIL_SEQUENCE_SCHEDULE.map(step => step.type)];
+
+const CONFIRMATION_EMAIL_TYPE = 'confirm_email';
+// A returning unverified visitor gets a fresh confirmation link at most this often
+const CONFIRMATION_RESEND_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Send the double opt-in email with the lead's signed confirmation link.
+ * Failures are queued for retry like the welcome email (unless this is the retry).
+ */
+async function sendConfirmationEmail(lead, { retry = false } = {}) {
+    const token = emailVerification.createToken(lead.leadId, lead.verificationExpiresAt);
+    const confirmUrl = emailVerification.getConfirmUrl(token);
+    const template = await emailTemplateStore.getCurrent(CONFIRMATION_EMAIL_TYPE);
+    const rendered = emailTemplates.renderTemplate(template, {
+        ...buildEmailTemplateData(lead.assessmentAnswers, lead, await getLeadAdvisor(lead)),
+        confirmLink: `<a href="${confirmUrl}">${confirmUrl}</a>`,
+        confirmExpiresIn: emailVerification.describeWindow()
+    });
+    
+    const result = await sendEmail({
+        to: lead.email,
+        name: lead.name,
+        leadId: lead.leadId,
+        subject: rendered.subject,
+        content: rendered.content,
+        cta: 'Confirm My Email',
+        ctaUrl: confirmUrl,
+        templateVersion: template.versionLabel,
+        type: CONFIRMATION_EMAIL_TYPE
+    });
+    
+    if (result.status === 'failed' && !retry) {
+        await emailScheduler.enqueueFailedSend(lead, CONFIRMATION_EMAIL_TYPE, result)
+            .catch(error => console.error(`Failed to queue confirmation email retry for ${lead.email}:`, error));
+    }
+    return result;
+}
+
+/**
+ * Send an unverified lead a new confirmation link with a fresh expiry window,
+ * unless one went out within CONFIRMATION_RESEND_INTERVAL
+ * @returns {Promise<boolean>} Whether a confirmation email was sent
+ */
+async function resendConfirmationEmail(lead) {
+    const [lastSent] = await emailLog.findByLead(lead.leadId, { type: CONFIRMATION_EMAIL_TYPE, status: 'sent', limit: 1 });
+    if (lastSent && Date.now() - new Date(lastSent.createdAt).getTime() < CONFIRMATION_RESEND_INTERVAL) {
+        return false;
+    }
+    
+    const verificationExpiresAt = emailVerification.getExpiresAt();
+    const dbStatus = database.getConnectionStatus();
+    if (dbStatus.connected) {
+        await Lead.updateOne({ leadId: lead.leadId, emailStatus: 'unverified' }, { $set: { verificationExpiresAt } });
+    } else {
+        const stored = fallbackLeads.find(l => l.leadId === lead.leadId);
+        if (stored) stored.verificationExpiresAt = verificationExpiresAt;
+    }
+    
+    const result = await sendConfirmationEmail({ ...lead, verificationExpiresAt });
+    return result.status === 'sent';
+}
+
+/**
+ * Mark a lead's address as confirmed and start its email sequence.
+ * The update only applies to unverified leads, so a double click starts it once.
+ */
+async function confirmLeadEmail(lead) {
+    const verifiedAt = new Date();
+    let confirmed;
+    
+    const dbStatus = database.getConnectionStatus();
+    if (dbStatus.connected) {
+        confirmed = await Lead.findOneAndUpdate(
+            { leadId: lead.leadId, emailStatus: 'unverified' },
+            { $set: { emailStatus: 'verified', verifiedAt }, $unset: { verificationExpiresAt: 1 } },
+            { new: true }
+        ).lean();
+    } else {
+        confirmed = fallbackLeads.find(l => l.leadId === lead.leadId && l.emailStatus === 'unverified') || null;
+        if (confirmed) {
+            Object.assign(confirmed, { emailStatus: 'verified', verifiedAt });
+            delete confirmed.verificationExpiresAt;
+        }
+    }
+    if (!confirmed) return null;
+    
+    console.log(`✅ Email confirmed: ${confirmed.email} (${confirmed.leadId})`);
+    await emailScheduler.cancelJobsForLead(confirmed.leadId, 'email confirmed');
+    await trackAnalyticsEvent('email_confirmed', { leadId: confirmed.leadId });
+    await recordLeadActivity({ leadId: confirmed.leadId, type: 'email_confirmed', actor: 'lead', occurredAt: verifiedAt });
+    
+    await triggerWelcomeEmail(confirmed);
+    await scheduleEmailSequence(confirmed);
+    return confirmed;
+}
+
+/**
+ * Delete double opt-in leads that never confirmed within their window
+ * @returns {Promise<number>} Number of leads removed
+ */
+async function expireUnverifiedLeads() {
+    const now = new Date();
+    let expired;
+    
+    const dbStatus = database.getConnectionStatus();
+    if (dbStatus.connected) {
+        expired = await Lead.find(
+            { emailStatus: 'unverified', verificationExpiresAt: { $lte: now } },
+            { leadId: 1, email: 1 }
+        ).lean();
+        if (expired.length > 0) {
+            await Lead.deleteMany({ leadId: { $in: expired.map(lead => lead.leadId) }, emailStatus: 'unverified' });
+        }
+    } else {
+        expired = fallbackLeads.filter(lead =>
+            lead.emailStatus === 'unverified' && new Date(lead.verificationExpiresAt) <= now);
+        fallbackLeads = fallbackLeads.filter(lead => !expired.includes(lead));
+    }
+    
+    for (const lead of expired) {
+        await emailScheduler.cancelJobsForLead(lead.leadId, 'lead expired');
+        console.log(`🗑️ Unconfirmed lead expired: ${lead.email} (${lead.leadId})`);
+    }
+    return expired.length;
+}
+
+async function scheduleEmailSequence(leadData) {
+    // Follow-up emails are persisted as jobs so restarts and deploys don't drop them
+    try {
+        const preferences = await emailPreferences.get(leadData.email);
+        if (preferences.suppressed) {
+            console.log(`🚫 Not scheduling follow-up emails for suppressed address ${leadData.email}`);
+            return;
+        }
+        
+
+        const jobs = await emailScheduler.scheduleSequence(leadData, EMAIL_SEQUENCE_SCHEDULE);
+        console.log(`⏰ Scheduled ${jobs.length} follow-up emails for ${leadData.email}`);
+    } catch (error) {
+        console.error(`Failed to schedule follow-up emails for ${leadData.email}:`, error);
+    }
+}
+
+/**
+ * Send a due scheduled email job (called by the email scheduler worker)
+ */
+async function sendScheduledEmail(job) {
+    // Use the current lead record so edits made after scheduling are respected
+    const lead = await findLeadById(job.leadId);
+    if (!lead) {
+        return { status: 'skipped', reason: 'Lead not found' };
+    }
+    
+    // Retries and requeues must never deliver a step the lead already received
+    if (await emailLog.hasSent(lead.leadId, job.type)) {
+        return { status: 'skipped', reason: 'Already sent to this lead' };
+    }
+    
+    if (job.type === CONFIRMATION_EMAIL_TYPE) {
+        return lead.emailStatus === 'unverified'
+            ? sendConfirmationEmail(lead, { retry: true })
+            : { status: 'skipped', reason: 'Email already confirmed' };
+    }
+    
+    // A paused sequence keeps its jobs and checks again later
+    const preferences = await emailPreferences.get(lead.email);
+    if (preferences.paused && !preferences.suppressed) {
+        return { status: 'deferred', runAt: new Date(Date.now() + PAUSED_EMAIL_RETRY_MS), reason: 'Sequence paused by lead' };
+    }
+    
+    const emailContent = await generatePersonalizedEmail(lead.assessmentAnswers, job.type, lead);
+    return sendEmail({
+        to: lead.email,
+        name: lead.name,
+        leadId: lead.leadId,
+        subject: emailContent.subject,
+        content: emailContent.content,
+        cta: emailContent.cta,
+        templateVersion: emailContent.templateVersion,
+        type: job.type
+    });
+}
+
+/**
+ * Leads a campaign goes to: everyone, one status, or hand-picked leadIds,
+ * leaving out unconfirmed double opt-in leads
+ * @throws {Error} with statusCode 400 for an invalid audience
+ */
+async function resolveCampaignAudience(audience) {
+    const filter = CampaignService.buildAudienceFilter(audience, LEAD_STATUSES);
+    
+    const dbStatus = database.getConnectionStatus();
+    if (dbStatus.connected) {
+        return Lead.find(filter, { leadId: 1, email: 1, name: 1 }).sort({ createdAt: 1 }).lean();
+    }
+    return fallbackLeads.filter(lead => CampaignService.matchesAudience(lead, filter));
+}
+
+/**
+ * Render and send one campaign email (called by the campaign worker)
+ */
+async function sendCampaignEmail(recipient) {
+    const campaign = await campaignService.getCampaign(recipient.campaignId);
+    if (!campaign || campaign.status !== 'sending') {
+        return { status: 'skipped', reason: 'Campaign is no longer sending' };
+    }
+    
+    // Use the current lead record so edits made after queueing are respected
+    const lead = await findLeadById(recipient.leadId);
+    if (!lead) {
+        return { status: 'skipped', reason: 'Lead not found' };
+    }
+    // Double opt-in: bulk mail only goes to confirmed addresses
+    if (lead.emailStatus === 'unverified') {
+        return { status: 'skipped', reason: 'Email address not confirmed' };
+    }
+    
+    const preferences = await emailPreferences.get(lead.email);
+    if (preferences.paused && !preferences.suppressed) {
+        return { status: 'skipped', reason: 'Emails paused by lead' };
+    }
+    
+    const rendered = emailTemplates.renderTemplate(
+        { subject: campaign.subject, template: campaign.content },
+        buildEmailTemplateData(lead.assessmentAnswers, lead, await getLeadAdvisor(lead))
+    );
+    
+    return sendEmail({
+        to: lead.email,
+        name: lead.name,
+        leadId: lead.leadId,
+        subject: rendered.subject,
+        content: rendered.content,
+        cta: 'Book Your Free Consultation',
+        templateVersion: campaign.templateVersion,
+        campaignId: campaign.campaignId,
+        type: 'campaign'
+    });
+}
+
+/**
+ * Utility Functions
+ */
+function generateLeadId() {
+    return `lead_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Filter and sort for the lead list and export from their query params
+ * (counselors only see their assigned leads):
+ *   q              name/email search (literal text, case-insensitive)
+ *   status, source one or more comma-separated values
+ *   assignedTo     counselor userId(s), 'unassigned' for leads without one
+ *   answers.<key>  assessment answer value(s), e.g. answers.timeline=immediately
+ *   from, to       created date range
+ *   minScore, maxScore
+ *   emailEngagement opened, clicked or none
+ *   sort           comma-separated fields, '-' for descending, e.g. -score,name
+ * @returns {{filter: Object, matches: function, sort: Object, compare: function, facetQuery: function}}
+ *   MongoDB filter and sort, their in-memory equivalents, and facetQuery(field)
+ *   giving the filter without that field's own condition (for facet counts)
+ * @throws {Error} with statusCode 400 for invalid params
+ */
+function buildLeadListQuery(query, user) {
+    const leadScope = getLeadScope(user);
+    // Each condition: the field it constrains, its MongoDB filter and in-memory test
+    const conditions = [];
+    const single = value => (Array.isArray(value) ? value[value.length - 1] : value);
+    const list = value => [].concat(value || []).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+    
+    const q = single(query.q);
+    if (typeof q === 'string' && q.trim()) {
+        const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+        conditions.push({
+            field: 'q',
+            filter: { $or: [{ name: pattern }, { email: pattern }] },
+            test: lead => pattern.test(lead.name || '') || pattern.test(lead.email || '')
+        });
+    }
+    
+    const statuses = list(query.status);
+    const invalidStatus = statuses.find(status => !LEAD_STATUSES.includes(status));
+    if (invalidStatus) {
+        throw httpError(400, `Invalid status "${invalidStatus}". Allowed: ${LEAD_STATUSES.join(', ')}`);
+    }
+    if (statuses.length > 0) {
+        conditions.push({ field: 'status', filter: { status: { $in: statuses } }, test: lead => statuses.includes(lead.status) });
+    }
+    
+    const sources = list(query.source);
+    if (sources.length > 0) {
+        conditions.push({ field: 'source', filter: { source: { $in: sources } }, test: lead => sources.includes(lead.source) });
+    }
+    
+    const assignees = list(query.assignedTo);
+    if (assignees.length > 0) {
+        const userIds = assignees.filter(assignee => assignee !== 'unassigned');
+        const includeUnassigned = userIds.length < assignees.length;
+        conditions.push({
+            field: 'assignedTo',
+            // null also matches leads without the field
+            filter: { assignedTo: { $in: includeUnassigned ? [...userIds, null, ''] : userIds } },
+            test: lead => (lead.assignedTo ? userIds.includes(lead.assignedTo) : includeUnassigned)
+        });
+    }
+    
+    Object.keys(query).filter(param => param.startsWith('answers.')).forEach(param => {
+        const key = param.slice('answers.'.length);
+        if (!/^[A-Za-z][A-Za-z0-9_]{0,49}$/.test(key)) {
+            throw httpError(400, `Invalid assessment answer key "${key}"`);
+        }
+        const values = list(query[param]);
+        if (values.length === 0) return;
+        conditions.push({
+            field: param,
+            filter: { [`assessmentAnswers.${key}`]: { $in: values } },
+            test: lead => values.includes(String(lead.assessmentAnswers?.[key]))
+        });
+    });
+    
+    const from = single(query.from) ? new Date(single(query.from)) : null;
+    const to = single(query.to) ? new Date(single(query.to)) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        throw httpError(400, 'from and to must be valid dates');
+    }
+    if (from || to) {
+        conditions.push({
+            field: 'createdAt',
+            filter: { createdAt: { ...(from && { $gte: from }), ...(to && { $lte: to }) } },
+            test: lead => (!from || new Date(lead.createdAt) >= from) && (!to || new Date(lead.createdAt) <= to)
+        });
+    }
+    
+    const minScore = single(query.minScore) !== undefined ? Number(single(query.minScore)) : null;
+    const maxScore = single(query.maxScore) !== undefined ? Number(single(query.maxScore)) : null;
+    if ((minScore !== null && isNaN(minScore)) || (maxScore !== null && isNaN(maxScore))) {
+        throw httpError(400, 'minScore and maxScore must be numbers');
+    }
+    if (minScore !== null || maxScore !== null) {
+        conditions.push({
+            field: 'score',
+            filter: { score: { ...(minScore !== null && { $gte: minScore }), ...(maxScore !== null && { $lte: maxScore }) } },
+            test: lead => typeof lead.score === 'number' &&
+                (minScore === null || lead.score >= minScore) && (maxScore === null || lead.score <= maxScore)
+        });
+    }
+    
+    const emailEngagement = single(query.emailEngagement);
+    if (emailEngagement !== undefined) {
+        const opened = lead => (lead.engagementEvents?.email_opened || 0) > 0;
+        const clicked = lead => (lead.engagementEvents?.email_clicked || 0) > 0;
+        const engagementConditions = {
+            opened: { filter: { 'engagementEvents.email_opened': { $gt: 0 } }, test: opened },
+            clicked: { filter: { 'engagementEvents.email_clicked': { $gt: 0 } }, test: clicked },
+            none: {
+                filter: { 'engagementEvents.email_opened': { $not: { $gt: 0 } }, 'engagementEvents.email_clicked': { $not: { $gt: 0 } } },
+                test: lead => !opened(lead) && !clicked(lead)
+            }
+        };
+        if (!engagementConditions[emailEngagement]) {
+            throw httpError(400, `Invalid emailEngagement "${emailEngagement}". Allowed: ${Object.keys(engagementConditions).join(', ')}`);
+        }
+        conditions.push({ field: 'emailEngagement', ...engagementConditions[emailEngagement] });
+    }
+    
+    const sortFields = list(single(query.sort) || '-createdAt').map(spec => ({
+        field: spec.replace(/^-/, ''),
+        direction: spec.startsWith('-') ? -1 : 1
+    }));
+    const invalidSort = sortFields.find(({ field }) => !LEAD_SORT_FIELDS.includes(field));
+    if (invalidSort) {
+        throw httpError(400, `Cannot sort by "${invalidSort.field}". Allowed: ${LEAD_SORT_FIELDS.join(', ')}`);
+    }
+    if (!sortFields.some(({ field }) => field === 'createdAt')) {
+        // Stable pages when the sort field has ties
+        sortFields.push({ field: 'createdAt', direction: -1 });
+    }
+    
+    const facetQuery = except => {
+        const active = conditions.filter(condition => condition.field !== except);
+        return {
+            filter: active.length > 0 ? { ...leadScope, $and: active.map(condition => condition.filter) } : { ...leadScope },
+            matches: lead => matchesLeadScope(lead, leadScope) && active.every(condition => condition.test(lead))
+        };
+    };
+    
+    return {
+        ...facetQuery(null),
+        facetQuery,
+        sort: Object.fromEntries(sortFields.map(({ field, direction }) => [field, direction])),
+        compare: (a, b) => {
+            for (const { field, direction } of sortFields) {
+                const result = compareLeadValues(a[field], b[field]);
+                if (result !== 0) return result * direction;
+            }
+            return 0;
+        }
+    };
+}
+
+/**
+ * Compare two lead field values for sorting; missing values sort first ascending
+ */
+function compareLeadValues(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (a instanceof Date || /^\d{4}-\d{2}-\d{2}T/.test(a)) {
+        return new Date(a) - new Date(b);
+    }
+    return String(a).localeCompare(String(b));
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Lead counts per status and per source; each facet ignores its own filter
+ * so the counts show what choosing another value would return
+ */
+async function getLeadFacets(listQuery) {
+    const dbStatus = database.getConnectionStatus();
+    const countBy = async field => {
+        const { filter, matches } = listQuery.facetQuery(field);
+        let groups;
+        if (dbStatus.connected) {
+            groups = await Lead.aggregate([{ $match: filter }, { $group: { _id: `$${field}`, count: { $sum: 1 } } }]);
+        } else {
+            const counts = {};
+            fallbackLeads.filter(matches).forEach(lead => {
+                counts[lead[field]] = (counts[lead[field]] || 0) + 1;
+            });
+            groups = Object.entries(counts).map(([_id, count]) => ({ _id, count }));
+        }
+        return Object.fromEntries(groups.filter(group => group._id).map(group => [group._id, group.count]));
+    };
+    
+    const [status, source] = await Promise.all([countBy('status'), countBy('source')]);
+    return {
+        status: Object.fromEntries(LEAD_STATUSES.map(value => [value, status[value] || 0])),
+        source
+    };
+}
+
+/**
+ * Validate and pick the editable fields from a lead update payload
+ * @returns {{updates: Object, error?: string}}
+ */
+function validateLeadUpdate(body, allowedFields) {
+    const updates = {};
+    
+    for (const field of allowedFields) {
+        if (body[field] !== undefined) {
+            updates[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+        }
+    }
+    
+    if (Object.keys(updates).length === 0) {
+        return { updates, error: `Nothing to update. Allowed fields: ${allowedFields.join(', ')}` };
+    }
+    if (updates.status !== undefined && !LEAD_STATUSES.includes(updates.status)) {
+        return { updates, error: `Invalid status "${updates.status}". Allowed: ${LEAD_STATUSES.join(', ')}` };
+    }
+    if (updates.name !== undefined && !updates.name) {
+        return { updates, error: 'name cannot be empty' };
+    }
+    if (updates.email !== undefined) {
+        updates.email = normalizeEmail(updates.email);
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(updates.email)) {
+            return { updates, error: 'email is invalid' };
+        }
+    }
+    if (updates.assessmentAnswers !== undefined &&
+        (typeof updates.assessmentAnswers !== 'object' || Array.isArray(updates.assessmentAnswers))) {
+        return { updates, error: 'assessmentAnswers must be an object' };
+    }
+    if (updates.notes !== undefined &&
+        (typeof updates.notes !== 'string' || updates.notes.length > MAX_NOTES_LENGTH)) {
+        return { updates, error: `notes must be text of at most ${MAX_NOTES_LENGTH} characters` };
+    }
+    
+    return { updates };
+}
+
+const TEMPLATE_VERSION_ERROR = 'version must be a version number (0 for the file default)';
+
+/**
+ * A template version from a request: a non-negative integer or its digits
+ * @returns {number|null} null when invalid
+ */
+function parseTemplateVersion(value) {
+    if (typeof value === 'number') return Number.isInteger(value) && value >= 0 ? value : null;
+    return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : null;
+}
+
+function validateCounselorUpdate(body) {
+    const fields = {};
+    
+    if (body.name !== undefined) {
+        fields.name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!fields.name || fields.name.length > 100) {
+            return { fields, error: 'name must be text of 1-100 characters' };
+        }
+    }
+    if (body.title !== undefined) {
+        if (typeof body.title !== 'string' || body.title.length > 100) {
+            return { fields, error: 'title must be text of at most 100 characters' };
+        }
+        fields.title = body.title.trim();
+    }
+    if (body.interests !== undefined) {
+        const allowed = Object.keys(INTEREST_LABELS);
+        if (!Array.isArray(body.interests) || body.interests.some(interest => !allowed.includes(interest))) {
+            return { fields, error: `interests must be a list of: ${allowed.join(', ')}` };
+        }
+        fields.interests = [...new Set(body.interests)];
+    }
+    for (const field of ['takesUrgent', 'active']) {
+        if (body[field] !== undefined) {
+            if (typeof body[field] !== 'boolean') {
+                return { fields, error: `${field} must be true or false` };
+            }
+            fields[field] = body[field];
+        }
+    }
+    if (body.maxOpenLeads !== undefined) {
+        if (!Number.isInteger(body.maxOpenLeads) || body.maxOpenLeads < 0) {
+            return { fields, error: 'maxOpenLeads must be a whole number (0 for no limit)' };
+        }
+        fields.maxOpenLeads = body.maxOpenLeads;
+    }
+    
+    return { fields };
+}
+
+function validateLeadIds(leadIds) {
+    if (!Array.isArray(leadIds) || leadIds.length === 0) {
+        return 'leadIds must be a non-empty array';
+    }
+    if (leadIds.length > MAX_BULK_LEADS) {
+        return `At most ${MAX_BULK_LEADS} leads can be changed at once`;
+    }
+    return null;
+}
+
+/**
+ * Keep only scored event names with positive integer counts
+ */
+function sanitizeEventCounts(events) {
+    const scoredEvents = leadScorer.getScoredEvents();
+    const counts = {};
+    
+    if (events && typeof events === 'object') {
+        Object.entries(events).forEach(([eventName, count]) => {
+            const value = parseInt(count, 10);
+            if (scoredEvents.includes(eventName) && value > 0) {
+                counts[eventName] = Math.min(value, 1000);
+            }
+        });
+    }
+    
+    return counts;
+}
+
+function buildScoreFields(lead) {
+    const { score, breakdown } = leadScorer.scoreLead(lead);
+    return {
+        score,
+        scoreBreakdown: breakdown,
+        scoreUpdatedAt: new Date()
+    };
+}
+
+/**
+ * Recompute and store a lead's score from its current signals
+ * @returns {Promise<Object|null>} The updated lead
+ */
+async function recalculateLeadScore(leadId) {
+    const dbStatus = database.getConnectionStatus();
+    const lead = await findLeadById(leadId);
+    if (!lead) return null;
+    
+    const scoreFields = buildScoreFields(lead);
+    
+    if (dbStatus.connected) {
+        return Lead.findOneAndUpdate({ leadId }, { $set: scoreFields }, { new: true }).lean();
+    }
+    return Object.assign(lead, scoreFields);
+}
+
+/**
+ * Add event counts to a lead's signals and rescore it
+ */
+async function recordLeadEvents(leadId, counts) {
+    const dbStatus = database.getConnectionStatus();
+    
+    if (dbStatus.connected) {
+        const increments = {};
+        Object.entries(counts).forEach(([eventName, count]) => {
+            increments[`engagementEvents.${eventName}`] = count;
+        });
+        const result = await Lead.updateOne({ leadId }, { $inc: increments });
+        if (result.matchedCount === 0) return null;
+    } else {
+        const lead = fallbackLeads.find(l => l.leadId === leadId);
+        if (!lead) return null;
+        
+        lead.engagementEvents = lead.engagementEvents || {};
+        Object.entries(counts).forEach(([eventName, count]) => {
+            lead.engagementEvents[eventName] = (lead.engagementEvents[eventName] || 0) + count;
+        });
     }
     
-    // Format roadmap for email
-    return `
-**Timeline:** ${timeline}
+    return recalculateLeadScore(leadId);
+}
 
-**Phase 1: Foundation Building (Months 1-3)**
-${roadmap.foundation.map(item => `• ${item}`).join('\n')}
+/**
+ * Record an email open/click; the first one per message also counts toward
+ * the lead's score and the email analytics events
+ */
+async function recordEmailEngagement(trackingId, event, details) {
+    const result = await emailTracking.recordEvent(trackingId, event, details);
+    if (!result || !result.first) return result;
+    
+    const analyticsEvent = event === 'open' ? 'email_opened' : 'email_clicked';
+    console.log(`📧 Email ${event}: ${result.type} (${trackingId})`);
+    
+    if (result.leadId) {
+        await recordLeadEvents(result.leadId, { [analyticsEvent]: 1 });
+        await recordLeadActivity({
+            leadId: result.leadId,
+            type: analyticsEvent,
+            actor: 'lead',
+            data: { emailType: result.type, trackingId, url: event === 'click' ? details?.url : undefined }
+        });
+    }
+    await trackAnalyticsEvent(analyticsEvent, { type: result.type, trackingId }, { visitorId: result.leadId });
+    return result;
+}
 
-**Phase 2: Core Skills Development (Months 4-8)**
-${roadmap.core.map(item => `• ${item}`).join('\n')}
+/**
+ * Suppress an address and cancel pending sequence emails for every lead using it
+ * @returns {Promise<number>} Number of scheduled emails cancelled
+ */
+async function unsubscribeAddress(email, { leadId, reason }) {
+    await emailPreferences.suppress(email, { reason, leadId });
+    
+    const leadIds = new Set(await findLeadIdsByEmail(email));
+    if (leadId) leadIds.add(leadId);
+    
+    let cancelled = 0;
+    for (const id of leadIds) {
+        cancelled += await emailScheduler.cancelJobsForLead(id, reason);
+    }
+    
+    await trackAnalyticsEvent('email_unsubscribed', { reason, cancelled }, { visitorId: leadId });
+    return cancelled;
+}
 
-**Phase 3: Specialization & Advanced Topics (Months 9-11)**
-${roadmap.specialization.map(item => `• ${item}`).join('\n')}
+async function findLeadIdsByEmail(email) {
+    const normalized = String(email).toLowerCase().trim();
+    const dbStatus = database.getConnectionStatus();
+    
+    if (dbStatus.connected) {
+        const leads = await Lead.find({ email: normalized }, { leadId: 1 }).lean();
+        return leads.map(lead => lead.leadId);
+    }
+    return fallbackLeads
+        .filter(lead => String(lead.email).toLowerCase().trim() === normalized)
+        .map(lead => lead.leadId);
+}
 
-**Phase 4: Career Transition & Job Placement (Month 12+)**
-${roadmap.career.map(item => `• ${item}`).join('\n')}
+function formatEmailPreferences(preferences) {
+    return {
+        email: preferences.email,
+        subscribed: !preferences.suppressed,
+        paused: preferences.paused,
+        topics: preferences.topics,
+        availableTopics: Object.entries(EmailPreferences.TOPICS).map(([id, topic]) => ({ id, label: topic.label }))
+    };
+}
 
-**Hands-on Projects Included:**
-• Build 8-10 real-world projects for your portfolio
-• Work on live industry problems with mentor guidance
-• Collaborate with peers on team projects
-• Present your work to industry experts
+/**
+ * Lead filter for the signed-in user: counselors only see leads assigned to them
+ */
+function getLeadScope(user) {
+    return user.role === 'counselor' ? { assignedTo: user.userId } : {};
+}
 
-**Support Throughout Your Journey:**
-• Weekly 1-on-1 mentorship sessions
-• 24/7 doubt resolution support
-• Peer learning groups and study circles
-• Industry networking events and job fairs`;
+function matchesLeadScope(lead, scope) {
+    return Object.entries(scope).every(([field, value]) => lead[field] === value);
 }
 
-async function sendEmail(emailData) {
-    // Use Gmail service to send actual emails
-    try {
-        const result = await emailService.sendEmail(emailData);
-        return {
-            id: result.messageId || `email_${Date.now()}`,
-            status: result.success ? 'sent' : 'failed',
-            timestamp: result.timestamp,
-            provider: result.provider || 'gmail'
-        };
-    } catch (error) {
-        console.error('Failed to send email:', error);
-        return {
-            id: `email_${Date.now()}`,
-            status: 'failed',
-            timestamp: new Date().toISOString(),
-            error: error.message
-        };
+async function canAccessLead(user, leadId) {
+    const lead = await findLeadById(leadId);
+    return !!lead && matchesLeadScope(lead, getLeadScope(user));
+}
+
+async function findLeadById(leadId) {
+    const dbStatus = database.getConnectionStatus();
+    
+    if (dbStatus.connected) {
+        return Lead.findOne({ leadId }).lean();
     }
+    return fallbackLeads.find(lead => lead.leadId === leadId) || null;
 }
 
-async function triggerWelcomeEmail(leadData) {
-    const emailContent = await generatePersonalizedEmail(leadData.assessmentAnswers, 'welcome');
+async function findLeadByEmail(email) {
+    const dbStatus = database.getConnectionStatus();
     
-    return sendEmail({
-        to: leadData.email,
-        name: leadData.name,
-        subject: emailContent.subject,
-        content: emailContent.content,
-        type: 'welcome'
-    });
+    if (dbStatus.connected) {
+        return Lead.findOne({ email }).lean();
+    }
+    return fallbackLeads.find(lead => normalizeEmail(lead.email) === email) || null;
+}
+
+/**
+ * The given leads whose status differs from `status`, with their current one.
+ * Read before the update; pass the result to recordStatusChange() once it succeeded.
+ * @returns {Promise<Array<{leadId: string, status: string}>>}
+ */
+async function findStatusChanges(leadIds, leadScope, status) {
+    if (database.getConnectionStatus().connected) {
+        return Lead.find(
+            { ...leadScope, leadId: { $in: leadIds }, status: { $ne: status } },
+            { _id: 0, leadId: 1, status: 1 }
+        ).lean();
+    }
+    return fallbackLeads
+        .filter(lead => leadIds.includes(lead.leadId) && matchesLeadScope(lead, leadScope) && lead.status !== status)
+        .map(lead => ({ leadId: lead.leadId, status: lead.status }));
 }
 
-function scheduleEmailSequence(leadData) {
-    // Schedule follow-up emails (simplified version)
-    const emailSchedule = [
-        { delay: 24 * 60 * 60 * 1000, type: 'assessment_results' }, // 24 hours
-        { delay: 3 * 24 * 60 * 60 * 1000, type: 'success_stories' }, // 3 days
-        { delay: 5 * 24 * 60 * 60 * 1000, type: 'course_deep_dive' }, // 5 days
-        { delay: 7 * 24 * 60 * 60 * 1000, type: 'social_proof' }, // 7 days
-        { delay: 10 * 24 * 60 * 60 * 1000, type: 'final_cta' } // 10 days
-    ];
+/**
+ * Add status changes found by findStatusChanges() to the leads' status
+ * history and activity timeline (call after the status was set)
+ */
+async function recordStatusChange(changes, status, changedBy) {
+    if (changes.length === 0) return;
+    const changedAt = new Date();
     
-    emailSchedule.forEach(({ delay, type }) => {
-        setTimeout(async () => {
-            try {
-                const emailContent = await generatePersonalizedEmail(leadData.assessmentAnswers, type);
-                await sendEmail({
-                    to: leadData.email,
-                    name: leadData.name,
-                    subject: emailContent.subject,
-                    content: emailContent.content,
-                    type: type
-                });
-                console.log(`📧 Scheduled email sent: ${type} to ${leadData.email}`);
-            } catch (error) {
-                console.error(`Failed to send scheduled email ${type}:`, error);
+    if (database.getConnectionStatus().connected) {
+        await Lead.bulkWrite(changes.map(change => ({
+            updateOne: {
+                filter: { leadId: change.leadId },
+                update: { $push: { statusHistory: { status, from: change.status, changedAt, changedBy } } }
             }
-        }, delay);
+        })));
+    } else {
+        changes.forEach(change => {
+            const lead = fallbackLeads.find(l => l.leadId === change.leadId);
+            if (lead) {
+                lead.statusHistory = [...(lead.statusHistory || []), { status, from: change.status, changedAt, changedBy }];
+            }
+        });
+    }
+    
+    await recordLeadActivity(changes.map(change => ({
+        leadId: change.leadId,
+        type: 'status_changed',
+        actor: changedBy,
+        data: { from: change.status, to: status },
+        occurredAt: changedAt
+    })));
+}
+
+/**
+ * @throws {Error} with statusCode 400 unless userId has an active counselor profile
+ */
+async function getActiveCounselor(userId) {
+    const counselor = await counselorService.getCounselor(userId);
+    if (!counselor || !counselor.active) {
+        throw httpError(400, `"${userId}" is not an active counselor`);
+    }
+    return counselor;
+}
+
+/**
+ * Give a lead to a counselor. counselorId undefined lets the assignment rules
+ * pick one (the lead stays unassigned if nobody is available); null unassigns.
+ * @returns {Promise<{lead: Object, counselor: Object|null, reasons: string[]}>}
+ */
+async function assignLead(lead, counselorId, assignedBy) {
+    let counselor = null;
+    let reasons = [];
+    
+    if (counselorId === undefined) {
+        const choice = await counselorService.chooseCounselor(lead);
+        if (!choice) {
+            return { lead, counselor: null, reasons: ['no counselor available'] };
+        }
+        ({ counselor, reasons } = choice);
+    } else if (counselorId !== null) {
+        counselor = await getActiveCounselor(counselorId);
+        reasons = ['assigned manually'];
+    }
+    
+    const assignedTo = counselor ? counselor.userId : null;
+    const previous = lead.assignedTo || null;
+    if (previous === assignedTo) {
+        return { lead, counselor, reasons };
+    }
+    
+    if (database.getConnectionStatus().connected) {
+        await Lead.updateOne(
+            { leadId: lead.leadId },
+            assignedTo ? { $set: { assignedTo } } : { $unset: { assignedTo: 1 } }
+        );
+    } else {
+        const stored = fallbackLeads.find(l => l.leadId === lead.leadId);
+        if (assignedTo) stored.assignedTo = assignedTo;
+        else delete stored.assignedTo;
+        stored.updatedAt = new Date().toISOString();
+    }
+    if (counselor) {
+        await counselorService.markAssigned(counselor.userId);
+    }
+    
+    await recordLeadActivity({
+        leadId: lead.leadId,
+        type: 'lead_assigned',
+        actor: assignedBy,
+        data: { from: previous, to: assignedTo, counselorName: counselor?.name, reasons }
     });
+    console.log(`📋 Lead ${lead.leadId} ${counselor ? `assigned to ${counselor.name} (${reasons.join('; ')})` : 'unassigned'}`);
     
-    console.log(`⏰ Scheduled ${emailSchedule.length} follow-up emails for ${leadData.email}`);
+    return { lead: await findLeadById(lead.leadId), counselor, reasons };
 }
 
 /**
- * Utility Functions
+ * Route a new lead to a counselor. Assignment problems are logged, never
+ * allowed to fail lead capture.
  */
-function generateLeadId() {
-    return `lead_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+async function autoAssignLead(lead) {
+    try {
+        return (await assignLead(lead, undefined, 'system')).lead;
+    } catch (error) {
+        console.error(`Failed to auto-assign lead ${lead.leadId}:`, error);
+        return lead;
+    }
+}
+
+/**
+ * Open leads (see OPEN_LEAD_STATUSES) per counselor userId
+ * @returns {Promise<Map<string, number>>}
+ */
+async function countOpenLeadsByCounselor(userIds) {
+    const counts = new Map();
+    
+    if (database.getConnectionStatus().connected) {
+        const groups = await Lead.aggregate([
+            { $match: { assignedTo: { $in: userIds }, status: { $in: OPEN_LEAD_STATUSES } } },
+            { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+        ]);
+        groups.forEach(group => counts.set(group._id, group.count));
+        return counts;
+    }
+    fallbackLeads
+        .filter(lead => userIds.includes(lead.assignedTo) && OPEN_LEAD_STATUSES.includes(lead.status))
+        .forEach(lead => counts.set(lead.assignedTo, (counts.get(lead.assignedTo) || 0) + 1));
+    return counts;
 }
 
-async function updateAnalytics(field) {
+/**
+ * The counselor who signs a lead's emails, null for unassigned leads
+ */
+async function getLeadAdvisor(lead) {
     try {
-        const dbStatus = database.getConnectionStatus();
+        return await counselorService.getCounselor(lead?.assignedTo);
+    } catch (error) {
+        console.error('Failed to load lead counselor:', error);
+        return null;
+    }
+}
+
+/**
+ * Apply new details to an existing lead (returning visitor or import): a new
+ * assessment joins the history and becomes the latest, engagement counts are
+ * added, and the lead is rescored
+ * @param {Object} changes - { updates, assessment (from buildAssessmentEntry), engagementEvents }
+ */
+async function updateExistingLead(lead, { updates = {}, assessment, engagementEvents = {} }) {
+    const dbStatus = database.getConnectionStatus();
+    const fields = assessment ? { ...updates, assessmentAnswers: assessment.assessmentAnswers } : updates;
+    // Leads from before histories were kept start theirs with the original assessment
+    const history = !assessment ? []
+        : lead.assessmentHistory?.length ? [assessment] : [...getAssessmentHistory(lead), assessment];
+    
+    if (dbStatus.connected) {
+        const increments = {};
+        Object.entries(engagementEvents).forEach(([eventName, count]) => {
+            increments[`engagementEvents.${eventName}`] = count;
+        });
+        await Lead.updateOne({ leadId: lead.leadId }, {
+            ...(Object.keys(fields).length > 0 && { $set: fields }),
+            ...(history.length > 0 && { $push: { assessmentHistory: { $each: history, $slice: -MAX_ASSESSMENT_HISTORY } } }),
+            ...(Object.keys(increments).length > 0 && { $inc: increments })
+        });
+    } else {
+        const stored = fallbackLeads.find(l => l.leadId === lead.leadId);
+        Object.assign(stored, fields, { updatedAt: new Date().toISOString() });
+        stored.assessmentHistory = [...(stored.assessmentHistory || []), ...history].slice(-MAX_ASSESSMENT_HISTORY);
+        stored.engagementEvents = stored.engagementEvents || {};
+        Object.entries(engagementEvents).forEach(([eventName, count]) => {
+            stored.engagementEvents[eventName] = (stored.engagementEvents[eventName] || 0) + count;
+        });
+    }
+    
+    return recalculateLeadScore(lead.leadId);
+}
+
+/**
+ * Save one validated import row. An existing lead with the same email is
+ * skipped, overwritten with the row's values (update) or only has its blank
+ * fields filled and notes appended (merge); the row's answers join its history.
+ * @returns {Promise<{status: string, lead: Object}>}
+ */
+async function importLeadRow(fields, { duplicatePolicy, sendWelcomeEmails, importedBy }) {
+    const { assessmentAnswers, ...details } = fields;
+    const assessment = assessmentAnswers ? buildAssessmentEntry(assessmentAnswers, { source: 'import' }) : undefined;
+    const existing = await findLeadByEmail(details.email);
+    
+    if (!existing) {
+        // Imported leads only need confirming when they are about to be emailed
+        const requiresConfirmation = sendWelcomeEmails && emailVerification.enabled;
+        const lead = {
+            leadId: generateLeadId(),
+            ...details,
+            source: details.source || 'import',
+            status: details.status || 'new',
+            statusHistory: [{ status: details.status || 'new', changedAt: new Date(), changedBy: importedBy }],
+            assessmentAnswers: assessmentAnswers || {},
+            assessmentHistory: assessment ? [assessment] : [],
+            engagementEvents: {},
+            emailStatus: requiresConfirmation ? 'unverified' : undefined,
+            verificationExpiresAt: requiresConfirmation ? emailVerification.getExpiresAt() : undefined
+        };
+        Object.assign(lead, buildScoreFields(lead));
         
-        if (dbStatus.connected) {
-            // Use MongoDB
-            const analytics = await Analytics.getGlobalAnalytics();
-            analytics[field]++;
-            
-            if (field === 'leadCaptures' || field === 'assessmentCompletions') {
-                analytics.updateConversionRate();
-            }
-            
-            await analytics.save();
+        let created = lead;
+        if (database.getConnectionStatus().connected) {
+            created = (await Lead.create(lead)).toObject();
         } else {
-            // Use fallback in-memory storage
-            fallbackAnalytics[field]++;
-            
-            if (field === 'leadCaptures' || field === 'assessmentCompletions') {
-                if (fallbackAnalytics.assessmentStarts > 0) {
-                    fallbackAnalytics.conversionRate = ((fallbackAnalytics.leadCaptures / fallbackAnalytics.assessmentStarts) * 100);
-                }
+            lead.createdAt = new Date().toISOString();
+            fallbackLeads.push(lead);
+        }
+        await recordLeadActivity({
+            leadId: created.leadId,
+            type: 'lead_created',
+            actor: importedBy,
+            data: { source: created.source, score: created.score }
+        });
+        return { status: 'created', lead: created };
+    }
+    
+    if (duplicatePolicy === 'skip') {
+        return { status: 'skipped', lead: existing };
+    }
+    
+    const { email, ...values } = details;
+    let updates = values;
+    if (duplicatePolicy === 'merge') {
+        updates = {};
+        Object.entries(values).forEach(([field, value]) => {
+            if (field === 'notes') {
+                if (!existing.notes) updates.notes = value;
+                else if (!existing.notes.includes(value)) updates.notes = `${existing.notes}\n\n${value}`.slice(0, MAX_NOTES_LENGTH);
+            } else if (!existing[field]) {
+                updates[field] = value;
+            }
+        });
+    }
+    
+    // Read before the update, which changes `existing` in place without a database
+    const statusChanges = updates.status && updates.status !== existing.status
+        ? [{ leadId: existing.leadId, status: existing.status }]
+        : [];
+    const notesChanged = updates.notes !== undefined && updates.notes !== existing.notes;
+    const lead = await updateExistingLead(existing, { updates, assessment });
+    await recordStatusChange(statusChanges, updates.status, importedBy);
+    const activities = [];
+    if (assessment) {
+        activities.push({
+            leadId: lead.leadId,
+            type: 'assessment_retaken',
+            actor: importedBy,
+            data: { source: 'import', assessmentCount: lead.assessmentHistory.length, score: lead.score }
+        });
+    }
+    if (notesChanged) {
+        activities.push({ leadId: lead.leadId, type: 'notes_updated', actor: importedBy, data: { notes: updates.notes } });
+    }
+    await recordLeadActivity(activities);
+    return { status: duplicatePolicy === 'update' ? 'updated' : 'merged', lead };
+}
+
+/**
+ * Queue the first email for imported leads (welcome plus follow-ups, or the
+ * confirmation email with double opt-in) as scheduler jobs spaced out to the
+ * transport's rate limit, so a restart doesn't drop the rest of an import
+ * @returns {Promise<number>} Number of leads with an email queued
+ */
+async function queueImportedLeadEmails(leads) {
+    const interval = 60000 / Math.max(1, emailService.getRatePerMinute());
+    let queued = 0;
+    
+    for (const [index, lead] of leads.entries()) {
+        const delay = Math.round(index * interval);
+        try {
+            if (lead.emailStatus === 'unverified') {
+                await emailScheduler.scheduleSequence(lead, [{ delay, type: CONFIRMATION_EMAIL_TYPE }]);
+            } else {
+                const preferences = await emailPreferences.get(lead.email);
+                if (preferences.suppressed) continue;
+                // Follow-ups keep their usual spacing from the welcome email
+                await emailScheduler.scheduleSequence(lead, [
+                    { delay, type: 'welcome' },
+                    ...EMAIL_SEQUENCE_SCHEDULE.map(step => ({ ...step, delay: step.delay + delay }))
+                ]);
             }
+            queued++;
+        } catch (error) {
+            console.error(`Failed to queue email for imported lead ${lead.email}:`, error);
         }
+    }
+    console.log(`📧 Queued import emails for ${queued} of ${leads.length} leads`);
+    return queued;
+}
+
+/**
+ * Add entries to lead activity timelines
+ * @param {Object|Object[]} entries - { leadId, type, actor, data, occurredAt }
+ */
+async function recordLeadActivity(entries) {
+    try {
+        await leadActivity.record(Array.isArray(entries) ? entries : [entries]);
     } catch (error) {
-        console.error('Failed to update analytics:', error);
-        // Fallback to in-memory even on error
-        fallbackAnalytics[field]++;
+        // Like analytics, the timeline must never break the request that triggered it
+        console.error('Failed to record lead activity:', error);
+    }
+}
+
+async function trackAnalyticsEvent(event, data = {}, context = {}) {
+    try {
+        await analyticsStore.track(event, data, context);
+        console.log(`📊 Analytics Event: ${event}`);
+    } catch (error) {
+        // Analytics must never break the request that triggered it
+        console.error('Failed to track analytics event:', error);
+    }
+}
+
+/**
+ * Parse from/to query params, defaulting to the last `defaultDays` days
+ * @returns {{from: Date, to: Date, error?: string}}
+ */
+function parseDateRange(query, defaultDays) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+    
+    if (isNaN(from) || isNaN(to)) {
+        return { from, to, error: 'from and to must be valid dates' };
     }
+    if (from > to) {
+        return { from, to, error: 'from must be before to' };
+    }
+    return { from, to };
 }
 
 async function getLeadsBySource() {
@@ -1005,14 +3914,7 @@ async function getLeadsBySource() {
 
 async function getAssessmentFunnelData() {
     try {
-        const dbStatus = database.getConnectionStatus();
-        let analytics;
-        
-        if (dbStatus.connected) {
-            analytics = await Analytics.getGlobalAnalytics();
-        } else {
-            analytics = fallbackAnalytics;
-        }
+        const analytics = await analyticsStore.getCounters();
         
         return {
             started: analytics.assessmentStarts,
@@ -1020,8 +3922,7 @@ async function getAssessmentFunnelData() {
             converted: analytics.leadCaptures,
             completionRate: analytics.assessmentStarts > 0 ? 
                 ((analytics.assessmentCompletions / analytics.assessmentStarts) * 100).toFixed(2) : 0,
-            conversionRate: typeof analytics.conversionRate === 'number' ? 
-                analytics.conversionRate.toFixed(2) : analytics.conversionRate
+            conversionRate: analytics.conversionRate.toFixed(2)
         };
     } catch (error) {
         console.error('Failed to get funnel data:', error);
@@ -1035,8 +3936,8 @@ async function getAssessmentFunnelData() {
     }
 }
 
-function logAIUsage(type, userContext) {
-    console.log(`🤖 AI Usage - Type: ${type}, Context: ${JSON.stringify(userContext?.profile?.careerGoal || 'unknown')}`);
+function logAIUsage(type, promptVersion) {
+    console.log(`🤖 AI Usage - Type: ${type}, Prompt: ${promptVersion}`);
 }
 
 /**
@@ -1052,15 +3953,8 @@ app.get('/', (req, res) => {
 app.get('/health', async (req, res) => {
     try {
         const dbStatus = database.getConnectionStatus();
-        let totalLeads, analytics;
-        
-        if (dbStatus.connected) {
-            totalLeads = await Lead.countDocuments();
-            analytics = await Analytics.getGlobalAnalytics();
-        } else {
-            totalLeads = fallbackLeads.length;
-            analytics = fallbackAnalytics;
-        }
+        const analytics = await analyticsStore.getCounters();
+        const totalLeads = dbStatus.connected ? await Lead.countDocuments() : fallbackLeads.length;
         
         res.json({ 
             status: dbStatus.connected ? 'healthy' : 'healthy-fallback',
@@ -1068,6 +3962,8 @@ app.get('/health', async (req, res) => {
             uptime: process.uptime(),
             database: dbStatus,
             storage: dbStatus.connected ? 'mongodb' : 'in-memory',
+            // Public: details (transport targets, errors, AI config) are on /api/admin/status
+            email: emailService.getHealth(),
             totalLeads,
             analytics: {
                 pageViews: analytics.pageViews,
@@ -1086,11 +3982,38 @@ app.get('/health', async (req, res) => {
     }
 });
 
+/**
+ * Detailed service status for admins: email transports, workers, AI and
+ * lead index builds
+ */
+app.get('/api/admin/status', requireAdmin, (req, res) => {
+    res.json({
+        timestamp: new Date().toISOString(),
+        database: database.getConnectionStatus(),
+        email: emailService.getStatus(),
+        emailScheduler: emailScheduler.getStatus(),
+        campaigns: campaignService.getStatus(),
+        emailVerification: emailVerification.getStatus(),
+        ai: aiClient.getStatus(),
+        aiValidation: aiValidator.getStats(),
+        aiCache: aiCache.getStats(),
+        leadIndexes: leadIndexStatus
+    });
+});
+
 /**
  * Admin dashboard - serve using file system reading instead of sendFile
  */
 app.get('/admin', async (req, res) => {
     try {
+        await ensureDbConnection();
+        
+        // Unauthenticated visitors get the login page
+        const user = await authService.getRequestUser(req);
+        if (!user) {
+            return res.redirect('/admin/login');
+        }
+        
         const fs = require('fs');
         const adminPath = path.join(__dirname, 'admin-dashboard.html');
         
@@ -1161,10 +4084,24 @@ app.get('/admin', async (req, res) => {
     }
 });
 
+/**
+ * Admin login page
+ */
+app.get('/admin/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin-login.html'));
+});
+
+/**
+ * Email preference page (opened from signed links in emails)
+ */
+app.get('/email/preferences', (req, res) => {
+    res.sendFile(path.join(__dirname, 'email-preferences.html'));
+});
+
 /**
  * Admin dashboard API endpoints
  */
-app.get('/admin/api/status', async (req, res) => {
+app.get('/admin/api/status', requireAnyRole, async (req, res) => {
     try {
         const dbStatus = database.getConnectionStatus();
         res.json({
@@ -1185,6 +4122,8 @@ async function initializeDatabase() {
     try {
         console.log('📦 Initializing database connection...');
         await database.connect();
+        await ensureLeadIndexes();
+        await migrateLegacyAnalytics();
         console.log('📦 Database initialized for Vercel');
     } catch (error) {
         console.log('📦 Database initialization failed, using fallback storage');
@@ -1199,6 +4138,83 @@ async function ensureDbConnection() {
     if (!status.connected && process.env.MONGODB_URI) {
         console.log('📦 Reconnecting to MongoDB...');
         await database.connect();
+        await ensureLeadIndexes();
+        await migrateLegacyAnalytics();
+    }
+}
+
+/**
+ * Carry the old singleton analytics counters over into the event log
+ */
+async function migrateLegacyAnalytics() {
+    try {
+        await analyticsStore.migrateLegacyCounters();
+    } catch (error) {
+        console.error('📊 Legacy analytics counter migration failed:', error);
+    }
+}
+
+// Max duplicate addresses listed in the startup report
+const DUPLICATE_EMAIL_REPORT_LIMIT = 20;
+let leadIndexesBuilt = false;
+// Outcome of the last index build, reported by GET /api/admin/status
+let leadIndexStatus = { state: 'pending' };
+
+/**
+ * Build the Lead indexes once per process. Each index is built on its own so
+ * one failure cannot skip the rest; the unique email index goes last because
+ * it cannot build while leads share an address. Those addresses are reported
+ * for merging (with ones differing only in case, which lookups would miss).
+ */
+async function ensureLeadIndexes() {
+    if (leadIndexesBuilt || !database.getConnectionStatus().connected) return;
+    leadIndexesBuilt = true;
+    
+    let duplicates = [];
+    try {
+        duplicates = await Lead.aggregate([
+            { $group: { _id: { $toLower: { $trim: { input: '$email' } } }, leadIds: { $push: '$leadId' }, count: { $sum: 1 } } },
+            { $match: { count: { $gt: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: DUPLICATE_EMAIL_REPORT_LIMIT }
+        ]);
+        if (duplicates.length > 0) {
+            console.warn('📦 ⚠️ Leads sharing an email address need merging before the unique email index can build (GET /api/leads/duplicates, POST /api/leads/merge):');
+            duplicates.forEach(duplicate => console.warn(`   ${duplicate._id}: ${duplicate.leadIds.join(', ')}`));
+        }
+    } catch (error) {
+        console.error('📦 Duplicate email check failed:', error);
+    }
+    
+    const isEmailIndex = ([fields]) => Object.keys(fields).join() === 'email';
+    const indexes = Lead.schema.indexes();
+    const ordered = [...indexes.filter(index => !isEmailIndex(index)), ...indexes.filter(isEmailIndex)];
+    const failures = [];
+    
+    for (const [fields, schemaOptions] of ordered) {
+        // Drop mongoose-internal options such as _autoIndex
+        const options = Object.fromEntries(Object.entries(schemaOptions).filter(([key]) => !key.startsWith('_')));
+        try {
+            await Lead.collection.createIndex(fields, options);
+        } catch (error) {
+            failures.push({ fields, error: error.message });
+            console.error(`📦 Lead index ${JSON.stringify(fields)} failed to build:`, error.message);
+        }
+    }
+    
+    const emailFailure = failures.find(failure => isEmailIndex([failure.fields]));
+    leadIndexStatus = {
+        state: failures.length === 0 ? 'ready' : 'degraded',
+        checkedAt: new Date().toISOString(),
+        uniqueEmail: emailFailure ? 'failed' : 'ready',
+        failures,
+        duplicateEmails: emailFailure
+            ? duplicates.map(duplicate => ({ email: duplicate._id, leadIds: duplicate.leadIds }))
+            : []
+    };
+    
+    if (failures.length === 0) {
+        console.log('📦 Lead indexes ready');
     }
 }
 
@@ -1208,6 +4224,16 @@ setTimeout(() => {
     initializeDatabase();
 }, 100);
 
+// Start the follow-up email worker
+emailScheduler.start();
+campaignService.start();
+
+// Unconfirmed double opt-in leads are removed once their window has passed
+const leadExpiryTimer = setInterval(() => {
+    expireUnverifiedLeads().catch(error => console.error('Lead expiry sweep failed:', error));
+}, LEAD_EXPIRY_SWEEP_MS);
+leadExpiryTimer.unref();
+
 // For local development, start the server
 if (process.env.NODE_ENV !== 'production' || process.env.VERCEL !== '1') {
     async function startServer() {
@@ -1219,13 +4245,21 @@ if (process.env.NODE_ENV !== 'production' || process.env.VERCEL !== '1') {
                 console.log(`🔧 Health Check: http://localhost:${PORT}/health`);
                 
                 // Log configuration status
-                console.log(`🤖 OpenAI API: ${OPENAI_API_KEY ? '✅ Configured' : '❌ Not configured (using fallbacks)'}`);
+                const aiStatus = aiClient.getStatus();
+                Object.entries(aiStatus).forEach(([type, status]) => {
+                    console.log(`🤖 AI ${type}: ${status.configured ? '✅' : '❌'} ${status.provider}${status.model ? ` (${status.model})` : ''}${status.configured ? '' : ' - using fallbacks'}`);
+                });
                 
-                // Show Gmail service status
+                // Show email transport status
                 const emailStatus = emailService.getStatus();
-                console.log(`📧 Gmail Service: ${emailStatus.configured ? '✅ Configured' : '❌ Not configured (using mock service)'}`);
+                const activeTransports = emailStatus.transports.filter(transport => transport.configured).map(transport => transport.name);
+                console.log(`📧 Email: ${emailStatus.configured ? `✅ ${activeTransports.join(' → ')}` : '❌ No transport configured (emails will fail)'}`);
                 if (!emailStatus.configured) {
-                    console.log('   💡 Add GMAIL_USER and GMAIL_APP_PASSWORD to .env for real emails');
+                    console.log('   💡 Add GMAIL_*, SMTP_* or RESEND_API_KEY to .env, or EMAIL_TRANSPORTS=file for local .eml files');
+                }
+                
+                if (emailVerification.enabled) {
+                    console.log(`📧 Double opt-in: ✅ leads must confirm their email within ${emailVerification.describeWindow()}`);
                 }
                 
                 // Show MongoDB status
@@ -1245,12 +4279,18 @@ if (process.env.NODE_ENV !== 'production' || process.env.VERCEL !== '1') {
     // Graceful shutdown
     process.on('SIGTERM', async () => {
         console.log('👋 Server shutting down gracefully...');
+        emailScheduler.stop();
+        campaignService.stop();
+        clearInterval(leadExpiryTimer);
         await database.disconnect();
         process.exit(0);
     });
 
     process.on('SIGINT', async () => {
         console.log('👋 Server shutting down gracefully...');
+        emailScheduler.stop();
+        campaignService.stop();
+        clearInterval(leadExpiryTimer);
         await database.disconnect();
         process.exit(0);
     });
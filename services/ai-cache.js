@@ -0,0 +1,118 @@
+/**
+ * AI Response Cache
+ * In-process LRU for validated AI responses, keyed on task type plus a
+ * normalized context fingerprint, with optional MongoDB persistence
+ */
+
+const AICacheEntry = require('../models/AICacheEntry');
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+class AICache {
+    constructor({ database, maxEntries, persist } = {}) {
+        this.database = database;
+        this.maxEntries = maxEntries || parseInt(process.env.AI_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+        // Persist to MongoDB when connected unless AI_CACHE_PERSIST=false
+        this.persist = persist !== undefined ? persist : process.env.AI_CACHE_PERSIST !== 'false';
+        this.entries = new Map();
+        this.stats = { hits: 0, persistentHits: 0, misses: 0, sets: 0, evictions: 0, byType: {} };
+    }
+
+    isDbConnected() {
+        return this.database.getConnectionStatus().connected;
+    }
+
+    /**
+     * Look up a cached response
+     * @returns {Promise<Object|null>}
+     */
+    async get(type, fingerprint) {
+        const key = `${type}:${fingerprint}`;
+        const entry = this.entries.get(key);
+
+        if (entry && entry.expiresAt > Date.now()) {
+            // Re-insert to mark as most recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            this.count(type, 'hits');
+            return entry.value;
+        }
+        if (entry) {
+            this.entries.delete(key);
+        }
+
+        if (this.persist && this.isDbConnected()) {
+            try {
+                const stored = await AICacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+                if (stored) {
+                    this.remember(key, stored.value, stored.expiresAt.getTime());
+                    this.count(type, 'hits');
+                    this.stats.persistentHits++;
+                    return stored.value;
+                }
+            } catch (error) {
+                console.error('AI cache lookup failed:', error.message);
+            }
+        }
+
+        this.count(type, 'misses');
+        return null;
+    }
+
+    /**
+     * Store a response for ttlSeconds (0 disables caching for the type)
+     */
+    async set(type, fingerprint, value, ttlSeconds) {
+        if (!ttlSeconds || ttlSeconds <= 0) return;
+
+        const key = `${type}:${fingerprint}`;
+        const expiresAt = Date.now() + ttlSeconds * 1000;
+        this.remember(key, value, expiresAt);
+        this.stats.sets++;
+
+        if (this.persist && this.isDbConnected()) {
+            try {
+                await AICacheEntry.updateOne(
+                    { key },
+                    { $set: { type, value, expiresAt: new Date(expiresAt) } },
+                    { upsert: true }
+                );
+            } catch (error) {
+                console.error('AI cache write failed:', error.message);
+            }
+        }
+    }
+
+    remember(key, value, expiresAt) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt });
+
+        // Map keeps insertion order, so the first key is the least recently used
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    count(type, outcome) {
+        this.stats[outcome]++;
+        const typeStats = this.stats.byType[type] = this.stats.byType[type] || { hits: 0, misses: 0 };
+        typeStats[outcome]++;
+    }
+
+    /**
+     * Hit/miss counters for /health
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 10000) / 100 : 0,
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            persistent: this.persist && this.isDbConnected()
+        };
+    }
+}
+
+module.exports = AICache;
@@ -0,0 +1,224 @@
+/**
+ * AI Client Service
+ * Routes each prompt type to a configured provider (OpenAI, Anthropic-style
+ * messages API, OpenAI-compatible local endpoint or offline fixtures) using
+ * data/ai-providers.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DEFAULT_CONFIG_PATH = path.join(DATA_DIR, 'ai-providers.json');
+
+const DEFAULT_PROMPT_SETTINGS = {
+    timeoutMs: 10000,
+    maxTokens: 500,
+    temperature: 0.7
+};
+
+class AIClient {
+    constructor(configPath = DEFAULT_CONFIG_PATH) {
+        this.configPath = configPath;
+        this.config = this.loadConfig();
+        this.fixtures = null;
+    }
+
+    /**
+     * Load provider and per-prompt settings from disk
+     */
+    loadConfig() {
+        try {
+            const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+            console.log(`🤖 AI Providers: ✅ Loaded config v${config.version}`);
+            return config;
+        } catch (error) {
+            console.error('❌ Failed to load AI provider config:', error);
+            return { version: 0, defaultProvider: 'fixture', providers: { fixture: { type: 'fixture' } }, prompts: {} };
+        }
+    }
+
+    /**
+     * Resolve provider, model and limits for a prompt type.
+     * AI_PROVIDER overrides every type (e.g. AI_PROVIDER=fixture for offline work).
+     */
+    getSettings(type) {
+        const { prompts = {}, providers = {}, defaultProvider } = this.config;
+        const promptSettings = prompts[type] || prompts.general || {};
+        const providerName = process.env.AI_PROVIDER || promptSettings.provider || defaultProvider;
+        const provider = providers[providerName];
+
+        if (!provider) {
+            throw new Error(`Unknown AI provider "${providerName}"`);
+        }
+
+        return {
+            ...DEFAULT_PROMPT_SETTINGS,
+            ...promptSettings,
+            providerName,
+            provider,
+            // A prompt-level model only applies to the provider it was written for
+            model: (!process.env.AI_PROVIDER && promptSettings.model) || provider.model
+        };
+    }
+
+    /**
+     * Whether the provider for a prompt type has what it needs to make calls
+     */
+    isConfigured(type) {
+        try {
+            const { provider } = this.getSettings(type);
+            return !provider.apiKeyEnv || !!process.env[provider.apiKeyEnv];
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Generate a completion
+     * @param {string} type - Prompt type, e.g. 'cta-generation'
+     * @param {{system: string, prompt: string}} messages
+     * @returns {Promise<{content: string, provider: string, model: string}>}
+     */
+    async complete(type, { system, prompt }) {
+        const settings = this.getSettings(type);
+        const call = PROVIDER_CALLS[settings.provider.type];
+
+        if (!call) {
+            throw new Error(`Unsupported AI provider type "${settings.provider.type}"`);
+        }
+
+        const content = await call(settings, { type, system, prompt }, this);
+        return { content, provider: settings.providerName, model: settings.model };
+    }
+
+    /**
+     * Provider and model per prompt type, for /health
+     */
+    getStatus() {
+        const status = {};
+        Object.keys(this.config.prompts || {}).forEach(type => {
+            try {
+                const { providerName, model, timeoutMs, maxTokens } = this.getSettings(type);
+                status[type] = { provider: providerName, model, timeoutMs, maxTokens, configured: this.isConfigured(type) };
+            } catch (error) {
+                status[type] = { error: error.message };
+            }
+        });
+        return status;
+    }
+
+    loadFixtures(provider) {
+        if (!this.fixtures) {
+            const file = path.join(DATA_DIR, provider.fixturesFile || 'ai-fixtures.json');
+            this.fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+        return this.fixtures;
+    }
+}
+
+/**
+ * OpenAI chat completions (also used for OpenAI-compatible local servers such as Ollama)
+ */
+async function callOpenAICompatible(settings, { system, prompt }) {
+    const { provider } = settings;
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (provider.apiKeyEnv) {
+        const apiKey = process.env[provider.apiKeyEnv];
+        if (!apiKey) {
+            throw new Error(`${provider.apiKeyEnv} not configured`);
+        }
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    const data = await postJson(getProviderUrl(provider), headers, {
+        model: settings.model,
+        messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt }
+        ],
+        max_tokens: settings.maxTokens,
+        temperature: settings.temperature
+    }, settings);
+
+    return data.choices[0].message.content;
+}
+
+/**
+ * Anthropic-style messages API (system prompt outside the message list)
+ */
+async function callAnthropic(settings, { system, prompt }) {
+    const { provider } = settings;
+    const apiKey = process.env[provider.apiKeyEnv];
+    if (!apiKey) {
+        throw new Error(`${provider.apiKeyEnv} not configured`);
+    }
+
+    const data = await postJson(getProviderUrl(provider), {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': provider.apiVersion || '2023-06-01'
+    }, {
+        model: settings.model,
+        system,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: settings.maxTokens,
+        temperature: settings.temperature
+    }, settings);
+
+    return (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+}
+
+/**
+ * Deterministic canned responses from data/ai-fixtures.json - no network
+ */
+async function callFixture(settings, { type }, client) {
+    const fixtures = client.loadFixtures(settings.provider);
+    const fixture = fixtures[type] !== undefined ? fixtures[type] : fixtures.general;
+
+    if (fixture === undefined) {
+        throw new Error(`No AI fixture for type "${type}"`);
+    }
+    return typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+}
+
+const PROVIDER_CALLS = {
+    'openai': callOpenAICompatible,
+    'openai-compatible': callOpenAICompatible,
+    'anthropic': callAnthropic,
+    'fixture': callFixture
+};
+
+function getProviderUrl(provider) {
+    return (provider.urlEnv && process.env[provider.urlEnv]) || provider.url;
+}
+
+async function postJson(url, headers, body, { providerName, timeoutMs }) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new Error(`${providerName} request timed out after ${timeoutMs}ms`);
+        }
+        throw error;
+    }
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(`${providerName} API error: ${error.error?.message || response.statusText || 'Unknown error'}`);
+    }
+
+    return response.json();
+}
+
+module.exports = AIClient;
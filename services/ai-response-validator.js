@@ -0,0 +1,252 @@
+/**
+ * AI Response Validator
+ * Checks AI JSON output against the per-type schemas in
+ * data/ai-response-schemas.json, repairs near-misses and keeps
+ * validation counters for /api/admin/status
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCHEMA_PATH = path.join(__dirname, '..', 'data', 'ai-response-schemas.json');
+
+// Outcomes counted per prompt type
+const OUTCOMES = ['valid', 'repaired', 'invalid', 'retried', 'recovered', 'fallback'];
+
+class AIResponseValidator {
+    constructor(schemaPath = DEFAULT_SCHEMA_PATH) {
+        this.schemaPath = schemaPath;
+        this.schemas = this.loadSchemas();
+        this.stats = {};
+    }
+
+    /**
+     * Load response schemas from disk
+     */
+    loadSchemas() {
+        try {
+            const config = JSON.parse(fs.readFileSync(this.schemaPath, 'utf8'));
+            console.log(`🤖 AI Schemas: ✅ Loaded v${config.version}`);
+            return config.schemas || {};
+        } catch (error) {
+            console.error('❌ Failed to load AI response schemas:', error);
+            return {};
+        }
+    }
+
+    hasSchema(type) {
+        return !!this.schemas[type];
+    }
+
+    /**
+     * Parse, repair and validate a raw AI response
+     * @returns {{valid: boolean, data: Object|null, repaired: boolean, errors: string[]}}
+     */
+    validate(type, raw) {
+        const schema = this.schemas[type];
+        if (!schema) {
+            return { valid: true, data: raw, repaired: false, errors: [] };
+        }
+
+        let data = parseStrict(raw);
+        let repaired = false;
+
+        if (data === undefined) {
+            data = parseLenient(raw);
+            repaired = data !== undefined;
+        }
+        if (data === undefined) {
+            this.record(type, 'invalid');
+            return { valid: false, data: null, repaired: false, errors: ['Response is not a JSON object'] };
+        }
+
+        const coerced = coerce(data, schema);
+        repaired = repaired || JSON.stringify(coerced) !== JSON.stringify(data);
+
+        const errors = check(coerced, schema, '');
+        const valid = errors.length === 0;
+        this.record(type, valid ? (repaired ? 'repaired' : 'valid') : 'invalid');
+
+        return { valid, data: valid ? coerced : null, repaired, errors };
+    }
+
+    /**
+     * Get a schema-valid response for the type from an AI call.
+     * Off-schema output is repaired first, then retried once with the
+     * validation errors; if it still fails this throws so callers fall back.
+     * @param {Function} call - async (prompt) => {content, provider, model}
+     * @returns {Promise<Object>} The call's result with the validated data
+     */
+    async generate(type, prompt, call) {
+        const first = await call(prompt);
+        let result = this.validate(type, first.content);
+        if (result.valid) {
+            return { ...first, data: result.data };
+        }
+
+        console.log(`🤖 AI ${type} response failed validation (${result.errors.join('; ')}) - retrying`);
+        this.record(type, 'retried');
+
+        const retryPrompt = `${prompt}\n\nYour previous answer was rejected: ${result.errors.join('; ')}. Respond with only ${this.describeSchema(type)}, without markdown or commentary.`;
+        const second = await call(retryPrompt);
+        result = this.validate(type, second.content);
+        if (result.valid) {
+            this.record(type, 'recovered');
+            return { ...second, data: result.data };
+        }
+
+        throw new Error(`AI ${type} response failed validation: ${result.errors.join('; ')}`);
+    }
+
+    /**
+     * Describe the expected shape for a retry prompt
+     */
+    describeSchema(type) {
+        const schema = this.schemas[type];
+        if (!schema) return '';
+
+        const fields = Object.entries(schema.properties || {}).map(([name, property]) => {
+            const required = (schema.required || []).includes(name) ? 'required' : 'optional';
+            const kind = property.type === 'array' ? `array of ${property.items?.type || 'string'}` : property.type;
+            return `"${name}" (${kind}, ${required})`;
+        });
+        return `a single JSON object with ${fields.join(', ')}`;
+    }
+
+    record(type, outcome) {
+        if (!this.stats[type]) {
+            this.stats[type] = {};
+            OUTCOMES.forEach(name => { this.stats[type][name] = 0; });
+        }
+        this.stats[type][outcome]++;
+    }
+
+    getStats() {
+        return this.stats;
+    }
+}
+
+function parseStrict(raw) {
+    if (raw && typeof raw === 'object') return raw;
+    try {
+        const data = JSON.parse(raw);
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : undefined;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Strip markdown code fences, pull out the first {...} block and drop trailing commas
+ */
+function parseLenient(raw) {
+    let text = String(raw || '');
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+        text = fenced[1];
+    }
+
+    const objectText = extractObject(text);
+    if (!objectText) return undefined;
+
+    return parseStrict(objectText) || parseStrict(objectText.replace(/,\s*([}\]])/g, '$1'));
+}
+
+/**
+ * First balanced {...} in the text, ignoring braces inside strings
+ */
+function extractObject(text) {
+    const start = text.indexOf('{');
+    if (start === -1) return null;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}' && --depth === 0) {
+            return text.slice(start, i + 1);
+        }
+    }
+    return null;
+}
+
+/**
+ * Coerce values toward the schema: numbers/booleans to strings, delimited
+ * strings to arrays, trimming, truncation and dropping unknown fields
+ */
+function coerce(value, schema) {
+    if (value === null || value === undefined) return value;
+
+    switch (schema.type) {
+        case 'string': {
+            if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+            if (typeof value !== 'string') return value;
+            value = value.trim();
+            return schema.maxLength && value.length > schema.maxLength
+                ? value.slice(0, schema.maxLength).trim()
+                : value;
+        }
+        case 'array': {
+            if (typeof value === 'string') {
+                value = value.split(/\n|,|;/).map(item => item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '')).filter(item => item.trim());
+            }
+            if (!Array.isArray(value)) return value;
+            const items = schema.items ? value.map(item => coerce(item, schema.items)) : value;
+            return schema.maxItems ? items.slice(0, schema.maxItems) : items;
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return value;
+            const result = {};
+            Object.entries(schema.properties || {}).forEach(([name, property]) => {
+                if (value[name] !== undefined) {
+                    result[name] = coerce(value[name], property);
+                }
+            });
+            return result;
+        }
+        default:
+            return value;
+    }
+}
+
+function check(value, schema, field) {
+    const label = field || 'response';
+
+    if (schema.type === 'string') {
+        if (typeof value !== 'string') return [`${label} must be a string`];
+        if (schema.minLength && value.length < schema.minLength) return [`${label} must not be empty`];
+        return [];
+    }
+    if (schema.type === 'array') {
+        if (!Array.isArray(value)) return [`${label} must be an array`];
+        if (schema.minItems && value.length < schema.minItems) return [`${label} needs at least ${schema.minItems} item(s)`];
+        return schema.items ? value.flatMap((item, index) => check(item, schema.items, `${label}[${index}]`)) : [];
+    }
+    if (schema.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${label} must be an object`];
+
+        const errors = (schema.required || [])
+            .filter(name => value[name] === undefined || value[name] === null)
+            .map(name => `${name} is required`);
+        Object.entries(schema.properties || {}).forEach(([name, property]) => {
+            if (value[name] !== undefined && value[name] !== null) {
+                errors.push(...check(value[name], property, name));
+            }
+        });
+        return errors;
+    }
+    return [];
+}
+
+module.exports = AIResponseValidator;
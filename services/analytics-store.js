@@ -0,0 +1,238 @@
+/**
+ * Analytics Store Service
+ * Append-only event log in MongoDB (in-memory fallback) with counters
+ * and daily/weekly trends derived from it
+ */
+
+const AnalyticsEvent = require('../models/AnalyticsEvent');
+
+// Dashboard counters and the event each one counts
+const COUNTER_EVENTS = {
+    pageViews: 'page_view',
+    assessmentStarts: 'assessment_started',
+    assessmentCompletions: 'assessment_completed',
+    leadCaptures: 'lead_captured'
+};
+
+// Cap for the in-memory fallback so a long-running demo can't exhaust memory
+const MAX_FALLBACK_EVENTS = 10000;
+
+// Totals carried over from the old singleton counters (the `global_analytics`
+// document in the `analytics` collection), added to all-time counters
+const BASELINE_EVENT = 'counters_baseline';
+const LEGACY_COUNTERS_COLLECTION = 'analytics';
+const LEGACY_COUNTERS_ID = 'global_analytics';
+
+class AnalyticsStore {
+    constructor({ database } = {}) {
+        this.database = database;
+        this.fallbackEvents = [];
+        this.legacyCountersChecked = false;
+    }
+
+    isDbConnected() {
+        return this.database.getConnectionStatus().connected;
+    }
+
+    /**
+     * Append an event
+     * @param {string} event - Event name, e.g. 'page_view'
+     * @param {Object} data - Event payload
+     * @param {Object} context - { visitorId, sessionId, timestamp }
+     */
+    async track(event, data = {}, { visitorId, sessionId, timestamp } = {}) {
+        const record = {
+            event,
+            data,
+            visitorId,
+            sessionId,
+            timestamp: timestamp ? new Date(timestamp) : new Date()
+        };
+
+        if (this.isDbConnected()) {
+            await AnalyticsEvent.create(record);
+        } else {
+            this.fallbackEvents.push(record);
+            if (this.fallbackEvents.length > MAX_FALLBACK_EVENTS) {
+                this.fallbackEvents.splice(0, this.fallbackEvents.length - MAX_FALLBACK_EVENTS);
+            }
+        }
+
+        return record;
+    }
+
+    /**
+     * Count events by name within an optional date range
+     * @returns {Promise<Object>} { eventName: count }
+     */
+    async countEvents(events, { from, to } = {}) {
+        const counts = {};
+        events.forEach(event => { counts[event] = 0; });
+
+        if (this.isDbConnected()) {
+            const match = { event: { $in: events }, ...buildTimestampMatch(from, to) };
+            const results = await AnalyticsEvent.aggregate([
+                { $match: match },
+                { $group: { _id: '$event', count: { $sum: 1 } } }
+            ]);
+            results.forEach(result => { counts[result._id] = result.count; });
+        } else {
+            this.filterFallback(events, from, to).forEach(record => {
+                counts[record.event]++;
+            });
+        }
+
+        return counts;
+    }
+
+    /**
+     * Count distinct visitors who triggered any of the events.
+     * Events without a visitor id each count as one visitor.
+     */
+    async countVisitors(events, { from, to } = {}) {
+        if (events.length === 0) return 0;
+
+        if (this.isDbConnected()) {
+            const match = { event: { $in: events }, ...buildTimestampMatch(from, to) };
+            const [result] = await AnalyticsEvent.aggregate([
+                { $match: match },
+                { $group: { _id: { $ifNull: ['$visitorId', '$_id'] } } },
+                { $count: 'visitors' }
+            ]);
+            return result ? result.visitors : 0;
+        }
+
+        const visitors = new Set();
+        this.filterFallback(events, from, to).forEach((record, index) => {
+            visitors.add(record.visitorId || `anonymous_${index}`);
+        });
+        return visitors.size;
+    }
+
+    /**
+     * One-off backfill: record the old singleton counters as a baseline event
+     * so dashboard totals continue from them instead of restarting at zero.
+     * Runs once per process; the baseline is only written once.
+     * @returns {Promise<Object|null>} The baseline written, null if none was needed
+     */
+    async migrateLegacyCounters() {
+        if (this.legacyCountersChecked || !this.isDbConnected()) return null;
+        this.legacyCountersChecked = true;
+
+        if (await AnalyticsEvent.exists({ event: BASELINE_EVENT })) return null;
+        const legacy = await AnalyticsEvent.db.collection(LEGACY_COUNTERS_COLLECTION).findOne({ _id: LEGACY_COUNTERS_ID });
+        if (!legacy) return null;
+
+        const baseline = {};
+        Object.keys(COUNTER_EVENTS).forEach(counter => {
+            baseline[counter] = Number(legacy[counter]) || 0;
+        });
+        const record = await AnalyticsEvent.create({
+            event: BASELINE_EVENT,
+            data: baseline,
+            timestamp: legacy.lastUpdated || legacy.updatedAt || new Date()
+        });
+        console.log(`📊 Analytics: ✅ Carried over legacy counters as a baseline (${JSON.stringify(baseline)})`);
+        return record;
+    }
+
+    /**
+     * Legacy counter totals to add to a range's counts. They cover everything
+     * up to the baseline's timestamp, so only apply to ranges without a start.
+     */
+    async getBaseline({ from, to } = {}) {
+        if (from || !this.isDbConnected()) return {};
+
+        const record = await AnalyticsEvent.findOne({ event: BASELINE_EVENT, ...buildTimestampMatch(null, to) }).lean();
+        return record ? record.data : {};
+    }
+
+    /**
+     * Dashboard counters derived from the event log (plus any legacy baseline)
+     */
+    async getCounters(range = {}) {
+        const counts = await this.countEvents(Object.values(COUNTER_EVENTS), range);
+        const baseline = await this.getBaseline(range);
+        const counters = {};
+
+        Object.entries(COUNTER_EVENTS).forEach(([counter, event]) => {
+            counters[counter] = counts[event] + (Number(baseline[counter]) || 0);
+        });
+        counters.conversionRate = counters.assessmentStarts > 0
+            ? (counters.leadCaptures / counters.assessmentStarts) * 100
+            : 0;
+
+        return counters;
+    }
+
+    /**
+     * Event counts bucketed by day (YYYY-MM-DD) or ISO week (YYYY-Www), in UTC
+     * @returns {Promise<Array<{period: string, event: string, count: number}>>}
+     */
+    async getTrend(events, { interval = 'day', from, to } = {}) {
+        const format = interval === 'week' ? '%G-W%V' : '%Y-%m-%d';
+        let rows;
+
+        if (this.isDbConnected()) {
+            const match = { event: { $in: events }, ...buildTimestampMatch(from, to) };
+            const results = await AnalyticsEvent.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: {
+                            period: { $dateToString: { format, date: '$timestamp' } },
+                            event: '$event'
+                        },
+                        count: { $sum: 1 }
+                    }
+                }
+            ]);
+            rows = results.map(result => ({ ...result._id, count: result.count }));
+        } else {
+            const buckets = {};
+            this.filterFallback(events, from, to).forEach(record => {
+                const period = interval === 'week' ? isoWeek(record.timestamp) : record.timestamp.toISOString().slice(0, 10);
+                const key = `${period}|${record.event}`;
+                buckets[key] = buckets[key] || { period, event: record.event, count: 0 };
+                buckets[key].count++;
+            });
+            rows = Object.values(buckets);
+        }
+
+        return rows.sort((a, b) => a.period.localeCompare(b.period) || a.event.localeCompare(b.event));
+    }
+
+    filterFallback(events, from, to) {
+        return this.fallbackEvents.filter(record =>
+            events.includes(record.event) &&
+            (!from || record.timestamp >= from) &&
+            (!to || record.timestamp <= to)
+        );
+    }
+}
+
+function buildTimestampMatch(from, to) {
+    if (!from && !to) return {};
+
+    const timestamp = {};
+    if (from) timestamp.$gte = from;
+    if (to) timestamp.$lte = to;
+    return { timestamp };
+}
+
+/**
+ * ISO 8601 week label matching MongoDB's %G-W%V
+ */
+function isoWeek(date) {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const day = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - day);
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+    return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+AnalyticsStore.COUNTER_EVENTS = COUNTER_EVENTS;
+AnalyticsStore.BASELINE_EVENT = BASELINE_EVENT;
+
+module.exports = AnalyticsStore;
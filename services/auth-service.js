@@ -0,0 +1,277 @@
+/**
+ * Admin Authentication Service
+ * Hashed admin passwords, signed session tokens and role-based route guards
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const AdminUser = require('../models/AdminUser');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['admin', 'counselor', 'viewer'];
+const SESSION_COOKIE = 'fm_admin_session';
+const KEY_LENGTH = 64;
+
+class AuthService {
+    constructor({ database } = {}) {
+        this.database = database;
+        this.fallbackUsers = [];
+        this.sessionTtlMs = (parseFloat(process.env.ADMIN_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+        this.secret = process.env.ADMIN_TOKEN_SECRET;
+
+        if (!this.secret) {
+            // Sessions won't survive a restart (or span serverless instances) without a fixed secret
+            this.secret = crypto.randomBytes(32).toString('hex');
+            console.log('🔐 Admin Auth: ⚠️ ADMIN_TOKEN_SECRET not set - using a per-process secret');
+        }
+        if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+            console.log('🔐 Admin Auth: 💡 Add ADMIN_EMAIL and ADMIN_PASSWORD to .env to create the first admin');
+        }
+    }
+
+    isDbConnected() {
+        return this.database.getConnectionStatus().connected;
+    }
+
+    /**
+     * Hash a password with a random salt
+     */
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, passwordHash) {
+        const [scheme, salt, expected] = String(passwordHash).split('$');
+        if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        const expectedBuffer = Buffer.from(expected, 'hex');
+        return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+    }
+
+    async findUserByEmail(email) {
+        const normalized = String(email || '').toLowerCase().trim();
+        if (this.isDbConnected()) {
+            return AdminUser.findOne({ email: normalized }).lean();
+        }
+        return this.fallbackUsers.find(user => user.email === normalized) || null;
+    }
+
+    async findUserById(userId) {
+        if (this.isDbConnected()) {
+            return AdminUser.findOne({ userId }).lean();
+        }
+        return this.fallbackUsers.find(user => user.userId === userId) || null;
+    }
+
+    async listUsers() {
+        const users = this.isDbConnected()
+            ? await AdminUser.find().sort({ createdAt: 1 }).lean()
+            : this.fallbackUsers;
+        return users.map(toPublicUser);
+    }
+
+    /**
+     * Create an admin user
+     * @throws {Error} with statusCode 400/409 for invalid input or duplicate email
+     */
+    async createUser({ email, name, password, role = 'viewer' }) {
+        if (!email || !name || !password) {
+            throw httpError(400, 'email, name and password are required');
+        }
+        if (!ROLES.includes(role)) {
+            throw httpError(400, `Invalid role "${role}". Allowed: ${ROLES.join(', ')}`);
+        }
+        if (String(password).length < 8) {
+            throw httpError(400, 'password must be at least 8 characters');
+        }
+        if (await this.findUserByEmail(email)) {
+            throw httpError(409, 'A user with this email already exists');
+        }
+
+        const user = {
+            userId: `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            email: String(email).toLowerCase().trim(),
+            name: String(name).trim(),
+            passwordHash: await this.hashPassword(String(password)),
+            role,
+            active: true,
+            createdAt: new Date()
+        };
+
+        if (this.isDbConnected()) {
+            await AdminUser.create(user);
+        } else {
+            this.fallbackUsers.push(user);
+        }
+
+        console.log(`🔐 Admin user created: ${user.email} (${role})`);
+        return toPublicUser(user);
+    }
+
+    /**
+     * Create the admin from ADMIN_EMAIL / ADMIN_PASSWORD if it doesn't exist yet
+     */
+    async ensureBootstrapAdmin() {
+        const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+        if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+
+        if (!(await this.findUserByEmail(ADMIN_EMAIL))) {
+            await this.createUser({ email: ADMIN_EMAIL, name: 'Administrator', password: ADMIN_PASSWORD, role: 'admin' });
+        }
+    }
+
+    /**
+     * Check credentials and issue a session token
+     * @returns {Promise<{token: string, expiresAt: Date, user: Object}|null>}
+     */
+    async login(email, password) {
+        await this.ensureBootstrapAdmin();
+
+        const user = await this.findUserByEmail(email);
+        if (!user || !user.active || !(await this.verifyPassword(String(password || ''), user.passwordHash))) {
+            return null;
+        }
+
+        if (this.isDbConnected()) {
+            await AdminUser.updateOne({ userId: user.userId }, { $set: { lastLoginAt: new Date() } });
+        } else {
+            user.lastLoginAt = new Date();
+        }
+
+        const expiresAt = new Date(Date.now() + this.sessionTtlMs);
+        return {
+            token: this.issueToken(user, expiresAt),
+            expiresAt,
+            user: toPublicUser(user)
+        };
+    }
+
+    /**
+     * Signed token: base64url(payload).base64url(hmac)
+     */
+    issueToken(user, expiresAt) {
+        const payload = Buffer.from(JSON.stringify({
+            sub: user.userId,
+            role: user.role,
+            exp: expiresAt.getTime()
+        })).toString('base64url');
+
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    verifyToken(token) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return claims.exp > Date.now() ? claims : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    getTokenFromRequest(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.slice(7);
+        }
+
+        const cookies = parseCookies(req.headers.cookie);
+        return cookies[SESSION_COOKIE] || null;
+    }
+
+    /**
+     * Resolve the signed-in user for a request (active users only)
+     */
+    async getRequestUser(req) {
+        const claims = this.verifyToken(this.getTokenFromRequest(req));
+        if (!claims) return null;
+
+        const user = await this.findUserById(claims.sub);
+        return user && user.active ? toPublicUser(user) : null;
+    }
+
+    /**
+     * Middleware: require a signed-in user with one of the given roles
+     * (no roles = any signed-in user). Sets req.user.
+     */
+    requireRole(...roles) {
+        return async (req, res, next) => {
+            try {
+                const user = await this.getRequestUser(req);
+                if (!user) {
+                    return res.status(401).json({ error: 'Authentication required' });
+                }
+                if (roles.length > 0 && !roles.includes(user.role)) {
+                    return res.status(403).json({ error: 'You do not have access to this resource' });
+                }
+
+                req.user = user;
+                next();
+            } catch (error) {
+                console.error('Auth check failed:', error);
+                res.status(500).json({ error: 'Failed to verify session' });
+            }
+        };
+    }
+
+    sessionCookie(token, expiresAt) {
+        const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+        return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Expires=${expiresAt.toUTCString()}${secure}`;
+    }
+
+    clearSessionCookie() {
+        return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Expires=Thu, 01 Jan 1970 00:00:00 GMT`;
+    }
+}
+
+function toPublicUser(user) {
+    return {
+        userId: user.userId,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        active: user.active,
+        lastLoginAt: user.lastLoginAt
+    };
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // A malformed value (e.g. "%E0%A4%A") is ignored like a missing cookie
+            }
+        }
+    });
+    return cookies;
+}
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
@@ -0,0 +1,364 @@
+/**
+ * Campaign Service
+ * Bulk email campaigns: one recipient row per lead with its delivery state,
+ * sent by a throttled worker that stays within the email provider's rate limit
+ */
+
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+
+// A recipient left in 'sending' longer than this belongs to a crashed worker
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const MAX_RECIPIENTS = 5000;
+
+class CampaignService {
+    constructor({ database, sendToRecipient, getRatePerMinute, pollIntervalMs } = {}) {
+        this.database = database;
+        this.sendToRecipient = sendToRecipient;
+        this.getRatePerMinute = getRatePerMinute || (() => 30);
+        this.pollIntervalMs = pollIntervalMs || 30 * 1000;
+        this.fallbackCampaigns = [];
+        this.fallbackRecipients = [];
+        this.timer = null;
+        this.isProcessing = false;
+        this.stopped = false;
+        this.lastSendAt = 0;
+    }
+
+    isDbConnected() {
+        return this.database.getConnectionStatus().connected;
+    }
+
+    /**
+     * Store a campaign and its recipients, then start sending in the background
+     * @param {Object} campaign - name, subject, content, templateVersion, audience, createdBy
+     * @param {Array<{leadId: string, email: string, name: string}>} leads - Resolved audience
+     * @throws {Error} with statusCode 400 for an empty or oversized audience
+     */
+    async createCampaign(campaign, leads) {
+        // One email per address even if several leads share it
+        const seen = new Set();
+        const recipients = leads.filter(lead => {
+            const email = String(lead.email || '').toLowerCase().trim();
+            if (!email || seen.has(email)) return false;
+            seen.add(email);
+            return true;
+        });
+
+        if (recipients.length === 0) {
+            throw httpError(400, 'The audience has no leads with a confirmed email address');
+        }
+        if (recipients.length > MAX_RECIPIENTS) {
+            throw httpError(400, `The audience has ${recipients.length} leads; the limit is ${MAX_RECIPIENTS} per campaign`);
+        }
+
+        const record = {
+            campaignId: generateCampaignId(),
+            ...campaign,
+            status: 'sending',
+            counts: { total: recipients.length, sent: 0, failed: 0, skipped: 0, cancelled: 0 },
+            ratePerMinute: this.getRatePerMinute()
+        };
+        const rows = recipients.map(lead => ({
+            campaignId: record.campaignId,
+            leadId: lead.leadId,
+            email: lead.email,
+            name: lead.name,
+            status: 'pending'
+        }));
+
+        if (this.isDbConnected()) {
+            await Campaign.create(record);
+            await CampaignRecipient.insertMany(rows);
+        } else {
+            const now = new Date();
+            this.fallbackCampaigns.push({ ...record, createdAt: now, updatedAt: now });
+            this.fallbackRecipients.push(...rows.map(row => ({ ...row, createdAt: now })));
+        }
+
+        console.log(`📧 Campaign ${record.campaignId} queued: ${recipients.length} recipients at ${record.ratePerMinute}/min`);
+        this.kick();
+        return this.getCampaign(record.campaignId);
+    }
+
+    async listCampaigns({ limit = 50 } = {}) {
+        if (this.isDbConnected()) {
+            return Campaign.find({}, { content: 0 }).sort({ createdAt: -1 }).limit(limit).lean();
+        }
+        return this.fallbackCampaigns
+            .slice()
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, limit)
+            .map(({ content, ...campaign }) => campaign);
+    }
+
+    async getCampaign(campaignId) {
+        if (this.isDbConnected()) {
+            return Campaign.findOne({ campaignId }).lean();
+        }
+        return this.fallbackCampaigns.find(c => c.campaignId === campaignId) || null;
+    }
+
+    /**
+     * Recipients of a campaign in send order, optionally filtered by status
+     */
+    async getRecipients(campaignId, { status, limit = 500 } = {}) {
+        const filter = { campaignId };
+        if (status) filter.status = status;
+
+        if (this.isDbConnected()) {
+            return CampaignRecipient.find(filter).sort({ _id: 1 }).limit(limit).lean();
+        }
+        return this.fallbackRecipients
+            .filter(r => r.campaignId === campaignId && (!status || r.status === status))
+            .slice(0, limit);
+    }
+
+    /**
+     * Stop a campaign; recipients not sent yet are marked cancelled
+     * @returns {Promise<Object|null>} The updated campaign, null if not found
+     */
+    async cancelCampaign(campaignId) {
+        const campaign = await this.getCampaign(campaignId);
+        if (!campaign) return null;
+        if (campaign.status !== 'sending') {
+            throw httpError(409, `Campaign is already ${campaign.status}`);
+        }
+
+        let cancelled;
+        if (this.isDbConnected()) {
+            const result = await CampaignRecipient.updateMany(
+                { campaignId, status: 'pending' },
+                { $set: { status: 'cancelled' } }
+            );
+            cancelled = result.modifiedCount;
+            await Campaign.updateOne(
+                { campaignId },
+                { $set: { status: 'cancelled', completedAt: new Date() }, $inc: { 'counts.cancelled': cancelled } }
+            );
+        } else {
+            const pending = this.fallbackRecipients.filter(r => r.campaignId === campaignId && r.status === 'pending');
+            pending.forEach(r => { r.status = 'cancelled'; });
+            cancelled = pending.length;
+            Object.assign(campaign, { status: 'cancelled', completedAt: new Date(), updatedAt: new Date() });
+            campaign.counts.cancelled += cancelled;
+        }
+
+        console.log(`📧 Campaign ${campaignId} cancelled (${cancelled} unsent)`);
+        return this.getCampaign(campaignId);
+    }
+
+    /**
+     * Atomically claim the next unsent recipient across active campaigns
+     */
+    async claimNextRecipient() {
+        const now = new Date();
+
+        if (this.isDbConnected()) {
+            return CampaignRecipient.findOneAndUpdate(
+                {
+                    $or: [
+                        { status: 'pending' },
+                        { status: 'sending', lockedAt: { $lte: new Date(now - STALE_LOCK_MS) } }
+                    ]
+                },
+                { $set: { status: 'sending', lockedAt: now } },
+                { sort: { _id: 1 }, new: true }
+            ).lean();
+        }
+
+        const recipient = this.fallbackRecipients.find(r => r.status === 'pending');
+        if (recipient) {
+            recipient.status = 'sending';
+            recipient.lockedAt = now;
+        }
+        return recipient || null;
+    }
+
+    /**
+     * Record a recipient's outcome, update the campaign counters and close the
+     * campaign once nobody is left to send to
+     */
+    async completeRecipient(recipient, result) {
+        const status = ['sent', 'skipped'].includes(result.status) ? result.status : 'failed';
+        const update = {
+            status,
+            messageId: result.id || undefined,
+            trackingId: result.trackingId,
+            provider: result.provider,
+            error: status === 'sent' ? undefined : (result.reason || result.error || 'Send failed'),
+            sentAt: status === 'sent' ? new Date() : undefined
+        };
+
+        if (this.isDbConnected()) {
+            await CampaignRecipient.updateOne({ _id: recipient._id }, { $set: update, $unset: { lockedAt: 1 } });
+            await Campaign.updateOne({ campaignId: recipient.campaignId }, { $inc: { [`counts.${status}`]: 1 } });
+
+            const remaining = await CampaignRecipient.countDocuments({
+                campaignId: recipient.campaignId,
+                status: { $in: ['pending', 'sending'] }
+            });
+            if (remaining === 0) {
+                await Campaign.updateOne(
+                    { campaignId: recipient.campaignId, status: 'sending' },
+                    { $set: { status: 'completed', completedAt: new Date() } }
+                );
+            }
+        } else {
+            Object.assign(recipient, update);
+            delete recipient.lockedAt;
+
+            const campaign = this.fallbackCampaigns.find(c => c.campaignId === recipient.campaignId);
+            if (campaign) {
+                campaign.counts[status]++;
+                campaign.updatedAt = new Date();
+                const remaining = this.fallbackRecipients.some(r =>
+                    r.campaignId === recipient.campaignId && ['pending', 'sending'].includes(r.status));
+                if (!remaining && campaign.status === 'sending') {
+                    Object.assign(campaign, { status: 'completed', completedAt: new Date() });
+                }
+            }
+        }
+
+        if (status !== 'sent') {
+            console.log(`📧 Campaign ${recipient.campaignId}: ${recipient.email} ${status} - ${update.error}`);
+        }
+    }
+
+    /**
+     * Send to every pending recipient, spacing sends to stay under the rate limit
+     * @returns {Promise<number>} Number of recipients processed
+     */
+    async processCampaigns() {
+        if (this.isProcessing) {
+            return 0;
+        }
+
+        this.isProcessing = true;
+        let processed = 0;
+
+        try {
+            while (!this.stopped) {
+                const recipient = await this.claimNextRecipient();
+                if (!recipient) break;
+
+                // Throttle: at most ratePerMinute sends per minute across campaigns
+                const interval = 60000 / Math.max(1, this.getRatePerMinute());
+                const wait = this.lastSendAt + interval - Date.now();
+                if (wait > 0) {
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                }
+                this.lastSendAt = Date.now();
+
+                let result;
+                try {
+                    result = await this.sendToRecipient(recipient);
+                } catch (error) {
+                    result = { status: 'failed', error: error.message };
+                }
+
+                await this.completeRecipient(recipient, result);
+                processed++;
+            }
+        } catch (error) {
+            console.error('Campaign worker run failed:', error);
+        } finally {
+            this.isProcessing = false;
+        }
+
+        if (processed > 0) {
+            console.log(`📧 Campaign worker: ${processed} recipients processed`);
+        }
+        return processed;
+    }
+
+    /**
+     * Start sending now instead of waiting for the next poll
+     */
+    kick() {
+        setImmediate(() => this.processCampaigns());
+    }
+
+    /**
+     * Start the polling worker (resumes campaigns interrupted by a restart)
+     */
+    start() {
+        if (this.timer) return;
+
+        this.stopped = false;
+        this.timer = setInterval(() => this.processCampaigns(), this.pollIntervalMs);
+        if (this.timer.unref) this.timer.unref();
+        this.kick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        // Let an in-flight send finish, then leave the loop
+        this.stopped = true;
+    }
+
+    getStatus() {
+        return {
+            running: !!this.timer,
+            sending: this.isProcessing,
+            ratePerMinute: this.getRatePerMinute(),
+            storage: this.isDbConnected() ? 'mongodb' : 'in-memory'
+        };
+    }
+}
+
+/**
+ * Lead filter for a campaign audience: everyone, one status, or hand-picked
+ * leadIds. Leads that never confirmed their address (double opt-in) are
+ * always left out.
+ * @param {Object} audience - { type: 'all'|'status'|'selected', status, leadIds }
+ * @param {string[]} statuses - Valid lead statuses
+ * @throws {Error} with statusCode 400 for an invalid audience
+ */
+function buildAudienceFilter(audience, statuses) {
+    const filter = { emailStatus: { $ne: 'unverified' } };
+
+    if (audience.type === 'status') {
+        if (!statuses.includes(audience.status)) {
+            throw httpError(400, `audience.status must be one of: ${statuses.join(', ')}`);
+        }
+        filter.status = audience.status;
+    } else if (audience.type === 'selected') {
+        if (!Array.isArray(audience.leadIds) || audience.leadIds.length === 0) {
+            throw httpError(400, 'audience.leadIds must be a non-empty array');
+        }
+        filter.leadId = { $in: audience.leadIds.map(String) };
+    } else if (audience.type !== 'all') {
+        throw httpError(400, 'audience.type must be all, status or selected');
+    }
+
+    return filter;
+}
+
+/**
+ * Whether an in-memory lead matches a filter from buildAudienceFilter()
+ */
+function matchesAudience(lead, filter) {
+    return lead.emailStatus !== 'unverified' &&
+        (!filter.status || lead.status === filter.status) &&
+        (!filter.leadId || filter.leadId.$in.includes(lead.leadId));
+}
+
+function generateCampaignId() {
+    return `cmp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+CampaignService.MAX_RECIPIENTS = MAX_RECIPIENTS;
+CampaignService.buildAudienceFilter = buildAudienceFilter;
+CampaignService.matchesAudience = matchesAudience;
+
+module.exports = CampaignService;
@@ -0,0 +1,126 @@
+/**
+ * Counselor Service
+ * Counselor routing profiles and the rules that pick an owner for a new lead:
+ * interest match, timeline urgency, capacity and workload, then round-robin
+ */
+
+const Counselor = require('../models/Counselor');
+
+// Timeline answers that count as urgent
+const URGENT_TIMELINES = ['immediately'];
+
+class CounselorService {
+    /**
+     * @param {Object} options
+     * @param {function(string[]): Promise<Map<string, number>>} options.countOpenLeads - Open leads per counselor userId
+     */
+    constructor({ database, countOpenLeads } = {}) {
+        this.database = database;
+        this.countOpenLeads = countOpenLeads || (async () => new Map());
+        this.fallbackCounselors = [];
+    }
+
+    isDbConnected() {
+        return this.database.getConnectionStatus().connected;
+    }
+
+    /**
+     * Counselors with their current number of open leads
+     */
+    async listCounselors({ activeOnly = false } = {}) {
+        const filter = activeOnly ? { active: true } : {};
+        const counselors = this.isDbConnected()
+            ? await Counselor.find(filter, { __v: 0 }).sort({ name: 1 }).lean()
+            : this.fallbackCounselors
+                .filter(c => !activeOnly || c.active)
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(c => ({ ...c }));
+
+        const openLeads = await this.countOpenLeads(counselors.map(c => c.userId));
+        return counselors.map(c => ({ ...c, openLeads: openLeads.get(c.userId) || 0 }));
+    }
+
+    async getCounselor(userId) {
+        if (!userId) return null;
+        if (this.isDbConnected()) {
+            return Counselor.findOne({ userId }, { __v: 0 }).lean();
+        }
+        return this.fallbackCounselors.find(c => c.userId === userId) || null;
+    }
+
+    /**
+     * Create or update a counselor's profile
+     * @param {Object} fields - Validated name, email, title, interests, takesUrgent, maxOpenLeads, active
+     */
+    async saveCounselor(userId, fields) {
+        if (this.isDbConnected()) {
+            return Counselor.findOneAndUpdate(
+                { userId },
+                { $set: fields },
+                { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true, projection: { __v: 0 } }
+            ).lean();
+        }
+
+        let counselor = this.fallbackCounselors.find(c => c.userId === userId);
+        if (!counselor) {
+            counselor = { userId, interests: [], takesUrgent: false, maxOpenLeads: 0, active: true, createdAt: new Date() };
+            this.fallbackCounselors.push(counselor);
+        }
+        Object.assign(counselor, fields, { updatedAt: new Date() });
+        return { ...counselor };
+    }
+
+    /**
+     * Pick the counselor for a lead. Among active counselors below their
+     * capacity, those covering the lead's interest are preferred, then (for
+     * urgent timelines) those taking urgent leads; the one with the fewest open
+     * leads wins, ties going to whoever has waited longest for a lead.
+     * @returns {Promise<{counselor: Object, reasons: string[]}|null>} null when nobody is available
+     */
+    async chooseCounselor(lead) {
+        const answers = lead.assessmentAnswers || {};
+        const reasons = [];
+
+        let candidates = (await this.listCounselors({ activeOnly: true }))
+            .filter(c => !c.maxOpenLeads || c.openLeads < c.maxOpenLeads);
+        if (candidates.length === 0) return null;
+
+        const specialists = candidates.filter(c => answers.interest && c.interests.includes(answers.interest));
+        if (specialists.length > 0) {
+            candidates = specialists;
+            reasons.push(`interest: ${answers.interest}`);
+        }
+
+        if (URGENT_TIMELINES.includes(answers.timeline)) {
+            const urgent = candidates.filter(c => c.takesUrgent);
+            if (urgent.length > 0) {
+                candidates = urgent;
+                reasons.push(`urgent timeline: ${answers.timeline}`);
+            }
+        }
+
+        const [counselor] = candidates.sort((a, b) =>
+            a.openLeads - b.openLeads ||
+            (a.lastAssignedAt ? new Date(a.lastAssignedAt).getTime() : 0) - (b.lastAssignedAt ? new Date(b.lastAssignedAt).getTime() : 0));
+        reasons.push(`workload: ${counselor.openLeads} open leads`);
+
+        return { counselor, reasons };
+    }
+
+    /**
+     * Move a counselor to the back of the round-robin
+     */
+    async markAssigned(userId) {
+        const now = new Date();
+        if (this.isDbConnected()) {
+            await Counselor.updateOne({ userId }, { $set: { lastAssignedAt: now } });
+            return;
+        }
+        const counselor = this.fallbackCounselors.find(c => c.userId === userId);
+        if (counselor) counselor.lastAssignedAt = now;
+    }
+}
+
+CounselorService.URGENT_TIMELINES = URGENT_TIMELINES;
+
+module.exports = CounselorService;
@@ -0,0 +1,109 @@
+/**
+ * Email Log
+ * Delivery record of every email the app tries to send (sent, failed or
+ * skipped), kept per lead so support can see exactly what a lead received
+ */
+
+const EmailMessage = require('../models/EmailMessage');
+
+// Cap for the in-memory fallback so a long-running demo can't exhaust memory
+const MAX_FALLBACK_MESSAGES = 5000;
+
+class EmailLog {
+    constructor({ database } = {}) {
+        this.database = database;
+        this.fallbackMessages = [];
+    }
+
+    isDbConnected() {
+        return this.database.getConnectionStatus().connected;
+    }
+
+    /**
+     * Store the outcome of one send attempt
+     * @param {Object} message - trackingId, leadId, email, type, subject, content, status, ...
+     */
+    async record(message) {
+        const record = {
+            ...message,
+            error: message.error ? String(message.error).slice(0, 1000) : undefined,
+            sentAt: message.status === 'sent' ? new Date() : undefined
+        };
+
+        if (this.isDbConnected()) {
+            await EmailMessage.create(record);
+        } else {
+            const now = new Date();
+            this.fallbackMessages.push({ ...record, createdAt: now, updatedAt: now });
+            if (this.fallbackMessages.length > MAX_FALLBACK_MESSAGES) {
+                this.fallbackMessages.splice(0, this.fallbackMessages.length - MAX_FALLBACK_MESSAGES);
+            }
+        }
+    }
+
+    async get(trackingId) {
+        if (this.isDbConnected()) {
+            return EmailMessage.findOne({ trackingId }).lean();
+        }
+        return this.fallbackMessages.find(m => m.trackingId === trackingId) || null;
+    }
+
+    /**
+     * Whether a lead has already been sent a message of this type (idempotency check)
+     */
+    async hasSent(leadId, type) {
+        if (this.isDbConnected()) {
+            return !!(await EmailMessage.exists({ leadId, type, status: 'sent' }));
+        }
+        return this.fallbackMessages.some(m => m.leadId === leadId && m.type === type && m.status === 'sent');
+    }
+
+    /**
+     * A lead's messages, newest first
+     * @param {Object} options - status and type filters, limit
+     */
+    async findByLead(leadId, { status, type, limit = 100 } = {}) {
+        const filter = { leadId };
+        if (status) filter.status = status;
+        if (type) filter.type = type;
+
+        if (this.isDbConnected()) {
+            return EmailMessage.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+        }
+        return this.fallbackMessages
+            .filter(m => m.leadId === leadId && (!status || m.status === status) && (!type || m.type === type))
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, limit);
+    }
+
+    /**
+     * Move messages from merged duplicate leads to the lead they were merged into
+     * @returns {Promise<number>} Number of messages moved
+     */
+    async reassignLead(fromLeadIds, toLeadId) {
+        if (this.isDbConnected()) {
+            const result = await EmailMessage.updateMany({ leadId: { $in: fromLeadIds } }, { $set: { leadId: toLeadId } });
+            return result.modifiedCount;
+        }
+        const messages = this.fallbackMessages.filter(m => fromLeadIds.includes(m.leadId));
+        messages.forEach(m => { m.leadId = toLeadId; });
+        return messages.length;
+    }
+
+    /**
+     * Link a failed message to the message that resent it
+     */
+    async markResent(trackingId, resentAs) {
+        if (this.isDbConnected()) {
+            await EmailMessage.updateOne({ trackingId }, { $set: { resentAs } });
+            return;
+        }
+        const message = this.fallbackMessages.find(m => m.trackingId === trackingId);
+        if (message) {
+            message.resentAs = resentAs;
+            message.updatedAt = new Date();
+        }
+    }
+}
+
+module.exports = EmailLog;
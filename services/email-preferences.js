@@ -0,0 +1,199 @@
+/**
+ * Email Preferences Service
+ * Suppression list, pause/topic preferences and signed unsubscribe and
+ * preference-page links
+ */
+
+const EmailPreference = require('../models/EmailPreference');
+
+// Topics a lead can opt out of, and the sequence steps in each.
+// Steps not listed here (e.g. welcome) only stop for suppressed addresses.
+const TOPICS = {
+    career_roadmap: {
+        label: 'Career roadmap and program details',
+        types: ['assessment_results', 'course_deep_dive']
+    },
+    success_stories: {
+        label: 'Success stories and alumni results',
+        types: ['success_stories', 'social_proof']
+    },
+    offers: {
+        label: 'Cohort deadlines and offers',
+        types: ['final_cta']
+    }
+};
+
+const SUPPRESSION_REASONS = EmailPreference.schema.path('suppressionReason').enumValues;
+
+class EmailPreferences {
+    constructor({ database, signer, baseUrl } = {}) {
+        this.database = database;
+        this.signer = signer;
+        this.baseUrl = String(baseUrl || '').replace(/\/$/, '');
+        this.fallbackPreferences = [];
+    }
+
+    isDbConnected() {
+        return this.database.getConnectionStatus().connected;
+    }
+
+    /**
+     * Signed token identifying an address (and its lead) in unsubscribe/preference links
+     */
+    createToken(email, leadId) {
+        const payload = Buffer.from(JSON.stringify({ e: normalizeEmail(email), l: leadId || null })).toString('base64url');
+        return `${payload}.${this.signer.sign(`prefs|${payload}`)}`;
+    }
+
+    /**
+     * @returns {{email: string, leadId: string|null}|null}
+     */
+    verifyToken(token) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !this.signer.verify(`prefs|${payload}`, signature)) return null;
+
+        try {
+            const { e, l } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return e ? { email: e, leadId: l } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getUnsubscribeUrl(token) {
+        return `${this.baseUrl}/api/email/unsubscribe/${token}`;
+    }
+
+    getPreferencesUrl(token) {
+        return `${this.baseUrl}/email/preferences?token=${token}`;
+    }
+
+    /**
+     * Preferences for an address (defaults when none are stored)
+     */
+    async get(email) {
+        const normalized = normalizeEmail(email);
+        const stored = this.isDbConnected()
+            ? await EmailPreference.findOne({ email: normalized }).lean()
+            : this.fallbackPreferences.find(pref => pref.email === normalized);
+
+        return {
+            email: normalized,
+            suppressed: false,
+            paused: false,
+            ...(stored || {}),
+            topics: stored?.topics || Object.keys(TOPICS)
+        };
+    }
+
+    async save(email, update) {
+        const normalized = normalizeEmail(email);
+
+        if (this.isDbConnected()) {
+            return EmailPreference.findOneAndUpdate(
+                { email: normalized },
+                { $set: update },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            ).lean();
+        }
+
+        let pref = this.fallbackPreferences.find(p => p.email === normalized);
+        if (!pref) {
+            pref = { email: normalized, suppressed: false, paused: false, createdAt: new Date() };
+            this.fallbackPreferences.push(pref);
+        }
+        Object.assign(pref, update, { updatedAt: new Date() });
+        return pref;
+    }
+
+    /**
+     * Update pause state and topics from the preference page
+     * @throws {Error} with statusCode 400 for unknown topics
+     */
+    async updatePreferences(email, { paused, topics, leadId }) {
+        const update = {};
+        if (paused !== undefined) {
+            update.paused = !!paused;
+        }
+        if (topics !== undefined) {
+            if (!Array.isArray(topics) || topics.some(topic => !Object.hasOwn(TOPICS, topic))) {
+                throw httpError(400, `topics must be a list of: ${Object.keys(TOPICS).join(', ')}`);
+            }
+            update.topics = [...new Set(topics)];
+        }
+        if (leadId) {
+            update.leadId = leadId;
+        }
+
+        await this.save(email, update);
+        return this.get(email);
+    }
+
+    /**
+     * Add an address to the suppression list
+     */
+    async suppress(email, { reason = 'unsubscribed', leadId } = {}) {
+        if (!SUPPRESSION_REASONS.includes(reason)) {
+            throw httpError(400, `Invalid reason "${reason}". Allowed: ${SUPPRESSION_REASONS.join(', ')}`);
+        }
+
+        const update = { suppressed: true, suppressionReason: reason, suppressedAt: new Date() };
+        if (leadId) update.leadId = leadId;
+
+        await this.save(email, update);
+        console.log(`🚫 Email suppressed: ${normalizeEmail(email)} (${reason})`);
+        return this.get(email);
+    }
+
+    async unsuppress(email) {
+        await this.save(email, { suppressed: false, suppressionReason: null, suppressedAt: null });
+        console.log(`✅ Email resubscribed: ${normalizeEmail(email)}`);
+        return this.get(email);
+    }
+
+    async listSuppressed() {
+        if (this.isDbConnected()) {
+            return EmailPreference.find({ suppressed: true }).sort({ suppressedAt: -1 }).lean();
+        }
+        return this.fallbackPreferences
+            .filter(pref => pref.suppressed)
+            .sort((a, b) => b.suppressedAt - a.suppressedAt);
+    }
+
+    /**
+     * Whether an email of this type may go to the address
+     * @returns {Promise<{allowed: boolean, reason?: string, preferences: Object}>}
+     */
+    async checkSend(email, type) {
+        const preferences = await this.get(email);
+
+        if (preferences.suppressed) {
+            return { allowed: false, reason: `suppressed (${preferences.suppressionReason || 'unsubscribed'})`, preferences };
+        }
+
+        const topic = getTopicForType(type);
+        if (topic && !preferences.topics.includes(topic)) {
+            return { allowed: false, reason: `opted out of ${topic}`, preferences };
+        }
+
+        return { allowed: true, preferences };
+    }
+}
+
+function getTopicForType(type) {
+    return Object.keys(TOPICS).find(topic => TOPICS[topic].types.includes(type)) || null;
+}
+
+function normalizeEmail(email) {
+    return String(email || '').toLowerCase().trim();
+}
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+EmailPreferences.TOPICS = TOPICS;
+
+module.exports = EmailPreferences;
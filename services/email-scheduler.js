@@ -0,0 +1,402 @@
+/**
+ * Email Scheduler Service
+ * Durable follow-up email jobs stored in MongoDB, with an in-memory
+ * stand-in when the database is unavailable, plus a polling worker.
+ * Transient send failures are retried with exponential backoff; permanent
+ * failures and jobs out of attempts go to the dead-letter list.
+ */
+
+const ScheduledEmail = require('../models/ScheduledEmail');
+
+// A job left in 'processing' longer than this is assumed to belong to a
+// crashed worker and is picked up again
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// Jobs that will still send unless cancelled
+const OPEN_STATUSES = ['pending', 'processing'];
+
+class EmailScheduler {
+    constructor({ database, sendJob, pollIntervalMs, batchSize, maxAttempts, retryBaseMs } = {}) {
+        this.database = database;
+        this.sendJob = sendJob;
+        this.pollIntervalMs = pollIntervalMs || parseInt(process.env.EMAIL_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+        this.batchSize = batchSize || 20;
+        this.maxAttempts = maxAttempts || parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+        this.retryBaseMs = retryBaseMs || parseInt(process.env.EMAIL_RETRY_BASE_MS, 10) || DEFAULT_RETRY_BASE_MS;
+        this.fallbackJobs = [];
+        this.timer = null;
+        this.isProcessing = false;
+        this.lastRunAt = null;
+    }
+
+    isDbConnected() {
+        return this.database.getConnectionStatus().connected;
+    }
+
+    /**
+     * Create one pending job per schedule entry for a lead. Steps the lead
+     * already has a job for (unless cancelled) are left out, so scheduling
+     * twice never queues the same step twice.
+     * @param {Object} lead - Lead with leadId, email and name
+     * @param {Array<{delay: number, type: string}>} schedule - Delays in ms from now
+     */
+    async scheduleSequence(lead, schedule) {
+        const existing = await this.getJobsForLead(lead.leadId);
+        const scheduled = new Set(existing.filter(job => job.status !== 'cancelled').map(job => job.type));
+
+        const now = Date.now();
+        const jobs = schedule.filter(({ type }) => !scheduled.has(type)).map(({ delay, type }) => ({
+            jobId: generateJobId(),
+            leadId: lead.leadId,
+            email: lead.email,
+            name: lead.name,
+            type,
+            runAt: new Date(now + delay),
+            status: 'pending',
+            attempts: 0
+        }));
+
+        if (jobs.length === 0) {
+            return jobs;
+        }
+        if (this.isDbConnected()) {
+            await ScheduledEmail.insertMany(jobs);
+        } else {
+            this.fallbackJobs.push(...jobs);
+        }
+
+        return jobs;
+    }
+
+    /**
+     * Hand a failed immediate send (e.g. the welcome email) to the retry queue
+     * as a job that has used one attempt. A lead gets one such job per type:
+     * if one is already queued it is left to deliver the email.
+     * @returns {Promise<Object|null>} The fields written to the new job, null if one was queued
+     */
+    async enqueueFailedSend(lead, type, result) {
+        if (await this.findOpenJob(lead.leadId, type)) {
+            return null;
+        }
+
+        const job = {
+            jobId: generateJobId(),
+            leadId: lead.leadId,
+            email: lead.email,
+            name: lead.name,
+            type,
+            runAt: new Date(),
+            status: 'processing',
+            attempts: 1
+        };
+
+        if (this.isDbConnected()) {
+            await ScheduledEmail.create(job);
+        } else {
+            this.fallbackJobs.push(job);
+        }
+
+        return this.completeJob(job, result);
+    }
+
+    async getJob(jobId) {
+        if (this.isDbConnected()) {
+            return ScheduledEmail.findOne({ jobId }).lean();
+        }
+        return this.fallbackJobs.find(job => job.jobId === jobId) || null;
+    }
+
+    /**
+     * Dead-lettered jobs, most recent first
+     */
+    async getDeadLetters({ limit = 100 } = {}) {
+        if (this.isDbConnected()) {
+            return ScheduledEmail.find({ status: 'dead_letter' }).sort({ deadLetteredAt: -1 }).limit(limit).lean();
+        }
+        return this.fallbackJobs
+            .filter(job => job.status === 'dead_letter')
+            .sort((a, b) => b.deadLetteredAt - a.deadLetteredAt)
+            .slice(0, limit);
+    }
+
+    /**
+     * Put a dead-lettered job back in the queue with a fresh set of attempts
+     * @returns {Promise<Object|null>} The requeued job, null if not found
+     * @throws {Error} with statusCode 409 if the job is not dead-lettered
+     */
+    async requeueJob(jobId) {
+        const update = { status: 'pending', runAt: new Date(), attempts: 0 };
+        const cleared = { deadLetteredAt: 1, failureReason: 1 };
+
+        if (this.isDbConnected()) {
+            const job = await ScheduledEmail.findOneAndUpdate(
+                { jobId, status: 'dead_letter' },
+                { $set: update, $unset: cleared },
+                { new: true }
+            ).lean();
+            if (job) return job;
+        } else {
+            const job = this.fallbackJobs.find(j => j.jobId === jobId && j.status === 'dead_letter');
+            if (job) {
+                Object.assign(job, update);
+                Object.keys(cleared).forEach(field => delete job[field]);
+                return job;
+            }
+        }
+
+        const job = await this.getJob(jobId);
+        if (!job) return null;
+        throw httpError(409, `Only dead-lettered jobs can be requeued (this one is ${job.status})`);
+    }
+
+    /**
+     * Exponential backoff (base * 2^(attempt-1), capped) with jitter between
+     * half and the full delay, so retries after an outage don't arrive together
+     */
+    getRetryDelay(attempts) {
+        const delay = Math.min(MAX_RETRY_DELAY_MS, this.retryBaseMs * 2 ** (attempts - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * A lead's job of this type that is still waiting or being sent, if any
+     */
+    async findOpenJob(leadId, type) {
+        if (this.isDbConnected()) {
+            return ScheduledEmail.findOne({ leadId, type, status: { $in: OPEN_STATUSES } }).lean();
+        }
+        return this.fallbackJobs.find(job =>
+            job.leadId === leadId && job.type === type && OPEN_STATUSES.includes(job.status)) || null;
+    }
+
+    /**
+     * List every job for a lead, oldest run time first
+     */
+    async getJobsForLead(leadId) {
+        if (this.isDbConnected()) {
+            return ScheduledEmail.find({ leadId }).sort({ runAt: 1 }).lean();
+        }
+
+        return this.fallbackJobs
+            .filter(job => job.leadId === leadId)
+            .sort((a, b) => a.runAt - b.runAt);
+    }
+
+    /**
+     * Cancel a lead's jobs that have not been sent yet
+     * @returns {Promise<number>} Number of jobs cancelled
+     */
+    async cancelJobsForLead(leadId, reason = 'cancelled') {
+        if (this.isDbConnected()) {
+            const result = await ScheduledEmail.updateMany(
+                { leadId, status: 'pending' },
+                { $set: { status: 'cancelled', lastError: reason } }
+            );
+            return result.modifiedCount;
+        }
+
+        let cancelled = 0;
+        this.fallbackJobs.forEach(job => {
+            if (job.leadId === leadId && job.status === 'pending') {
+                job.status = 'cancelled';
+                job.lastError = reason;
+                cancelled++;
+            }
+        });
+        return cancelled;
+    }
+
+    /**
+     * Move jobs from merged duplicate leads to the lead they were merged into.
+     * Their unsent jobs are cancelled first; the merged lead keeps its own sequence.
+     * @returns {Promise<number>} Number of jobs moved
+     */
+    async reassignLead(fromLeadIds, toLeadId) {
+        for (const leadId of fromLeadIds) {
+            await this.cancelJobsForLead(leadId, `merged into ${toLeadId}`);
+        }
+
+        if (this.isDbConnected()) {
+            const result = await ScheduledEmail.updateMany({ leadId: { $in: fromLeadIds } }, { $set: { leadId: toLeadId } });
+            return result.modifiedCount;
+        }
+        const jobs = this.fallbackJobs.filter(job => fromLeadIds.includes(job.leadId));
+        jobs.forEach(job => { job.leadId = toLeadId; });
+        return jobs.length;
+    }
+
+    /**
+     * Atomically claim the next due job so concurrent workers never send it twice
+     */
+    async claimNextJob() {
+        const now = new Date();
+
+        if (this.isDbConnected()) {
+            return ScheduledEmail.findOneAndUpdate(
+                {
+                    $or: [
+                        { status: 'pending', runAt: { $lte: now } },
+                        { status: 'processing', lockedAt: { $lte: new Date(now - STALE_LOCK_MS) } }
+                    ]
+                },
+                { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+                { sort: { runAt: 1 }, new: true }
+            ).lean();
+        }
+
+        const job = this.fallbackJobs
+            .filter(j => j.status === 'pending' && j.runAt <= now)
+            .sort((a, b) => a.runAt - b.runAt)[0];
+
+        if (job) {
+            job.status = 'processing';
+            job.lockedAt = now;
+            job.attempts++;
+        }
+        return job || null;
+    }
+
+    /**
+     * Record the outcome of a send attempt on the job.
+     * 'skipped' ends the job without sending (e.g. suppressed address);
+     * 'deferred' puts it back in the queue at result.runAt (e.g. paused sequence);
+     * a failure is retried after a backoff unless it is permanent or out of attempts.
+     * @returns {Promise<Object>} The fields written to the job
+     */
+    async completeJob(job, result) {
+        let update;
+        if (result.status === 'sent') {
+            update = {
+                status: 'sent',
+                sentAt: new Date(),
+                messageId: result.id,
+                provider: result.provider,
+                templateVersion: result.templateVersion,
+                lastError: null
+            };
+        } else if (result.status === 'skipped') {
+            update = { status: 'skipped', lastError: result.reason || 'Skipped' };
+        } else if (result.status === 'deferred') {
+            update = { status: 'pending', runAt: result.runAt, lastError: result.reason || 'Deferred' };
+        } else if (!result.permanent && job.attempts < this.maxAttempts) {
+            update = {
+                status: 'pending',
+                runAt: new Date(Date.now() + this.getRetryDelay(job.attempts)),
+                provider: result.provider,
+                templateVersion: result.templateVersion,
+                lastError: result.error || 'Send failed'
+            };
+        } else {
+            update = {
+                status: 'dead_letter',
+                deadLetteredAt: new Date(),
+                failureReason: result.permanent ? 'permanent' : 'max_attempts',
+                provider: result.provider,
+                templateVersion: result.templateVersion,
+                lastError: result.error || 'Send failed'
+            };
+        }
+
+        if (this.isDbConnected()) {
+            await ScheduledEmail.updateOne({ jobId: job.jobId }, { $set: update, $unset: { lockedAt: 1 } });
+        } else {
+            Object.assign(job, update);
+            delete job.lockedAt;
+        }
+        return update;
+    }
+
+    /**
+     * Send every job that is due, up to the batch size
+     * @returns {Promise<number>} Number of jobs processed
+     */
+    async processDueJobs() {
+        if (this.isProcessing) {
+            return 0;
+        }
+
+        this.isProcessing = true;
+        let processed = 0;
+
+        try {
+            while (processed < this.batchSize) {
+                const job = await this.claimNextJob();
+                if (!job) break;
+
+                let result;
+                try {
+                    result = await this.sendJob(job);
+                } catch (error) {
+                    result = { status: 'failed', error: error.message };
+                }
+
+                const update = await this.completeJob(job, result);
+                processed++;
+
+                if (result.status === 'sent') {
+                    console.log(`📧 Scheduled email sent: ${job.type} to ${job.email}`);
+                } else if (result.status === 'skipped' || result.status === 'deferred') {
+                    console.log(`📧 Scheduled email ${result.status}: ${job.type} to ${job.email} - ${result.reason}`);
+                } else if (update.status === 'pending') {
+                    console.error(`Failed to send scheduled email ${job.type} to ${job.email} (attempt ${job.attempts}/${this.maxAttempts}, retrying at ${update.runAt.toISOString()}):`, result.error);
+                } else {
+                    console.error(`📧 Scheduled email ${job.type} to ${job.email} dead-lettered (${update.failureReason}):`, result.error);
+                }
+            }
+        } catch (error) {
+            console.error('Email scheduler run failed:', error);
+        } finally {
+            this.isProcessing = false;
+            this.lastRunAt = new Date();
+        }
+
+        return processed;
+    }
+
+    /**
+     * Start the polling worker
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.processDueJobs(), this.pollIntervalMs);
+        // Don't keep the process alive just for the poller
+        if (this.timer.unref) this.timer.unref();
+
+        console.log(`⏰ Email scheduler: polling every ${Math.round(this.pollIntervalMs / 1000)}s`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Get scheduler status
+     */
+    getStatus() {
+        return {
+            running: !!this.timer,
+            pollIntervalMs: this.pollIntervalMs,
+            maxAttempts: this.maxAttempts,
+            storage: this.isDbConnected() ? 'mongodb' : 'in-memory',
+            lastRunAt: this.lastRunAt
+        };
+    }
+}
+
+function generateJobId() {
+    return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+module.exports = EmailScheduler;
@@ -0,0 +1,370 @@
+/**
+ * Email Service
+ * Renders emails and delivers them through the transports configured in
+ * data/email-transports.json (Gmail, SMTP, Resend, file/maildir), trying
+ * each in order until one accepts the message
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TRANSPORT_TYPES, readSetting, isPermanentError } = require('./email-transports');
+const { escapeHtml } = require('./email-template-engine');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'data', 'email-transports.json');
+const DEFAULT_RATE_PER_MINUTE = 30;
+// Re-verification of a degraded transport backs off from 1 minute to 30 minutes
+const VERIFY_RETRY_BASE_MS = 60 * 1000;
+const VERIFY_RETRY_MAX_MS = 30 * 60 * 1000;
+
+class EmailService {
+    constructor(configPath = DEFAULT_CONFIG_PATH) {
+        this.configPath = configPath;
+        this.config = this.loadConfig();
+        this.transports = this.initializeTransports();
+    }
+
+    /**
+     * Load transport settings and failover order from disk
+     */
+    loadConfig() {
+        try {
+            const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+            console.log(`📧 Email Transports: ✅ Loaded config v${config.version}`);
+            return config;
+        } catch (error) {
+            console.error('❌ Failed to load email transport config:', error);
+            return { version: 0, order: [], from: {}, transports: {} };
+        }
+    }
+
+    /**
+     * Transport names to try, in order.
+     * EMAIL_TRANSPORTS overrides the configured order (e.g. EMAIL_TRANSPORTS=file for local QA).
+     */
+    getOrder() {
+        const order = process.env.EMAIL_TRANSPORTS
+            ? process.env.EMAIL_TRANSPORTS.split(',').map(name => name.trim()).filter(Boolean)
+            : this.config.order || [];
+        return order.filter(name => {
+            if (this.config.transports?.[name]) return true;
+            console.error(`📧 Unknown email transport "${name}" - skipping`);
+            return false;
+        });
+    }
+
+    /**
+     * Build every transport in the order and verify the configured ones
+     */
+    initializeTransports() {
+        const from = {
+            name: this.config.from?.name || 'Scaler AI Career Coach',
+            address: readSetting(this.config.from || {}, 'address')
+        };
+
+        return this.getOrder().map(name => {
+            const settings = this.config.transports[name];
+            const factory = TRANSPORT_TYPES[settings.type];
+            if (!factory) {
+                console.error(`📧 Email transport "${name}" has unknown type "${settings.type}"`);
+                return { name, type: settings.type, configured: false };
+            }
+
+            try {
+                const transport = factory(name, settings, from);
+                console.log(`📧 Email transport ${name}: ${transport.configured ? `✅ ${transport.describe}` : '❌ Not configured'}`);
+                if (transport.configured) {
+                    this.verifyTransport(transport);
+                }
+                return transport;
+            } catch (error) {
+                console.error(`Email transport ${name} initialization error:`, error);
+                return { name, type: settings.type, configured: false };
+            }
+        });
+    }
+
+    /**
+     * Verify a transport's connection. One that fails stays in the rotation
+     * (the failure may be a network blip) but is marked degraded and
+     * re-verified with a backoff until it passes.
+     */
+    async verifyTransport(transport, attempt = 0) {
+        clearTimeout(transport.verifyTimer);
+        try {
+            await transport.verify();
+            console.log(`📧 Email transport ${transport.name}: Connection verified successfully`);
+            transport.degraded = false;
+        } catch (error) {
+            const delay = Math.min(VERIFY_RETRY_BASE_MS * 2 ** attempt, VERIFY_RETRY_MAX_MS);
+            console.error(`📧 Email transport ${transport.name}: Connection verification failed (retrying in ${Math.round(delay / 1000)}s):`, error.message);
+            transport.degraded = true;
+            transport.lastError = error.message;
+            transport.verifyTimer = setTimeout(() => this.verifyTransport(transport, attempt + 1), delay);
+            transport.verifyTimer.unref();
+        }
+    }
+
+    get isConfigured() {
+        return this.transports.some(transport => transport.configured);
+    }
+
+    /**
+     * Sends per minute allowed by the first transport in rotation (the one normally used).
+     * CAMPAIGN_RATE_PER_MINUTE overrides it.
+     */
+    getRatePerMinute() {
+        const override = parseInt(process.env.CAMPAIGN_RATE_PER_MINUTE, 10);
+        if (override > 0) return override;
+
+        const primary = this.transports.find(transport => transport.configured);
+        return (primary && this.config.transports[primary.name]?.ratePerMinute) || DEFAULT_RATE_PER_MINUTE;
+    }
+
+    /**
+     * Send an email through the first transport that accepts it
+     * @returns {Promise<Object>} success, messageId and provider, or success: false
+     *   with the error from every transport tried
+     */
+    async sendEmail(emailData) {
+        const mail = {
+            to: emailData.to,
+            subject: emailData.subject,
+            // Pre-rendered HTML (e.g. with tracking links) takes precedence
+            html: emailData.html || this.generateEmailHTML(emailData),
+            text: this.generatePlainText(emailData.content)
+        };
+
+        // One-click unsubscribe (RFC 8058) for mailbox providers
+        if (emailData.unsubscribeUrl) {
+            mail.headers = {
+                'List-Unsubscribe': `<${emailData.unsubscribeUrl}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            };
+        }
+
+        const attempts = [];
+        for (const transport of this.transports.filter(t => t.configured)) {
+            try {
+                const result = await transport.send(mail);
+
+                if (transport.degraded) {
+                    // A delivered message proves the connection works again
+                    clearTimeout(transport.verifyTimer);
+                    transport.degraded = false;
+                }
+
+                console.log(`📧 Email sent successfully to ${emailData.to} via ${transport.name}`);
+                console.log(`   Subject: ${emailData.subject}`);
+                console.log(`   Message ID: ${result.messageId}`);
+
+                return {
+                    success: true,
+                    messageId: result.messageId,
+                    to: emailData.to,
+                    subject: emailData.subject,
+                    provider: transport.name,
+                    attempts: [...attempts, { transport: transport.name, success: true }],
+                    timestamp: new Date().toISOString()
+                };
+            } catch (error) {
+                console.error(`📧 Email transport ${transport.name} failed for ${emailData.to}:`, error.message);
+                transport.lastError = error.message;
+                attempts.push({ transport: transport.name, success: false, error: error.message, permanent: isPermanentError(error) });
+            }
+        }
+
+        const error = attempts.length > 0
+            ? attempts.map(attempt => `${attempt.transport}: ${attempt.error}`).join('; ')
+            : 'No email transport configured';
+        console.error(`📧 Email to ${emailData.to} not sent - ${error}`);
+
+        return {
+            success: false,
+            error,
+            // Retrying only helps if some transport failed for a transient reason; with no
+            // transport tried (none configured yet) nothing has rejected the message
+            permanent: attempts.length > 0 && attempts.every(attempt => attempt.permanent),
+            to: emailData.to,
+            subject: emailData.subject,
+            provider: attempts.length > 0 ? attempts[attempts.length - 1].transport : null,
+            attempts,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Generate HTML email content
+     */
+    generateEmailHTML(emailData) {
+        const { content, name, type } = emailData;
+        
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${escapeHtml(emailData.subject || '')}</title>
+            <style>
+                body { 
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
+                    line-height: 1.6; 
+                    color: #333; 
+                    max-width: 600px; 
+                    margin: 0 auto; 
+                    padding: 20px;
+                    background-color: #f4f4f4;
+                }
+                .email-container {
+                    background: white;
+                    padding: 30px;
+                    border-radius: 10px;
+                    box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+                }
+                .header {
+                    text-align: center;
+                    padding-bottom: 20px;
+                    border-bottom: 2px solid #00d4ff;
+                    margin-bottom: 30px;
+                }
+                .logo {
+                    font-size: 24px;
+                    font-weight: bold;
+                    color: #00d4ff;
+                }
+                .content {
+                    margin: 20px 0;
+                    font-size: 16px;
+                }
+                .cta-button {
+                    display: inline-block;
+                    background: linear-gradient(135deg, #00d4ff 0%, #0099cc 100%);
+                    color: white;
+                    padding: 15px 30px;
+                    text-decoration: none;
+                    border-radius: 5px;
+                    font-weight: bold;
+                    margin: 20px 0;
+                    text-align: center;
+                }
+                .footer {
+                    margin-top: 30px;
+                    padding-top: 20px;
+                    border-top: 1px solid #eee;
+                    font-size: 14px;
+                    color: #666;
+                    text-align: center;
+                }
+            </style>
+        </head>
+        <body>
+            <div class="email-container">
+                <div class="header">
+                    <div class="logo">🚀 Scaler AI</div>
+                    <p>Your AI Career Transformation Partner</p>
+                </div>
+                
+                <div class="content">
+                    <h2>Hi ${escapeHtml(name || 'there')}! 👋</h2>
+                    
+                    <div>${content}</div>
+                    
+                    ${emailData.cta ? `
+                        <p style="text-align: center;">
+                            <a href="${emailData.ctaUrl || '#'}" class="cta-button">${escapeHtml(emailData.cta)}</a>
+                        </p>
+                    ` : ''}
+                </div>
+                
+                <div class="footer">
+                    <p><strong>Scaler - AI Career Transformation</strong></p>
+                    <p>Helping software engineers transition to high-paying AI/ML roles</p>
+                    <p style="font-size: 12px; color: #999;">
+                        This is an automated email from your AI career assessment.
+                    </p>
+                    ${emailData.unsubscribeUrl ? `
+                        <p style="font-size: 12px; color: #999;">
+                            <a href="${emailData.preferencesUrl}" style="color: #999;">Email preferences</a> ·
+                            <a href="${emailData.unsubscribeUrl}" style="color: #999;">Unsubscribe</a>
+                        </p>
+                    ` : ''}
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+    }
+
+    /**
+     * Generate plain text version
+     */
+    generatePlainText(content) {
+        // Strip HTML tags and format as plain text
+        return content
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]*>/g, '')
+            .replace(/\n\s*\n/g, '\n\n')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&#42;/g, '*')
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+
+    /**
+     * Public health summary: no hosts, addresses, paths or errors
+     */
+    getHealth() {
+        return {
+            configured: this.isConfigured,
+            degraded: this.transports.some(transport => transport.configured && transport.degraded)
+        };
+    }
+
+    /**
+     * Get service status (transport targets and errors; admin only)
+     */
+    getStatus() {
+        return {
+            configured: this.isConfigured,
+            order: this.transports.map(transport => transport.name),
+            transports: this.transports.map(transport => ({
+                name: transport.name,
+                type: transport.type,
+                configured: transport.configured,
+                degraded: !!transport.degraded,
+                target: transport.describe || null,
+                lastError: transport.lastError || null
+            }))
+        };
+    }
+
+    /**
+     * Test email sending
+     */
+    async testEmail(testEmailAddress = null) {
+        const testEmail = {
+            to: testEmailAddress || process.env.EMAIL_FROM || process.env.GMAIL_USER,
+            subject: '🧪 Scaler-FunnelMind - Email Test',
+            content: `
+                <h3>✅ Email Service Test Successful!</h3>
+                <p>Your email integration is working perfectly.</p>
+                <ul>
+                    <li><strong>Transports:</strong> ${this.transports.filter(t => t.configured).map(t => t.name).join(' → ')}</li>
+                    <li><strong>Status:</strong> ✅ Configured</li>
+                    <li><strong>Time:</strong> ${new Date().toLocaleString()}</li>
+                </ul>
+                <p>You can now send personalized emails to your leads automatically!</p>
+            `,
+            cta: 'View Dashboard',
+            name: 'Test User',
+            type: 'test'
+        };
+
+        return await this.sendEmail(testEmail);
+    }
+}
+
+module.exports = EmailService;
@@ -0,0 +1,301 @@
+/**
+ * Email Template Engine
+ * Renders the sequence templates in data/email-templates.json:
+ *   {{name}}                 escaped value (dot paths allowed: {{roadmap.timeline}})
+ *   {{{ctaLink}}}            raw, trusted HTML
+ *   {{#if interest}}…{{else}}…{{/if}}, {{#if interest == "mlops"}}, {{#unless …}}
+ *   {{#each roadmap.phases}}…{{/each}} with {{this}}, {{@index}}, {{@number}}, {{@last}}
+ *   {{> header}}             shared partials
+ * Template text is light markdown (**bold**, *italic*, line breaks) and is
+ * converted to HTML after rendering.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES_PATH = path.join(__dirname, '..', 'data', 'email-templates.json');
+
+const TAG_PATTERN = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*([#/>]?)\s*([^}]*?)\s*\}\}/g;
+const MAX_PARTIAL_DEPTH = 5;
+
+class EmailTemplateEngine {
+    constructor(templatesPath = DEFAULT_TEMPLATES_PATH) {
+        this.templatesPath = templatesPath;
+        this.config = this.loadTemplates();
+        this.cache = new Map();
+    }
+
+    /**
+     * Load sequence templates and partials from disk
+     */
+    loadTemplates() {
+        try {
+            const config = JSON.parse(fs.readFileSync(this.templatesPath, 'utf8'));
+            console.log(`📧 Email Templates: ✅ Loaded v${config.version} (${Object.keys(config.templates || {}).join(', ')})`);
+            return config;
+        } catch (error) {
+            console.error('❌ Failed to load email templates:', error);
+            return { version: 0, partials: {}, templates: {} };
+        }
+    }
+
+    getTypes() {
+        return Object.keys(this.config.templates || {});
+    }
+
+    getTemplate(type) {
+        return this.config.templates?.[type] || null;
+    }
+
+    /**
+     * Render the template for a sequence step
+     * @param {string} type - Sequence step, e.g. 'course_deep_dive'
+     * @param {Object} data - Values for the template; the template's own `data` supplies defaults
+     * @returns {{subject: string, content: string}}
+     * @throws {Error} with statusCode 404 for unknown types
+     */
+    render(type, data = {}) {
+        const template = this.getTemplate(type);
+        if (!template) {
+            throw httpError(404, `Unknown email template "${type}". Available: ${this.getTypes().join(', ')}`);
+        }
+        return this.renderTemplate(template, data);
+    }
+
+    /**
+     * Render a template object ({subject, template, data}) that need not come from the file
+     */
+    renderTemplate(template, data = {}) {
+        const values = { ...(template.data || {}), ...data };
+        const subject = this.renderString(template.subject, values, { markdown: false });
+        return {
+            subject: decodeEntities(subject),
+            content: this.renderString(joinLines(template.template), values)
+        };
+    }
+
+    /**
+     * Render template text; lead-supplied values are always HTML-escaped
+     */
+    renderString(text, data, { markdown = true } = {}) {
+        const output = renderNodes(this.compile(text), [data], this, 0);
+        return markdown ? markdownToHtml(output) : output;
+    }
+
+    compile(text) {
+        const source = String(text || '');
+        if (!this.cache.has(source)) {
+            this.cache.set(source, parse(source));
+        }
+        return this.cache.get(source);
+    }
+
+    getPartial(name) {
+        const partial = this.config.partials?.[name];
+        if (partial === undefined) {
+            throw new Error(`Unknown email partial "${name}"`);
+        }
+        return joinLines(partial);
+    }
+
+    /**
+     * Check that template text parses, e.g. before saving an edited template
+     * @returns {string[]} Error messages, empty when valid
+     */
+    validate(text) {
+        try {
+            this.compile(text);
+            return [];
+        } catch (error) {
+            return [error.message];
+        }
+    }
+}
+
+/**
+ * Parse template text into a tree of text, variable, partial and block nodes
+ */
+function parse(source) {
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+        const current = stack[stack.length - 1];
+        if (match.index > last) {
+            current.children.push({ type: 'text', value: source.slice(last, match.index) });
+        }
+        last = TAG_PATTERN.lastIndex;
+
+        const [, rawPath, sigil, body] = match;
+        if (rawPath) {
+            current.children.push({ type: 'var', path: rawPath, raw: true });
+        } else if (sigil === '#') {
+            const [, helper, expression] = body.match(/^(if|unless|each)\s+(.+)$/) || [];
+            if (!helper) {
+                throw new Error(`Unsupported block "{{#${body}}}"`);
+            }
+            const block = { type: helper, condition: parseCondition(expression), children: [] };
+            current.children.push(block);
+            stack.push(block);
+        } else if (sigil === '/') {
+            const block = stack.length > 1 ? stack.pop() : null;
+            if (!block || block.type !== body) {
+                throw new Error(`Unexpected "{{/${body}}}"`);
+            }
+        } else if (sigil === '>') {
+            current.children.push({ type: 'partial', name: body });
+        } else if (body === 'else') {
+            if ((current.type !== 'if' && current.type !== 'unless') || current.elseAt !== undefined) {
+                throw new Error('"{{else}}" outside of an if block');
+            }
+            // Nodes after {{else}} form the inverse branch
+            current.elseAt = current.children.length;
+        } else {
+            current.children.push({ type: 'var', path: body, raw: false });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed "{{#${stack[stack.length - 1].type}}}"`);
+    }
+    if (last < source.length) {
+        root.children.push({ type: 'text', value: source.slice(last) });
+    }
+    return root.children;
+}
+
+/**
+ * `path` or `path == "literal"` / `path != "literal"`
+ */
+function parseCondition(expression) {
+    const comparison = expression.match(/^([\w.@]+)\s*(==|!=)\s*"([^"]*)"$/);
+    if (comparison) {
+        return { path: comparison[1], operator: comparison[2], value: comparison[3] };
+    }
+    if (!/^[\w.@]+$/.test(expression)) {
+        throw new Error(`Invalid block expression "${expression}"`);
+    }
+    return { path: expression };
+}
+
+function renderNodes(nodes, scopes, engine, depth) {
+    return nodes.map(node => renderNode(node, scopes, engine, depth)).join('');
+}
+
+function renderNode(node, scopes, engine, depth) {
+    switch (node.type) {
+        case 'text':
+            return node.value;
+
+        case 'var': {
+            const value = lookup(scopes, node.path);
+            if (value === undefined || value === null) return '';
+            return node.raw ? String(value) : escapeHtml(value);
+        }
+
+        case 'partial':
+            if (depth >= MAX_PARTIAL_DEPTH) {
+                throw new Error(`Email partials nested more than ${MAX_PARTIAL_DEPTH} deep`);
+            }
+            return renderNodes(engine.compile(engine.getPartial(node.name)), scopes, engine, depth + 1);
+
+        case 'if':
+        case 'unless': {
+            const truthy = testCondition(node.condition, scopes);
+            const branch = truthy === (node.type === 'if') ? thenBranch(node) : elseBranch(node);
+            return renderNodes(branch, scopes, engine, depth);
+        }
+
+        case 'each': {
+            const items = lookup(scopes, node.condition.path);
+            if (!Array.isArray(items)) return '';
+            return items.map((item, index) => renderNodes(node.children, [...scopes, {
+                this: item,
+                '@index': index,
+                '@number': index + 1,
+                '@first': index === 0,
+                '@last': index === items.length - 1,
+                ...(item && typeof item === 'object' ? item : {})
+            }], engine, depth)).join('');
+        }
+
+        default:
+            return '';
+    }
+}
+
+function thenBranch(node) {
+    return node.elseAt === undefined ? node.children : node.children.slice(0, node.elseAt);
+}
+
+function elseBranch(node) {
+    return node.elseAt === undefined ? [] : node.children.slice(node.elseAt);
+}
+
+function testCondition({ path: valuePath, operator, value }, scopes) {
+    const actual = lookup(scopes, valuePath);
+    if (operator === '==') return String(actual) === value;
+    if (operator === '!=') return String(actual) !== value;
+    return Array.isArray(actual) ? actual.length > 0 : !!actual;
+}
+
+/**
+ * Resolve a dot path against the innermost scope that has its first segment
+ */
+function lookup(scopes, valuePath) {
+    const [head, ...rest] = valuePath.split('.');
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        if (scope && Object.prototype.hasOwnProperty.call(scope, head)) {
+            return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Escape HTML and markdown markers so lead-supplied values render as plain text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/\*/g, '&#42;');
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&#42;/g, '*')
+        .replace(/&amp;/g, '&');
+}
+
+function markdownToHtml(text) {
+    return text
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>')
+        .replace(/\n/g, '<br>');
+}
+
+function joinLines(text) {
+    return Array.isArray(text) ? text.join('\n') : String(text || '');
+}
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+EmailTemplateEngine.escapeHtml = escapeHtml;
+
+module.exports = EmailTemplateEngine;
@@ -0,0 +1,286 @@
+/**
+ * Email Template Store
+ * Versioned email templates in MongoDB (in-memory without it). Every save
+ * adds a version; the highest version is live. Templates in
+ * data/email-templates.json are the defaults until a key is first saved.
+ */
+
+const EmailTemplate = require('../models/EmailTemplate');
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_TEMPLATE_LENGTH = 20000;
+// Live versions are cached briefly so sends don't query MongoDB every time
+const CACHE_TTL_MS = 60 * 1000;
+
+class EmailTemplateStore {
+    constructor({ database, engine }) {
+        this.database = database;
+        this.engine = engine;
+        this.fallbackVersions = [];
+        this.cache = new Map();
+    }
+
+    isDbConnected() {
+        return this.database.getConnectionStatus().connected;
+    }
+
+    /**
+     * Live version of a template: the latest saved version, else the file default
+     * @returns {Promise<Object|null>} { key, version, versionLabel, source, name, subject, template, data }
+     */
+    async getCurrent(key) {
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.value;
+        }
+
+        const [latest] = await this.findVersions(key, { limit: 1 });
+        const value = latest ? formatVersion(latest) : this.getFileTemplate(key);
+        this.cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+        return value;
+    }
+
+    getFileTemplate(key) {
+        const template = this.engine.getTemplate(key);
+        if (!template) return null;
+
+        return {
+            key,
+            version: 0,
+            versionLabel: `${key}@file`,
+            source: 'file',
+            name: key,
+            subject: template.subject,
+            template: Array.isArray(template.template) ? template.template.join('\n') : template.template,
+            data: template.data || {}
+        };
+    }
+
+    async getVersion(key, version) {
+        if (Number(version) === 0) {
+            return this.getFileTemplate(key);
+        }
+        const record = this.isDbConnected()
+            ? await EmailTemplate.findOne({ key, version: Number(version) }).lean()
+            : this.fallbackVersions.find(v => v.key === key && v.version === Number(version));
+        return record ? formatVersion(record) : null;
+    }
+
+    /**
+     * Saved versions of a template, newest first
+     */
+    async findVersions(key, { limit } = {}) {
+        if (this.isDbConnected()) {
+            const query = EmailTemplate.find({ key }).sort({ version: -1 });
+            return (limit ? query.limit(limit) : query).lean();
+        }
+        const versions = this.fallbackVersions
+            .filter(v => v.key === key)
+            .sort((a, b) => b.version - a.version);
+        return limit ? versions.slice(0, limit) : versions;
+    }
+
+    /**
+     * Every template key with its live version (saved templates and file defaults)
+     */
+    async list() {
+        let latest;
+        if (this.isDbConnected()) {
+            latest = await EmailTemplate.aggregate([
+                { $sort: { key: 1, version: -1 } },
+                { $group: { _id: '$key', doc: { $first: '$$ROOT' }, versions: { $sum: 1 } } },
+                { $replaceRoot: { newRoot: { $mergeObjects: ['$doc', { versionCount: '$versions' }] } } }
+            ]);
+        } else {
+            const byKey = {};
+            this.fallbackVersions.forEach(v => {
+                if (!byKey[v.key] || byKey[v.key].version < v.version) byKey[v.key] = v;
+            });
+            latest = Object.values(byKey).map(v => ({
+                ...v,
+                versionCount: this.fallbackVersions.filter(other => other.key === v.key).length
+            }));
+        }
+
+        const templates = latest.map(record => ({ ...summarize(formatVersion(record)), versionCount: record.versionCount }));
+        this.engine.getTypes()
+            .filter(key => !templates.some(t => t.key === key))
+            .forEach(key => templates.push({ ...summarize(this.getFileTemplate(key)), versionCount: 0 }));
+
+        return templates.sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Create a new template key
+     * @throws {Error} with statusCode 400 for invalid input, 409 if the key exists
+     */
+    async create(input, createdBy) {
+        const key = String(input.key || '').trim();
+        if (!KEY_PATTERN.test(key)) {
+            throw httpError(400, 'key must be 2-50 lowercase letters, digits or underscores, starting with a letter');
+        }
+        if (await this.getCurrent(key)) {
+            throw httpError(409, `Template "${key}" already exists`);
+        }
+        return this.addVersion(key, input, createdBy);
+    }
+
+    /**
+     * Save a new version of an existing template; omitted fields keep their current value
+     * @throws {Error} with statusCode 404 for unknown keys
+     */
+    async update(key, input, createdBy) {
+        const current = await this.getCurrent(key);
+        if (!current) {
+            throw httpError(404, `Template "${key}" not found`);
+        }
+        return this.addVersion(key, {
+            name: input.name !== undefined ? input.name : current.name,
+            subject: input.subject !== undefined ? input.subject : current.subject,
+            template: input.template !== undefined ? input.template : current.template,
+            data: input.data !== undefined ? input.data : current.data,
+            note: input.note
+        }, createdBy);
+    }
+
+    /**
+     * Make an earlier version live again by saving it as the newest version
+     */
+    async rollback(key, version, createdBy) {
+        const target = await this.getVersion(key, version);
+        if (!target) {
+            throw httpError(404, `Version ${version} of template "${key}" not found`);
+        }
+        return this.addVersion(key, {
+            name: target.name,
+            subject: target.subject,
+            template: target.template,
+            data: target.data,
+            note: `Rollback to v${target.version}`,
+            rolledBackFrom: target.version
+        }, createdBy);
+    }
+
+    /**
+     * Delete every saved version; a file default (if any) becomes live again
+     * @returns {Promise<number>} Number of versions deleted
+     */
+    async remove(key) {
+        let deleted;
+        if (this.isDbConnected()) {
+            deleted = (await EmailTemplate.deleteMany({ key })).deletedCount;
+        } else {
+            const before = this.fallbackVersions.length;
+            this.fallbackVersions = this.fallbackVersions.filter(v => v.key !== key);
+            deleted = before - this.fallbackVersions.length;
+        }
+        this.cache.delete(key);
+        return deleted;
+    }
+
+    async addVersion(key, input, createdBy) {
+        const fields = this.validate(input);
+        const [latest] = await this.findVersions(key, { limit: 1 });
+        const record = {
+            key,
+            version: (latest?.version || 0) + 1,
+            ...fields,
+            note: input.note ? String(input.note).slice(0, 200) : undefined,
+            rolledBackFrom: input.rolledBackFrom,
+            createdBy
+        };
+
+        if (this.isDbConnected()) {
+            try {
+                await EmailTemplate.create(record);
+            } catch (error) {
+                if (error.code === 11000) {
+                    throw httpError(409, `Template "${key}" was changed at the same time; reload and try again`);
+                }
+                throw error;
+            }
+        } else {
+            this.fallbackVersions.push({ ...record, createdAt: new Date() });
+        }
+        this.cache.delete(key);
+
+        console.log(`📧 Email template saved: ${key}@v${record.version}${createdBy ? ` by ${createdBy}` : ''}`);
+        return this.getVersion(key, record.version);
+    }
+
+    /**
+     * Check field types and sizes, and that subject and body render
+     * @throws {Error} with statusCode 400 listing every problem
+     */
+    validate({ name, subject, template, data }) {
+        const errors = [];
+        const text = Array.isArray(template) ? template.join('\n') : template;
+
+        if (typeof subject !== 'string' || !subject.trim() || subject.length > MAX_SUBJECT_LENGTH) {
+            errors.push(`subject is required (max ${MAX_SUBJECT_LENGTH} characters)`);
+        }
+        if (typeof text !== 'string' || !text.trim() || text.length > MAX_TEMPLATE_LENGTH) {
+            errors.push(`template is required (max ${MAX_TEMPLATE_LENGTH} characters)`);
+        }
+        if (data !== undefined && data !== null && (typeof data !== 'object' || Array.isArray(data))) {
+            errors.push('data must be an object');
+        }
+        if (errors.length === 0) {
+            try {
+                // Unknown partials and bad blocks only surface when rendering
+                this.engine.renderTemplate({ subject, template: text, data }, {});
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw httpError(400, errors.join('; '));
+        }
+        return {
+            name: name ? String(name).trim().slice(0, 100) : undefined,
+            subject: subject.trim(),
+            template: text,
+            data: data || {}
+        };
+    }
+}
+
+function formatVersion(record) {
+    return {
+        key: record.key,
+        version: record.version,
+        versionLabel: `${record.key}@v${record.version}`,
+        source: 'db',
+        name: record.name || record.key,
+        subject: record.subject,
+        template: record.template,
+        data: record.data || {},
+        note: record.note,
+        rolledBackFrom: record.rolledBackFrom,
+        createdBy: record.createdBy,
+        createdAt: record.createdAt
+    };
+}
+
+function summarize(template) {
+    return {
+        key: template.key,
+        name: template.name,
+        subject: template.subject,
+        version: template.version,
+        versionLabel: template.versionLabel,
+        source: template.source,
+        createdBy: template.createdBy,
+        updatedAt: template.createdAt
+    };
+}
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+module.exports = EmailTemplateStore;
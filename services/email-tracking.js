@@ -0,0 +1,218 @@
+/**
+ * Email Tracking Service
+ * Open pixel and signed click-redirect links for outgoing emails, with
+ * sends, opens and clicks recorded per lead and per message
+ */
+
+const crypto = require('crypto');
+const EmailEvent = require('../models/EmailEvent');
+
+// 1x1 transparent GIF served by the open pixel
+const PIXEL_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Cap for the in-memory fallback so a long-running demo can't exhaust memory
+const MAX_FALLBACK_EVENTS = 10000;
+
+class EmailTracking {
+    constructor({ database, baseUrl, secret } = {}) {
+        this.database = database;
+        this.baseUrl = String(baseUrl || '').replace(/\/$/, '');
+        this.secret = secret || process.env.EMAIL_LINK_SECRET;
+        this.fallbackEvents = [];
+
+        if (!this.secret) {
+            // Links in emails already sent stop verifying after a restart without a fixed secret
+            this.secret = crypto.randomBytes(32).toString('hex');
+            console.log('📧 Email Tracking: ⚠️ EMAIL_LINK_SECRET not set - using a per-process secret');
+        }
+    }
+
+    isDbConnected() {
+        return this.database.getConnectionStatus().connected;
+    }
+
+    createTrackingId() {
+        return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    sign(value) {
+        return crypto.createHmac('sha256', this.secret).update(value).digest('base64url');
+    }
+
+    verify(value, signature) {
+        const expected = Buffer.from(this.sign(value));
+        const actual = Buffer.from(String(signature || ''));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    getOpenUrl(trackingId) {
+        return `${this.baseUrl}/api/email/open/${trackingId}.${this.sign(`open|${trackingId}`)}`;
+    }
+
+    getClickUrl(trackingId, url) {
+        const signature = this.sign(`click|${trackingId}|${url}`);
+        return `${this.baseUrl}/api/email/click?m=${encodeURIComponent(trackingId)}&u=${encodeURIComponent(url)}&s=${signature}`;
+    }
+
+    /**
+     * @returns {string|null} Tracking id from a signed open-pixel token
+     */
+    verifyOpenToken(token) {
+        const [trackingId, signature] = String(token || '').replace(/\.gif$/, '').split('.');
+        return trackingId && this.verify(`open|${trackingId}`, signature) ? trackingId : null;
+    }
+
+    verifyClick(trackingId, url, signature) {
+        return !!trackingId && /^https?:\/\//i.test(url || '') && this.verify(`click|${trackingId}|${url}`, signature);
+    }
+
+    /**
+     * Rewrite http(s) links through the click redirect and append the open pixel.
+     * Links back to this app (unsubscribe, preferences) are left as they are.
+     */
+    instrumentHtml(html, trackingId) {
+        const tracked = String(html).replace(/href=(["'])(https?:\/\/[^"']+)\1/gi, (match, quote, url) => {
+            const original = url.replace(/&amp;/g, '&');
+            if (this.baseUrl && original.startsWith(`${this.baseUrl}/`)) {
+                return match;
+            }
+            return `href=${quote}${this.getClickUrl(trackingId, original).replace(/&/g, '&amp;')}${quote}`;
+        });
+
+        const pixel = `<img src="${this.getOpenUrl(trackingId)}" width="1" height="1" alt="" style="display:none;border:0;">`;
+        return tracked.includes('</body>') ? tracked.replace('</body>', `${pixel}</body>`) : tracked + pixel;
+    }
+
+    /**
+     * Record a delivered message so opens and clicks can be attributed to it
+     */
+    async recordSent({ trackingId, leadId, email, type, templateVersion }) {
+        await this.append({ trackingId, leadId, email, type, templateVersion, event: 'sent', timestamp: new Date() });
+    }
+
+    /**
+     * Record an open or click against the message's lead and sequence step
+     * @returns {Promise<{leadId: string, type: string, first: boolean}|null>} null for unknown messages
+     */
+    async recordEvent(trackingId, event, { url, userAgent } = {}) {
+        const sent = await this.findEvent(trackingId, 'sent');
+        if (!sent) return null;
+
+        const first = !(await this.findEvent(trackingId, event));
+        await this.append({
+            trackingId,
+            leadId: sent.leadId,
+            email: sent.email,
+            type: sent.type,
+            event,
+            url,
+            userAgent: userAgent ? String(userAgent).slice(0, 300) : undefined,
+            timestamp: new Date()
+        });
+
+        return { leadId: sent.leadId, type: sent.type, first };
+    }
+
+    /**
+     * Move sends, opens and clicks from merged duplicate leads to the lead they were merged into
+     * @returns {Promise<number>} Number of events moved
+     */
+    async reassignLead(fromLeadIds, toLeadId) {
+        if (this.isDbConnected()) {
+            const result = await EmailEvent.updateMany({ leadId: { $in: fromLeadIds } }, { $set: { leadId: toLeadId } });
+            return result.modifiedCount;
+        }
+        const events = this.fallbackEvents.filter(record => fromLeadIds.includes(record.leadId));
+        events.forEach(record => { record.leadId = toLeadId; });
+        return events.length;
+    }
+
+    async findEvent(trackingId, event) {
+        if (this.isDbConnected()) {
+            return EmailEvent.findOne({ trackingId, event }).lean();
+        }
+        return this.fallbackEvents.find(record => record.trackingId === trackingId && record.event === event) || null;
+    }
+
+    async append(record) {
+        if (this.isDbConnected()) {
+            await EmailEvent.create(record);
+        } else {
+            this.fallbackEvents.push(record);
+            if (this.fallbackEvents.length > MAX_FALLBACK_EVENTS) {
+                this.fallbackEvents.splice(0, this.fallbackEvents.length - MAX_FALLBACK_EVENTS);
+            }
+        }
+    }
+
+    /**
+     * Every send, open and click for a lead, newest first
+     */
+    async getEventsForLead(leadId) {
+        if (this.isDbConnected()) {
+            return EmailEvent.find({ leadId }).sort({ timestamp: -1 }).lean();
+        }
+        return this.fallbackEvents
+            .filter(record => record.leadId === leadId)
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Unique sent/opened/clicked messages per sequence step, for messages sent in the range
+     * @returns {Promise<Array<{type: string, sent: number, opened: number, clicked: number, openRate: number|null, clickRate: number|null}>>}
+     */
+    async getStepStats({ from, to } = {}) {
+        const steps = {};
+        const step = type => {
+            steps[type] = steps[type] || { type, sent: 0, opened: 0, clicked: 0 };
+            return steps[type];
+        };
+
+        if (this.isDbConnected()) {
+            const sentMatch = { event: 'sent' };
+            if (from || to) {
+                sentMatch.timestamp = {};
+                if (from) sentMatch.timestamp.$gte = from;
+                if (to) sentMatch.timestamp.$lte = to;
+            }
+            const sentIds = await EmailEvent.distinct('trackingId', sentMatch);
+            const results = await EmailEvent.aggregate([
+                { $match: { trackingId: { $in: sentIds } } },
+                { $group: { _id: { type: '$type', event: '$event', trackingId: '$trackingId' } } },
+                { $group: { _id: { type: '$_id.type', event: '$_id.event' }, count: { $sum: 1 } } }
+            ]);
+            results.forEach(({ _id, count }) => { step(_id.type)[EVENT_COUNTERS[_id.event]] = count; });
+        } else {
+            const sentIds = new Set(this.fallbackEvents
+                .filter(record => record.event === 'sent' &&
+                    (!from || record.timestamp >= from) &&
+                    (!to || record.timestamp <= to))
+                .map(record => record.trackingId));
+            const seen = new Set();
+            this.fallbackEvents.forEach(record => {
+                const key = `${record.trackingId}|${record.event}`;
+                if (sentIds.has(record.trackingId) && !seen.has(key)) {
+                    seen.add(key);
+                    step(record.type)[EVENT_COUNTERS[record.event]]++;
+                }
+            });
+        }
+
+        return Object.values(steps).map(stats => ({
+            ...stats,
+            openRate: percentage(stats.opened, stats.sent),
+            clickRate: percentage(stats.clicked, stats.sent),
+            clickToOpenRate: percentage(stats.clicked, stats.opened)
+        }));
+    }
+}
+
+const EVENT_COUNTERS = { sent: 'sent', open: 'opened', click: 'clicked' };
+
+function percentage(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 10000) / 100 : null;
+}
+
+EmailTracking.PIXEL_GIF = PIXEL_GIF;
+
+module.exports = EmailTracking;
@@ -0,0 +1,158 @@
+/**
+ * Email Transports
+ * Delivery backends used by EmailService: SMTP (Gmail or any server) via
+ * Nodemailer, the Resend API, and a local file/maildir sink for QA.
+ * Each factory returns { name, type, configured, describe, verify(), send(mail) }.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { Resend } = require('resend');
+
+// Resend API errors worth retrying; every other API error is permanent
+const TRANSIENT_API_ERRORS = ['rate_limit_exceeded', 'application_error', 'internal_server_error', 'concurrent_idempotent_requests'];
+// Nodemailer errors that fail the same way on every retry (bad credentials, rejected envelope or message)
+const PERMANENT_SMTP_ERRORS = ['EAUTH', 'EENVELOPE', 'EMESSAGE'];
+// Messages hold lead details and signed links, so they stay out of the app
+// root that server.js serves as static files
+const DEFAULT_FILE_DIR = path.join(os.tmpdir(), 'funnelmind-mail');
+
+/**
+ * SMTP transport; covers Gmail (fixed host) and generic servers (SMTP_HOST)
+ */
+function createSmtpTransport(name, settings, from) {
+    const host = readSetting(settings, 'host');
+    const user = readSetting(settings, 'user');
+    const pass = readSetting(settings, 'password');
+    const port = parseInt(readSetting(settings, 'port')) || 587;
+    const secure = String(readSetting(settings, 'secure')) === 'true';
+    const configured = !!host && (!settings.authRequired || !!(user && pass));
+
+    const transporter = configured
+        ? nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined })
+        : null;
+    const sender = { name: from.name, address: from.address || user };
+
+    return {
+        name,
+        type: 'smtp',
+        configured,
+        describe: configured ? `${host}:${port}` : null,
+
+        async verify() {
+            await transporter.verify();
+        },
+
+        async send(mail) {
+            const result = await transporter.sendMail({ ...mail, from: sender });
+            return { messageId: result.messageId };
+        }
+    };
+}
+
+/**
+ * Resend HTTP API; needs RESEND_API_KEY and a verified EMAIL_FROM address
+ */
+function createResendTransport(name, settings, from) {
+    const apiKey = readSetting(settings, 'apiKey');
+    const configured = !!(apiKey && from.address);
+    const client = configured ? new Resend(apiKey) : null;
+
+    return {
+        name,
+        type: 'resend',
+        configured,
+        describe: configured ? from.address : null,
+
+        async verify() {},
+
+        async send(mail) {
+            // The SDK reports API errors in the result instead of throwing
+            const { data, error } = await client.emails.send({
+                from: `${from.name} <${from.address}>`,
+                to: mail.to,
+                subject: mail.subject,
+                html: mail.html,
+                text: mail.text,
+                headers: mail.headers
+            });
+            if (error) {
+                const apiError = new Error(error.message || error.name);
+                apiError.apiError = error.name;
+                throw apiError;
+            }
+            return { messageId: data.id };
+        }
+    };
+}
+
+/**
+ * Writes each message as an .eml file, either flat or into a maildir (tmp/ -> new/)
+ */
+function createFileTransport(name, settings, from) {
+    const dir = path.resolve(__dirname, '..', readSetting(settings, 'dir') || DEFAULT_FILE_DIR);
+    const maildir = settings.format === 'maildir';
+    const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    const sender = { name: from.name, address: from.address || 'funnelmind@localhost' };
+
+    return {
+        name,
+        type: 'file',
+        configured: true,
+        describe: `${dir}${maildir ? ' (maildir)' : ''}`,
+
+        async verify() {
+            const dirs = maildir ? ['tmp', 'new', 'cur'].map(sub => path.join(dir, sub)) : [dir];
+            await Promise.all(dirs.map(sub => fs.promises.mkdir(sub, { recursive: true })));
+        },
+
+        async send(mail) {
+            await this.verify();
+            const result = await builder.sendMail({ ...mail, from: sender });
+            const fileName = `${Date.now()}.${process.pid}_${Math.random().toString(36).substr(2, 9)}.localhost`;
+
+            if (maildir) {
+                // Deliver via tmp/ so readers never see a half-written message
+                const tmpPath = path.join(dir, 'tmp', fileName);
+                await fs.promises.writeFile(tmpPath, result.message);
+                await fs.promises.rename(tmpPath, path.join(dir, 'new', fileName));
+            } else {
+                await fs.promises.writeFile(path.join(dir, `${fileName}.eml`), result.message);
+            }
+            return { messageId: result.messageId };
+        }
+    };
+}
+
+/**
+ * Whether a send error will fail again on retry (invalid recipient, bad
+ * credentials) rather than being transient (timeouts, 4xx replies, rate limits)
+ */
+function isPermanentError(error) {
+    if (error.apiError) {
+        return !TRANSIENT_API_ERRORS.includes(error.apiError);
+    }
+    if (error.responseCode) {
+        // SMTP: 4xx replies are temporary, 5xx are final
+        return error.responseCode >= 500;
+    }
+    return PERMANENT_SMTP_ERRORS.includes(error.code);
+}
+
+/**
+ * Value for a setting: the environment variable named by `<key>Env` wins over `<key>`
+ */
+function readSetting(settings, key) {
+    const envName = settings[`${key}Env`];
+    return (envName && process.env[envName]) || settings[key];
+}
+
+const TRANSPORT_TYPES = {
+    smtp: createSmtpTransport,
+    resend: createResendTransport,
+    file: createFileTransport
+};
+
+module.exports = { TRANSPORT_TYPES, readSetting, isPermanentError };
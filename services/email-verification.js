@@ -0,0 +1,70 @@
+/**
+ * Email Verification Service
+ * Optional double opt-in: new leads get a signed confirmation link and stay
+ * 'unverified' until it is clicked; unconfirmed leads expire after a window
+ */
+
+const DEFAULT_WINDOW_HOURS = 72;
+
+class EmailVerification {
+    constructor({ signer, baseUrl, enabled, windowHours } = {}) {
+        this.signer = signer;
+        this.baseUrl = String(baseUrl || '').replace(/\/$/, '');
+        this.enabled = enabled !== undefined ? enabled : process.env.EMAIL_DOUBLE_OPT_IN === 'true';
+        this.windowMs = (windowHours || parseFloat(process.env.EMAIL_CONFIRM_WINDOW_HOURS) || DEFAULT_WINDOW_HOURS) * 60 * 60 * 1000;
+    }
+
+    /**
+     * When a lead created now expires if it never confirms
+     */
+    getExpiresAt(from = Date.now()) {
+        return new Date(from + this.windowMs);
+    }
+
+    /**
+     * Signed token carrying the lead id and the link's expiry
+     */
+    createToken(leadId, expiresAt) {
+        const payload = Buffer.from(JSON.stringify({ l: leadId, x: new Date(expiresAt).getTime() })).toString('base64url');
+        return `${payload}.${this.signer.sign(`confirm|${payload}`)}`;
+    }
+
+    /**
+     * @returns {{leadId: string, expired: boolean}|null} null for invalid or tampered tokens
+     */
+    verifyToken(token) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !this.signer.verify(`confirm|${payload}`, signature)) return null;
+
+        try {
+            const { l, x } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return l ? { leadId: l, expired: !(x > Date.now()) } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * The confirmation window in words, for the email copy ("3 days", "12 hours")
+     */
+    describeWindow() {
+        const hours = Math.round(this.windowMs / (60 * 60 * 1000));
+        if (hours % 24 === 0) {
+            return hours === 24 ? '24 hours' : `${hours / 24} days`;
+        }
+        return hours === 1 ? '1 hour' : `${hours} hours`;
+    }
+
+    getConfirmUrl(token) {
+        return `${this.baseUrl}/api/email/confirm/${token}`;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            windowHours: this.windowMs / (60 * 60 * 1000)
+        };
+    }
+}
+
+module.exports = EmailVerification;
@@ -0,0 +1,202 @@
+/**
+ * Funnel Metrics Service
+ * Evaluates the conversion funnel stages and KPI formulas defined in
+ * data/analytics-config.json against the analytics event log
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'data', 'analytics-config.json');
+
+class FunnelMetrics {
+    constructor({ analyticsStore, configPath = DEFAULT_CONFIG_PATH } = {}) {
+        this.analyticsStore = analyticsStore;
+        this.configPath = configPath;
+        this.config = null;
+        this.configMtime = 0;
+    }
+
+    /**
+     * Load the analytics config, re-reading it whenever the file changes
+     */
+    getConfig() {
+        const { mtimeMs } = fs.statSync(this.configPath);
+        if (!this.config || mtimeMs !== this.configMtime) {
+            this.config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+            this.configMtime = mtimeMs;
+            console.log('📊 Analytics config loaded');
+        }
+        return this.config;
+    }
+
+    /**
+     * Unique visitors per configured funnel stage, with stage-to-stage conversion
+     */
+    async getFunnel(range) {
+        const stages = this.getConfig().conversionFunnel || [];
+        const results = [];
+
+        for (const stage of stages) {
+            const visitors = await this.analyticsStore.countVisitors(stage.events || [], range);
+            const previous = results[results.length - 1];
+            const top = results[0];
+
+            results.push({
+                stage: stage.stage,
+                name: stage.name,
+                description: stage.description,
+                events: stage.events,
+                visitors,
+                conversionFromPrevious: previous ? percentage(visitors, previous.visitors) : null,
+                conversionFromTop: top ? percentage(visitors, top.visitors) : null
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Evaluate each primary KPI formula and compare it to its target and baseline
+     */
+    async getKpis(range) {
+        const kpis = this.getConfig().kpis?.primary || [];
+        const parsed = kpis.map(kpi => {
+            try {
+                return { kpi, formula: parseFormula(kpi.calculation) };
+            } catch (error) {
+                return { kpi, error: error.message };
+            }
+        });
+
+        const eventNames = [...new Set(parsed.flatMap(({ formula }) => formula ? formula.identifiers : []))];
+        const counts = await this.analyticsStore.countEvents(eventNames, range);
+
+        return parsed.map(({ kpi, formula, error }) => {
+            const value = formula ? formula.evaluate(counts) : null;
+            return {
+                name: kpi.name,
+                calculation: kpi.calculation,
+                value: value === null ? null : round(value),
+                target: kpi.target,
+                baseline: kpi.baseline,
+                status: getKpiStatus(value, kpi),
+                progressToTarget: value === null || kpi.target === kpi.baseline
+                    ? null
+                    : round(((value - kpi.baseline) / (kpi.target - kpi.baseline)) * 100),
+                inputs: formula ? pick(counts, formula.identifiers) : {},
+                ...(error ? { error } : {})
+            };
+        });
+    }
+}
+
+function getKpiStatus(value, { target, baseline }) {
+    if (value === null) return 'no_data';
+    if (value >= target) return 'on_target';
+    if (value >= baseline) return 'above_baseline';
+    return 'below_baseline';
+}
+
+/**
+ * Parse an arithmetic formula over event names, e.g. "lead_captured / page_view * 100".
+ * Supports + - * / and parentheses; never evaluates arbitrary code.
+ * @returns {{identifiers: string[], evaluate: function(Object): (number|null)}}
+ */
+function parseFormula(source) {
+    const tokens = String(source).match(/[A-Za-z_][A-Za-z0-9_]*|\d+(?:\.\d+)?|[-+*/()]|\S/g) || [];
+    const identifiers = new Set();
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    function parseExpression() {
+        let node = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            const operator = next();
+            node = { operator, left: node, right: parseTerm() };
+        }
+        return node;
+    }
+
+    function parseTerm() {
+        let node = parseFactor();
+        while (peek() === '*' || peek() === '/') {
+            const operator = next();
+            node = { operator, left: node, right: parseFactor() };
+        }
+        return node;
+    }
+
+    function parseFactor() {
+        const token = next();
+        if (token === undefined) {
+            throw new Error(`Unexpected end of formula "${source}"`);
+        }
+        if (token === '(') {
+            const node = parseExpression();
+            if (next() !== ')') {
+                throw new Error(`Missing ")" in formula "${source}"`);
+            }
+            return node;
+        }
+        if (token === '-') {
+            return { operator: '-', left: { number: 0 }, right: parseFactor() };
+        }
+        if (/^\d/.test(token)) {
+            return { number: parseFloat(token) };
+        }
+        if (/^[A-Za-z_]/.test(token)) {
+            identifiers.add(token);
+            return { identifier: token };
+        }
+        throw new Error(`Unexpected "${token}" in formula "${source}"`);
+    }
+
+    const tree = parseExpression();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${peek()}" in formula "${source}"`);
+    }
+
+    // Division by zero yields null (not enough data) rather than Infinity
+    function evaluate(node, values) {
+        if (node.number !== undefined) return node.number;
+        if (node.identifier !== undefined) return Number(values[node.identifier]) || 0;
+
+        const left = evaluate(node.left, values);
+        const right = evaluate(node.right, values);
+        if (left === null || right === null) return null;
+
+        switch (node.operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return right === 0 ? null : left / right;
+        }
+        return null;
+    }
+
+    return {
+        identifiers: [...identifiers],
+        evaluate: (values) => evaluate(tree, values)
+    };
+}
+
+function percentage(part, whole) {
+    return whole > 0 ? round((part / whole) * 100) : null;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function pick(object, keys) {
+    const result = {};
+    keys.forEach(key => { result[key] = object[key] || 0; });
+    return result;
+}
+
+FunnelMetrics.parseFormula = parseFormula;
+
+module.exports = FunnelMetrics;
@@ -0,0 +1,99 @@
+/**
+ * Lead Activity
+ * Timeline of what happened to each lead: status changes, counselor notes,
+ * emails sent, opens and clicks, assessment retakes and merges
+ */
+
+const LeadActivity = require('../models/LeadActivity');
+
+const ACTIVITY_TYPES = LeadActivity.schema.path('type').enumValues;
+// Cap for the in-memory fallback so a long-running demo can't exhaust memory
+const MAX_FALLBACK_ACTIVITIES = 5000;
+const MAX_TIMELINE_LIMIT = 500;
+
+class LeadActivityLog {
+    constructor({ database } = {}) {
+        this.database = database;
+        this.fallbackActivities = [];
+    }
+
+    isDbConnected() {
+        return this.database.getConnectionStatus().connected;
+    }
+
+    /**
+     * Add entries to lead timelines
+     * @param {Array<{leadId: string, type: string, actor?: string, data?: Object, occurredAt?: Date}>} entries
+     */
+    async record(entries) {
+        const records = entries.map(entry => ({
+            leadId: entry.leadId,
+            type: entry.type,
+            actor: entry.actor || 'system',
+            data: entry.data || {},
+            occurredAt: entry.occurredAt || new Date()
+        }));
+        if (records.length === 0) return;
+
+        if (this.isDbConnected()) {
+            await LeadActivity.insertMany(records);
+        } else {
+            const now = new Date();
+            this.fallbackActivities.push(...records.map(record => ({ ...record, createdAt: now })));
+            if (this.fallbackActivities.length > MAX_FALLBACK_ACTIVITIES) {
+                this.fallbackActivities.splice(0, this.fallbackActivities.length - MAX_FALLBACK_ACTIVITIES);
+            }
+        }
+    }
+
+    /**
+     * A lead's most recent activity in chronological order
+     * @param {Object} options - limit, before (only older entries, for paging back), types
+     * @returns {Promise<{activities: Object[], hasMore: boolean}>}
+     */
+    async getTimeline(leadId, { limit = 100, before, types } = {}) {
+        const size = Math.min(Math.max(limit, 1), MAX_TIMELINE_LIMIT);
+        let newestFirst;
+
+        if (this.isDbConnected()) {
+            const filter = { leadId };
+            if (before) filter.occurredAt = { $lt: before };
+            if (types && types.length > 0) filter.type = { $in: types };
+            newestFirst = await LeadActivity.find(filter, { __v: 0 }).sort({ occurredAt: -1, _id: -1 }).limit(size + 1).lean();
+        } else {
+            // Reversed first so entries recorded in the same millisecond keep their order
+            newestFirst = this.fallbackActivities
+                .slice()
+                .reverse()
+                .filter(a => a.leadId === leadId &&
+                    (!before || a.occurredAt < before) &&
+                    (!types || types.length === 0 || types.includes(a.type)))
+                .sort((a, b) => b.occurredAt - a.occurredAt)
+                .slice(0, size + 1);
+        }
+
+        return {
+            activities: newestFirst.slice(0, size).reverse(),
+            hasMore: newestFirst.length > size
+        };
+    }
+
+    /**
+     * Move activity from merged duplicate leads to the lead they were merged into
+     * @returns {Promise<number>} Number of entries moved
+     */
+    async reassignLead(fromLeadIds, toLeadId) {
+        if (this.isDbConnected()) {
+            const result = await LeadActivity.updateMany({ leadId: { $in: fromLeadIds } }, { $set: { leadId: toLeadId } });
+            return result.modifiedCount;
+        }
+        const activities = this.fallbackActivities.filter(a => fromLeadIds.includes(a.leadId));
+        activities.forEach(a => { a.leadId = toLeadId; });
+        return activities.length;
+    }
+}
+
+LeadActivityLog.ACTIVITY_TYPES = ACTIVITY_TYPES;
+LeadActivityLog.MAX_TIMELINE_LIMIT = MAX_TIMELINE_LIMIT;
+
+module.exports = LeadActivityLog;
@@ -0,0 +1,164 @@
+/**
+ * Lead Deduplication
+ * Normalizes the contact details leads are matched on, groups duplicates
+ * (same email or same phone number) and combines duplicate records into one
+ */
+
+// Older submissions beyond this are dropped from a lead's assessment history
+const MAX_ASSESSMENT_HISTORY = 20;
+// Phone numbers are compared on their last digits so "+91 98765 43210" matches "098765-43210"
+const PHONE_MATCH_DIGITS = 10;
+const MIN_PHONE_DIGITS = 7;
+
+function normalizeEmail(email) {
+    return String(email || '').toLowerCase().trim();
+}
+
+/**
+ * @returns {string|null} The number's last digits, null if too short to match on
+ */
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= MIN_PHONE_DIGITS ? digits.slice(-PHONE_MATCH_DIGITS) : null;
+}
+
+/**
+ * One entry of a lead's assessment history
+ * @param {Object} [options] - source, submittedAt, and submittedContact: name/phone sent with a
+ *   returning visitor's submission that differ from the lead's (kept for review, never applied)
+ */
+function buildAssessmentEntry(assessmentAnswers, { source, submittedAt, submittedContact } = {}) {
+    return {
+        assessmentAnswers: assessmentAnswers || {},
+        source: source || 'funnelmind',
+        submittedAt: submittedAt ? new Date(submittedAt) : new Date(),
+        ...(submittedContact && Object.keys(submittedContact).length > 0 && { submittedContact })
+    };
+}
+
+/**
+ * The assessment history of a lead, including its original assessment for
+ * leads created before histories were kept
+ */
+function getAssessmentHistory(lead) {
+    if (Array.isArray(lead.assessmentHistory) && lead.assessmentHistory.length > 0) {
+        return lead.assessmentHistory;
+    }
+    if (lead.assessmentAnswers && Object.keys(lead.assessmentAnswers).length > 0) {
+        return [buildAssessmentEntry(lead.assessmentAnswers, { source: lead.source, submittedAt: lead.createdAt })];
+    }
+    return [];
+}
+
+/**
+ * Group leads that share an email address or phone number (transitively:
+ * A and B share an email, B and C a phone, so A, B and C are one group)
+ * @param {Array<{leadId: string, email: string, phone: string}>} leads
+ * @returns {Array<{leadIds: string[], matchedOn: string[]}>} Groups of two or more leads
+ */
+function findDuplicateGroups(leads) {
+    const parent = new Map(leads.map(lead => [lead.leadId, lead.leadId]));
+    const find = id => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+
+    const matchedOn = new Map();
+    const linkBy = (field, normalize) => {
+        const firstByKey = new Map();
+        leads.forEach(lead => {
+            const key = normalize(lead[field]);
+            if (!key) return;
+            if (!firstByKey.has(key)) {
+                firstByKey.set(key, lead.leadId);
+                return;
+            }
+            const root = find(firstByKey.get(key));
+            parent.set(find(lead.leadId), root);
+            matchedOn.set(lead.leadId, [...(matchedOn.get(lead.leadId) || []), field]);
+            matchedOn.set(firstByKey.get(key), [...(matchedOn.get(firstByKey.get(key)) || []), field]);
+        });
+    };
+    linkBy('email', normalizeEmail);
+    linkBy('phone', normalizePhone);
+
+    const groups = new Map();
+    leads.forEach(lead => {
+        const root = find(lead.leadId);
+        if (!groups.has(root)) groups.set(root, { leadIds: [], matchedOn: new Set() });
+        const group = groups.get(root);
+        group.leadIds.push(lead.leadId);
+        (matchedOn.get(lead.leadId) || []).forEach(field => group.matchedOn.add(field));
+    });
+
+    return [...groups.values()]
+        .filter(group => group.leadIds.length > 1)
+        .map(group => ({ leadIds: group.leadIds, matchedOn: [...group.matchedOn] }));
+}
+
+/**
+ * Fields to set on the primary lead when the duplicates are merged into it.
+ * The primary's values win; blanks are filled from the duplicates, notes are
+ * combined, engagement counts summed and assessment histories interleaved.
+ */
+function mergeLeadRecords(primary, duplicates, { mergedBy } = {}) {
+    const all = [primary, ...duplicates];
+    const firstValue = field => all.map(lead => lead[field]).find(value => value !== undefined && value !== null && value !== '');
+
+    const engagementEvents = {};
+    all.forEach(lead => {
+        Object.entries(lead.engagementEvents || {}).forEach(([eventName, count]) => {
+            engagementEvents[eventName] = (engagementEvents[eventName] || 0) + (Number(count) || 0);
+        });
+    });
+
+    const notes = all
+        .filter(lead => lead.notes && String(lead.notes).trim())
+        .map(lead => (lead === primary ? lead.notes : `[Merged from ${lead.email}]\n${lead.notes}`))
+        .join('\n\n');
+
+    const assessmentHistory = all
+        .flatMap(getAssessmentHistory)
+        .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt))
+        .slice(-MAX_ASSESSMENT_HISTORY);
+    const latest = assessmentHistory[assessmentHistory.length - 1];
+
+    const mergedAt = new Date();
+    const createdAt = all
+        .map(lead => new Date(lead.createdAt))
+        .filter(date => !isNaN(date))
+        .sort((a, b) => a - b)[0];
+
+    return {
+        name: firstValue('name'),
+        phone: firstValue('phone'),
+        assignedTo: firstValue('assignedTo'),
+        notes: notes || undefined,
+        engagementEvents,
+        assessmentHistory,
+        assessmentAnswers: latest ? latest.assessmentAnswers : primary.assessmentAnswers,
+        // A confirmed address on any record counts for the merged lead
+        emailStatus: all.some(lead => lead.emailStatus === 'verified') ? 'verified' : primary.emailStatus,
+        mergedFrom: [
+            ...(primary.mergedFrom || []),
+            ...duplicates.flatMap(lead => [
+                ...(lead.mergedFrom || []),
+                { leadId: lead.leadId, email: lead.email, phone: lead.phone, mergedAt, mergedBy }
+            ])
+        ],
+        createdAt: createdAt || primary.createdAt
+    };
+}
+
+module.exports = {
+    MAX_ASSESSMENT_HISTORY,
+    normalizeEmail,
+    normalizePhone,
+    buildAssessmentEntry,
+    getAssessmentHistory,
+    findDuplicateGroups,
+    mergeLeadRecords
+};
@@ -0,0 +1,135 @@
+/**
+ * Lead Export
+ * Flattens leads into columns (each assessment answer, score factor and
+ * status gets its own) and streams them as CSV, NDJSON or XLSX one lead at
+ * a time, so exports of any size never sit in memory
+ */
+
+const XlsxWriter = require('./xlsx-writer');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    xlsx: { contentType: XlsxWriter.CONTENT_TYPE, extension: 'xlsx' }
+};
+
+const LEAD_COLUMNS = ['leadId', 'name', 'email', 'phone', 'source', 'status', 'emailStatus', 'assignedTo', 'score'];
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PHONE_LIKE = /^\+?[\d\s().-]+$/;
+
+/**
+ * Columns of an export, in order
+ * @param {{answerKeys: string[], scoreFactors: string[], statuses: string[]}} options
+ *   answerKeys - assessmentAnswers keys found in the exported leads
+ * @returns {Array<{header: string, value: function(Object): *}>}
+ */
+function buildExportColumns({ answerKeys, scoreFactors, statuses }) {
+    return [
+        ...LEAD_COLUMNS.map(field => ({ header: field, value: lead => lead[field] })),
+        ...scoreFactors.map(factor => ({
+            header: `score.${factor}`,
+            value: lead => lead.scoreBreakdown?.[factor]?.points
+        })),
+        ...answerKeys.map(key => ({
+            header: `assessment.${key}`,
+            value: lead => lead.assessmentAnswers?.[key]
+        })),
+        {
+            header: 'assessmentCount',
+            value: lead => lead.assessmentHistory?.length || (Object.keys(lead.assessmentAnswers || {}).length > 0 ? 1 : 0)
+        },
+        // When the lead last moved to each status
+        ...statuses.map(status => ({
+            header: `statusAt.${status}`,
+            value: lead => (lead.statusHistory || []).filter(entry => entry.status === status).pop()?.changedAt
+        })),
+        { header: 'notes', value: lead => lead.notes },
+        { header: 'createdAt', value: lead => lead.createdAt },
+        { header: 'updatedAt', value: lead => lead.updatedAt }
+    ];
+}
+
+/**
+ * Write the header and return a writer for the leads
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @param {import('stream').Writable} output - e.g. the HTTP response
+ * @returns {Promise<{writeLead: function(Object): Promise, end: function(): Promise}>}
+ */
+async function startExport(format, output, columns) {
+    const headers = columns.map(column => column.header);
+    const valuesOf = lead => columns.map(column => cellValue(column.value(lead)));
+
+    if (format === 'xlsx') {
+        const xlsx = new XlsxWriter(output, { sheetName: 'Leads' });
+        await xlsx.writeRow(headers);
+        return {
+            writeLead: lead => xlsx.writeRow(valuesOf(lead)),
+            end: () => xlsx.end()
+        };
+    }
+
+    if (format === 'ndjson') {
+        return {
+            writeLead: lead => {
+                const values = valuesOf(lead);
+                return write(output, JSON.stringify(Object.fromEntries(headers.map((header, i) => [header, values[i]]))) + '\n');
+            },
+            end: () => new Promise(resolve => output.end(resolve))
+        };
+    }
+
+    // BOM so spreadsheet apps read the file as UTF-8
+    await write(output, '\uFEFF' + headers.map(csvCell).join(',') + '\r\n');
+    return {
+        writeLead: lead => write(output, valuesOf(lead).map(csvCell).join(',') + '\r\n'),
+        end: () => new Promise(resolve => output.end(resolve))
+    };
+}
+
+/**
+ * Dates as ISO strings, nested values as JSON, numbers kept as numbers
+ */
+function cellValue(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (typeof value === 'number' || typeof value === 'string') return value;
+    return String(value);
+}
+
+function csvCell(value) {
+    if (value === null) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text) && !PHONE_LIKE.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function write(output, text) {
+    if (!output.write(text)) {
+        await waitForDrain(output);
+    }
+}
+
+/**
+ * Resolve once the stream can take more data, or is closed (client gone)
+ */
+function waitForDrain(stream) {
+    return new Promise(resolve => {
+        const done = () => {
+            stream.off('drain', done);
+            stream.off('close', done);
+            resolve();
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+    });
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    buildExportColumns,
+    startExport
+};
@@ -0,0 +1,187 @@
+/**
+ * Lead Import
+ * Parses lead CSV files (webinars, events, other forms), maps their columns
+ * to Lead fields and assessmentAnswers keys and validates each row
+ */
+
+const { normalizeEmail, normalizePhone } = require('./lead-dedup');
+
+const IMPORT_FIELDS = ['name', 'email', 'phone', 'source', 'status', 'notes'];
+const ANSWER_PREFIX = 'assessmentAnswers.';
+const ANSWER_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DUPLICATE_POLICIES = ['skip', 'update', 'merge'];
+
+// Header spellings mapped automatically when the caller sends no mapping
+const FIELD_ALIASES = {
+    name: ['name', 'fullname', 'leadname'],
+    email: ['email', 'emailaddress', 'mail'],
+    phone: ['phone', 'phonenumber', 'mobile', 'mobilenumber'],
+    source: ['source', 'leadsource'],
+    status: ['status', 'leadstatus'],
+    notes: ['notes', 'note', 'comments']
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, line breaks inside quotes)
+ * @returns {string[][]} Records with blank lines removed
+ */
+function parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    return records.filter(values => values.some(value => value.trim() !== ''));
+}
+
+/**
+ * Resolve which column feeds which field
+ * @param {string[]} headers - The CSV header row
+ * @param {Object} [mapping] - { "<column header>": "<field>" }, e.g. { "Work Email": "email",
+ *   "Goal": "assessmentAnswers.goal" }; columns mapped to "" are ignored. Without a mapping,
+ *   columns named like a Lead field are mapped to it.
+ * @returns {{columns: Object, unmappedColumns: string[], errors: string[]}} columns maps field to column index
+ */
+function buildColumnMapping(headers, mapping) {
+    const columns = {};
+    const errors = [];
+    const headerIndex = new Map(headers.map((header, index) => [header.trim(), index]));
+
+    if (mapping === undefined || mapping === null) {
+        headers.forEach((header, index) => {
+            const key = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+            const field = Object.keys(FIELD_ALIASES).find(name => FIELD_ALIASES[name].includes(key));
+            if (field && columns[field] === undefined) columns[field] = index;
+        });
+    } else if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+        errors.push('mapping must be an object of column header to field');
+    } else {
+        Object.entries(mapping).forEach(([header, field]) => {
+            if (!field) return;
+            if (!headerIndex.has(header.trim())) {
+                errors.push(`Column "${header}" is not in the file`);
+            } else if (!isImportField(field)) {
+                errors.push(`Cannot map "${header}" to "${field}". Allowed: ${IMPORT_FIELDS.join(', ')} or ${ANSWER_PREFIX}<key>`);
+            } else if (columns[field] !== undefined) {
+                errors.push(`More than one column is mapped to "${field}"`);
+            } else {
+                columns[field] = headerIndex.get(header.trim());
+            }
+        });
+    }
+
+    ['name', 'email'].forEach(field => {
+        if (errors.length === 0 && columns[field] === undefined) {
+            errors.push(`No column is mapped to "${field}"`);
+        }
+    });
+
+    const mapped = new Set(Object.values(columns));
+    return {
+        columns,
+        unmappedColumns: headers.filter((header, index) => !mapped.has(index)),
+        errors
+    };
+}
+
+function isImportField(field) {
+    if (typeof field !== 'string') return false;
+    if (field.startsWith(ANSWER_PREFIX)) {
+        return ANSWER_KEY_PATTERN.test(field.slice(ANSWER_PREFIX.length));
+    }
+    return IMPORT_FIELDS.includes(field);
+}
+
+/**
+ * Pick and validate one row's values
+ * @param {string[]} values - The row's cells
+ * @param {Object} columns - From buildColumnMapping
+ * @param {{statuses: string[], maxNotesLength: number}} rules
+ * @returns {{fields: Object, errors: string[]}} fields holds only non-empty values
+ */
+function mapImportRow(values, columns, { statuses, maxNotesLength }) {
+    const fields = {};
+    const assessmentAnswers = {};
+
+    Object.entries(columns).forEach(([field, index]) => {
+        const value = String(values[index] ?? '').trim();
+        if (!value) return;
+        if (field.startsWith(ANSWER_PREFIX)) {
+            assessmentAnswers[field.slice(ANSWER_PREFIX.length)] = value;
+        } else {
+            fields[field] = value;
+        }
+    });
+    if (Object.keys(assessmentAnswers).length > 0) {
+        fields.assessmentAnswers = assessmentAnswers;
+    }
+
+    const errors = [];
+    if (!fields.name) {
+        errors.push('name is required');
+    }
+    if (!fields.email) {
+        errors.push('email is required');
+    } else {
+        fields.email = normalizeEmail(fields.email);
+        if (!EMAIL_PATTERN.test(fields.email)) errors.push(`email "${fields.email}" is invalid`);
+    }
+    if (fields.phone && !normalizePhone(fields.phone)) {
+        errors.push(`phone "${fields.phone}" is invalid`);
+    }
+    if (fields.status) {
+        fields.status = fields.status.toLowerCase();
+        if (!statuses.includes(fields.status)) {
+            errors.push(`status "${fields.status}" is invalid. Allowed: ${statuses.join(', ')}`);
+        }
+    }
+    if (fields.notes && fields.notes.length > maxNotesLength) {
+        errors.push(`notes are longer than ${maxNotesLength} characters`);
+    }
+
+    return { fields, errors };
+}
+
+module.exports = {
+    IMPORT_FIELDS,
+    DUPLICATE_POLICIES,
+    parseCsv,
+    buildColumnMapping,
+    mapImportRow
+};
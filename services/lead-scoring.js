@@ -0,0 +1,138 @@
+/**
+ * Lead Scoring Service
+ * Weighs assessment answers, engagement events and email interactions
+ * into a 0-100 lead quality score using data/lead-scoring.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'data', 'lead-scoring.json');
+
+class LeadScorer {
+    constructor(configPath = DEFAULT_CONFIG_PATH) {
+        this.configPath = configPath;
+        this.config = this.loadConfig();
+    }
+
+    /**
+     * Load scoring weights from disk
+     */
+    loadConfig() {
+        try {
+            const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+            console.log(`🎯 Lead Scoring: ✅ Loaded weights v${config.version}`);
+            return config;
+        } catch (error) {
+            console.error('❌ Failed to load lead scoring config:', error);
+            return { version: 0, maxScore: 100, factors: {} };
+        }
+    }
+
+    /**
+     * Score a lead
+     * @param {Object} lead - Lead with assessmentAnswers and engagementEvents ({ eventName: count })
+     * @returns {{score: number, breakdown: Object, version: number}}
+     */
+    scoreLead(lead) {
+        const { factors = {}, maxScore = 100 } = this.config;
+        const answers = lead.assessmentAnswers || {};
+        const events = lead.engagementEvents || {};
+        const breakdown = {};
+        let total = 0;
+
+        if (factors.assessment) {
+            breakdown.assessment = this.scoreAssessment(factors.assessment, answers);
+            total += breakdown.assessment.points;
+        }
+        if (factors.engagement) {
+            breakdown.engagement = this.scoreEvents(factors.engagement, events);
+            total += breakdown.engagement.points;
+        }
+        if (factors.email) {
+            breakdown.email = this.scoreEvents(factors.email, events);
+            total += breakdown.email.points;
+        }
+
+        return {
+            score: Math.max(0, Math.min(maxScore, Math.round(total))),
+            breakdown,
+            version: this.config.version
+        };
+    }
+
+    /**
+     * Sum weight * value for each answered question, scaled to the factor's maxPoints
+     */
+    scoreAssessment(factor, answers) {
+        const questions = factor.questions || {};
+        const details = {};
+        let totalWeight = 0;
+        let earned = 0;
+
+        Object.entries(questions).forEach(([question, { weight = 0, values = {} }]) => {
+            totalWeight += weight;
+            // Own numeric entries only, so answers like "constructor" score 0 instead of NaN
+            const answer = answers[question];
+            const value = Object.hasOwn(values, answer) && typeof values[answer] === 'number' ? values[answer] : 0;
+            details[question] = round(weight * value);
+            earned += weight * value;
+        });
+
+        const points = totalWeight > 0 ? (earned / totalWeight) * factor.maxPoints : 0;
+
+        return {
+            label: factor.label,
+            points: round(points),
+            maxPoints: factor.maxPoints,
+            details
+        };
+    }
+
+    /**
+     * Sum points per occurrence of each configured event, capped at maxPoints
+     */
+    scoreEvents(factor, events) {
+        const details = {};
+        let earned = 0;
+
+        Object.entries(factor.events || {}).forEach(([eventName, pointsPerEvent]) => {
+            const count = Number(events[eventName]) || 0;
+            if (count > 0) {
+                details[eventName] = round(count * pointsPerEvent);
+                earned += count * pointsPerEvent;
+            }
+        });
+
+        return {
+            label: factor.label,
+            points: round(Math.min(earned, factor.maxPoints)),
+            maxPoints: factor.maxPoints,
+            details
+        };
+    }
+
+    /**
+     * Event names that feed into the score
+     */
+    getScoredEvents() {
+        const { factors = {} } = this.config;
+        return [
+            ...Object.keys(factors.engagement?.events || {}),
+            ...Object.keys(factors.email?.events || {})
+        ];
+    }
+
+    /**
+     * Factors in a score breakdown, e.g. ['assessment', 'engagement', 'email']
+     */
+    getFactors() {
+        return ['assessment', 'engagement', 'email'].filter(factor => this.config.factors?.[factor]);
+    }
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+module.exports = LeadScorer;
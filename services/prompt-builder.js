@@ -0,0 +1,175 @@
+/**
+ * Prompt Builder Service
+ * Builds AI prompts on the server from the versioned templates in
+ * data/ai-prompt-templates.json; clients only send a task type and
+ * structured context
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES_PATH = path.join(__dirname, '..', 'data', 'ai-prompt-templates.json');
+
+class PromptBuilder {
+    constructor(templatesPath = DEFAULT_TEMPLATES_PATH) {
+        this.templatesPath = templatesPath;
+        this.config = this.loadTemplates();
+    }
+
+    /**
+     * Load prompt templates from disk
+     */
+    loadTemplates() {
+        try {
+            const config = JSON.parse(fs.readFileSync(this.templatesPath, 'utf8'));
+            const versions = Object.entries(config.templates || {}).map(([type, template]) => `${type}@v${template.version}`);
+            console.log(`🤖 AI Prompts: ✅ Loaded ${versions.join(', ')}`);
+            return config;
+        } catch (error) {
+            console.error('❌ Failed to load AI prompt templates:', error);
+            return { maxContextBytes: 2048, assessmentQuestions: {}, templates: {} };
+        }
+    }
+
+    /**
+     * Task types clients may request; serverOnly templates are left out
+     */
+    getTypes() {
+        return Object.entries(this.config.templates || {})
+            .filter(([, template]) => !template.serverOnly)
+            .map(([type]) => type);
+    }
+
+    /**
+     * Build the prompt for a task type
+     * @param {string} type - Task type, e.g. 'cta-generation'
+     * @param {Object} context - Structured context (behavior metrics, assessment answers)
+     * @param {{internal?: boolean}} [options] - internal: built by the server, so serverOnly types are allowed
+     * @returns {{prompt: string, version: string, context: Object, fingerprint: string}}
+     * @throws {Error} with statusCode 400/413 for unknown types, invalid or oversized context
+     */
+    build(type, context = {}, { internal = false } = {}) {
+        const template = this.config.templates?.[type];
+        if (!template || (template.serverOnly && !internal)) {
+            throw httpError(400, `Unknown AI task type "${type}". Allowed: ${this.getTypes().join(', ')}`);
+        }
+        if (!context || typeof context !== 'object' || Array.isArray(context)) {
+            throw httpError(400, 'context must be an object');
+        }
+
+        const maxBytes = this.config.maxContextBytes || 2048;
+        if (Buffer.byteLength(JSON.stringify(context)) > maxBytes) {
+            throw httpError(413, `context exceeds ${maxBytes} bytes`);
+        }
+
+        const values = {};
+        Object.entries(template.context || {}).forEach(([field, spec]) => {
+            values[field] = readField(field, context[field], spec, this.config.assessmentQuestions || {});
+        });
+
+        const text = Array.isArray(template.template) ? template.template.join('\n') : String(template.template);
+        const prompt = text.replace(/\{\{(\w+)\}\}/g, (match, field) => formatValue(values[field]));
+
+        const version = `${type}@v${template.version}`;
+
+        return { prompt, version, context: values, fingerprint: createFingerprint(version, values, template.context || {}) };
+    }
+}
+
+/**
+ * Validate one context field against its spec; unknown fields are never read
+ * @param {Object} questions - Assessment question -> allowed answers, for "answers" fields
+ */
+function readField(field, value, spec, questions) {
+    if (value === undefined || value === null || value === '') {
+        if (spec.required) {
+            throw httpError(400, `context.${field} is required`);
+        }
+        return spec.default;
+    }
+
+    switch (spec.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                throw httpError(400, `context.${field} must be a string`);
+            }
+            if (spec.enum && !spec.enum.includes(value)) {
+                throw httpError(400, `context.${field} must be one of: ${spec.enum.join(', ')}`);
+            }
+            if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+                throw httpError(400, `context.${field} has an invalid format`);
+            }
+            return value;
+
+        case 'number': {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                throw httpError(400, `context.${field} must be a number`);
+            }
+            return Math.min(spec.max ?? number, Math.max(spec.min ?? number, Math.round(number)));
+        }
+
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                throw httpError(400, `context.${field} must be a boolean`);
+            }
+            return value;
+
+        case 'answers': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                throw httpError(400, `context.${field} must be an object`);
+            }
+
+            // Only the assessment's own questions and options reach the prompt, so no free text does
+            const answers = {};
+            Object.entries(questions).forEach(([question, options]) => {
+                const answer = value[question];
+                if (answer === undefined || answer === null || answer === '') return;
+                if (!options.includes(answer)) {
+                    throw httpError(400, `context.${field}.${question} must be one of: ${options.join(', ')}`);
+                }
+                answers[question] = answer;
+            });
+            return answers;
+        }
+
+        default:
+            throw httpError(400, `context.${field} has an unsupported type`);
+    }
+}
+
+/**
+ * Stable hash of the normalized context: sorted keys, lowercased strings and
+ * numbers rounded down to their cacheBucket, so near-identical requests share a key
+ */
+function createFingerprint(version, values, specs) {
+    const normalized = Object.keys(values).sort().map(field => {
+        const spec = specs[field] || {};
+        let value = values[field];
+
+        if (typeof value === 'number' && spec.cacheBucket) {
+            value = Math.floor(value / spec.cacheBucket) * spec.cacheBucket;
+        } else if (typeof value === 'string') {
+            value = value.trim().toLowerCase();
+        } else if (value && typeof value === 'object') {
+            value = Object.keys(value).sort().map(key => [key, String(value[key]).trim().toLowerCase()]);
+        }
+        return [field, value];
+    });
+
+    return crypto.createHash('sha256').update(JSON.stringify([version, normalized])).digest('hex');
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null) return 'unknown';
+    return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+}
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+module.exports = PromptBuilder;
@@ -0,0 +1,271 @@
+/**
+ * XLSX Writer
+ * Streams a single-sheet workbook row by row: the sheet is deflated as it is
+ * written and the zip directory is added at the end, so the whole file is
+ * never held in memory. Cells are inline strings or numbers; no styles.
+ */
+
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const STATIC_PARTS = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+};
+
+const SHEET_START = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+const SHEET_END = '</sheetData></worksheet>';
+// Excel's cell limit; longer text is cut
+const MAX_CELL_LENGTH = 32767;
+
+class XlsxWriter {
+    /**
+     * @param {import('stream').Writable} output - e.g. the HTTP response
+     * @param {{sheetName?: string}} [options]
+     */
+    constructor(output, { sheetName = 'Sheet1' } = {}) {
+        this.output = output;
+        this.sheetName = sheetName;
+        this.entries = [];
+        this.offset = 0;
+        this.rowCount = 0;
+        this.sheet = null;
+    }
+
+    /**
+     * Append a row; values are written as numbers or text
+     */
+    async writeRow(values) {
+        if (!this.sheet) {
+            await this.startSheet();
+        }
+        this.rowCount++;
+        const cells = values.map((value, index) => formatCell(value, columnName(index) + this.rowCount)).join('');
+        await this.writeSheet(`<row r="${this.rowCount}">${cells}</row>`);
+    }
+
+    /**
+     * Finish the sheet, add the remaining workbook parts and the zip directory
+     */
+    async end() {
+        if (!this.sheet) {
+            await this.startSheet();
+        }
+        await this.writeSheet(SHEET_END);
+        await this.finishSheet();
+
+        const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${escapeXml(this.sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`;
+        const parts = { ...STATIC_PARTS, 'xl/workbook.xml': workbook };
+        for (const [name, content] of Object.entries(parts)) {
+            await this.writeFile(name, Buffer.from(content, 'utf8'));
+        }
+
+        await this.writeCentralDirectory();
+        await new Promise(resolve => this.output.end(resolve));
+    }
+
+    async startSheet() {
+        this.sheet = this.beginEntry('xl/worksheets/sheet1.xml');
+        await this.write(this.sheet.header);
+
+        this.sheet.deflate = zlib.createDeflateRaw();
+        this.sheet.deflate.on('data', chunk => {
+            this.sheet.compressedSize += chunk.length;
+            this.offset += chunk.length;
+            if (!this.output.write(chunk)) {
+                this.sheet.deflate.pause();
+                waitForDrain(this.output).then(() => this.sheet.deflate.resume());
+            }
+        });
+        await this.writeSheet(SHEET_START);
+    }
+
+    async writeSheet(text) {
+        const data = Buffer.from(text, 'utf8');
+        this.sheet.crc = crc32(data, this.sheet.crc);
+        this.sheet.size += data.length;
+        if (!this.sheet.deflate.write(data)) {
+            await new Promise(resolve => this.sheet.deflate.once('drain', resolve));
+        }
+    }
+
+    async finishSheet() {
+        await new Promise((resolve, reject) => {
+            this.sheet.deflate.once('end', resolve);
+            this.sheet.deflate.once('error', reject);
+            this.sheet.deflate.end();
+        });
+        await this.write(dataDescriptor(this.sheet));
+        this.entries.push(this.sheet);
+    }
+
+    async writeFile(name, data) {
+        const entry = this.beginEntry(name);
+        const compressed = zlib.deflateRawSync(data);
+        entry.crc = crc32(data);
+        entry.size = data.length;
+        entry.compressedSize = compressed.length;
+
+        await this.write(entry.header);
+        await this.write(compressed);
+        await this.write(dataDescriptor(entry));
+        this.entries.push(entry);
+    }
+
+    /**
+     * Local file header; sizes and CRC follow the data in a data descriptor
+     */
+    beginEntry(name) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(0x0808, 6); // data descriptor + UTF-8 names
+        header.writeUInt16LE(8, 8); // deflate
+        header.writeUInt32LE(dosDateTime(new Date()), 10);
+        header.writeUInt16LE(nameBuffer.length, 26);
+
+        return {
+            name: nameBuffer,
+            header: Buffer.concat([header, nameBuffer]),
+            offset: this.offset,
+            crc: 0,
+            size: 0,
+            compressedSize: 0
+        };
+    }
+
+    async writeCentralDirectory() {
+        const start = this.offset;
+        const now = dosDateTime(new Date());
+
+        for (const entry of this.entries) {
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE(20, 4);
+            record.writeUInt16LE(20, 6);
+            record.writeUInt16LE(0x0808, 8);
+            record.writeUInt16LE(8, 10);
+            record.writeUInt32LE(now, 12);
+            record.writeUInt32LE(entry.crc, 16);
+            record.writeUInt32LE(entry.compressedSize, 20);
+            record.writeUInt32LE(entry.size, 24);
+            record.writeUInt16LE(entry.name.length, 28);
+            record.writeUInt32LE(entry.offset, 42);
+            await this.write(Buffer.concat([record, entry.name]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await this.write(end);
+    }
+
+    async write(buffer) {
+        this.offset += buffer.length;
+        if (!this.output.write(buffer)) {
+            await waitForDrain(this.output);
+        }
+    }
+}
+
+function formatCell(value, ref) {
+    if (value === undefined || value === null || value === '') {
+        return '';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    const text = String(value).slice(0, MAX_CELL_LENGTH);
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+/**
+ * 0 -> A, 25 -> Z, 26 -> AA
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+function crc32(buffer, previous = 0) {
+    let crc = previous ^ 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Resolve once the stream can take more data, or is closed (client gone)
+ */
+function waitForDrain(stream) {
+    return new Promise(resolve => {
+        const done = () => {
+            stream.off('drain', done);
+            stream.off('close', done);
+            resolve();
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+    });
+}
+
+function dataDescriptor(entry) {
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    return descriptor;
+}
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return ((day << 16) | time) >>> 0;
+}
+
+XlsxWriter.CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+module.exports = XlsxWriter;
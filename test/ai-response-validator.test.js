@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AIResponseValidator = require('../services/ai-response-validator');
+
+const EMAIL = JSON.stringify({ subject: 'Your AI roadmap', content: 'Hi Ada, here is your plan.' });
+
+// Fake AI call that answers with the given contents in order and keeps the prompts it got
+function scriptedCall(...contents) {
+    const prompts = [];
+    const call = async prompt => {
+        prompts.push(prompt);
+        return { content: contents[prompts.length - 1], provider: 'mock', model: 'mock-1' };
+    };
+    return { call, prompts };
+}
+
+test('validate accepts on-schema JSON as is', () => {
+    const validator = new AIResponseValidator();
+    const result = validator.validate('email-generation', EMAIL);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.repaired, false);
+    assert.deepEqual(result.data, JSON.parse(EMAIL));
+    assert.equal(validator.getStats()['email-generation'].valid, 1);
+});
+
+test('validate repairs code fences, surrounding prose and trailing commas', () => {
+    const validator = new AIResponseValidator();
+    const raw = 'Sure! Here it is:\n```json\n{ "subject": "Hi {there}", "content": "Plan", }\n```\nGood luck!';
+    const result = validator.validate('email-generation', raw);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.repaired, true);
+    assert.deepEqual(result.data, { subject: 'Hi {there}', content: 'Plan' });
+    assert.equal(validator.getStats()['email-generation'].repaired, 1);
+});
+
+test('validate coerces values toward the schema and drops unknown fields', () => {
+    const validator = new AIResponseValidator();
+    const result = validator.validate('course-recommendation', {
+        recommendedCourse: '  Data Science  ',
+        reasoning: 'Strong SQL background',
+        expectedOutcome: 42,
+        learningPath: '1. Python\n2. Statistics\n- Machine Learning',
+        internalNotes: 'not in the schema'
+    });
+
+    assert.equal(result.valid, true);
+    assert.equal(result.repaired, true);
+    assert.deepEqual(result.data, {
+        recommendedCourse: 'Data Science',
+        reasoning: 'Strong SQL background',
+        expectedOutcome: '42',
+        learningPath: ['Python', 'Statistics', 'Machine Learning']
+    });
+});
+
+test('validate reports missing fields and non-JSON output as invalid', () => {
+    const validator = new AIResponseValidator();
+
+    const missing = validator.validate('email-generation', '{"subject": "Hello"}');
+    assert.equal(missing.valid, false);
+    assert.equal(missing.data, null);
+    assert.deepEqual(missing.errors, ['content is required']);
+
+    const prose = validator.validate('email-generation', 'I cannot help with that.');
+    assert.equal(prose.valid, false);
+    assert.deepEqual(prose.errors, ['Response is not a JSON object']);
+
+    assert.equal(validator.getStats()['email-generation'].invalid, 2);
+});
+
+test('generate returns a valid first answer without retrying', async () => {
+    const validator = new AIResponseValidator();
+    const { call, prompts } = scriptedCall(EMAIL);
+
+    const result = await validator.generate('email-generation', 'Write an email', call);
+    assert.deepEqual(result.data, JSON.parse(EMAIL));
+    assert.equal(result.provider, 'mock');
+    assert.equal(prompts.length, 1);
+});
+
+test('generate retries once with the validation errors and the expected shape', async () => {
+    const validator = new AIResponseValidator();
+    const { call, prompts } = scriptedCall('{"subject": "Hello"}', EMAIL);
+
+    const result = await validator.generate('email-generation', 'Write an email', call);
+    assert.deepEqual(result.data, JSON.parse(EMAIL));
+    assert.equal(prompts.length, 2);
+    assert.ok(prompts[1].startsWith('Write an email\n\nYour previous answer was rejected: content is required.'));
+    assert.ok(prompts[1].includes('"content" (string, required)'));
+
+    const stats = validator.getStats()['email-generation'];
+    assert.equal(stats.retried, 1);
+    assert.equal(stats.recovered, 1);
+});
+
+test('generate throws when the retry is still invalid so callers fall back', async () => {
+    const validator = new AIResponseValidator();
+    const { call, prompts } = scriptedCall('not json', '{"subject": ""}');
+
+    await assert.rejects(
+        validator.generate('email-generation', 'Write an email', call),
+        /AI email-generation response failed validation/
+    );
+    assert.equal(prompts.length, 2);
+    assert.equal(validator.getStats()['email-generation'].recovered, 0);
+});
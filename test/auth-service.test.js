@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ADMIN_TOKEN_SECRET = 'test-secret';
+const AuthService = require('../services/auth-service');
+
+const offline = { getConnectionStatus: () => ({ connected: false }) };
+const user = { userId: 'user_1', role: 'counselor' };
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+// Minimal Express response that records the status and body
+function mockResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+async function runGuard(guard, req) {
+    const res = mockResponse();
+    let nextCalled = false;
+    await guard(req, res, () => { nextCalled = true; });
+    return { res, nextCalled };
+}
+
+test('verifyToken accepts its own tokens and rejects tampered, foreign and expired ones', () => {
+    const auth = new AuthService({ database: offline });
+    const token = auth.issueToken(user, inOneHour());
+
+    const claims = auth.verifyToken(token);
+    assert.equal(claims.sub, 'user_1');
+    assert.equal(claims.role, 'counselor');
+
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'user_1', role: 'admin', exp: Date.now() + 60000 })).toString('base64url');
+    assert.equal(auth.verifyToken(`${forged}.${signature}`), null);
+    assert.equal(auth.verifyToken(`${payload}.${signature.slice(0, -2)}`), null);
+    assert.equal(auth.verifyToken(payload), null);
+    assert.equal(auth.verifyToken(undefined), null);
+
+    const other = new AuthService({ database: offline });
+    other.secret = 'another-secret';
+    assert.equal(other.verifyToken(token), null);
+
+    assert.equal(auth.verifyToken(auth.issueToken(user, new Date(Date.now() - 1000))), null);
+});
+
+test('getTokenFromRequest reads a Bearer header or the session cookie and ignores malformed cookies', () => {
+    const auth = new AuthService({ database: offline });
+
+    assert.equal(auth.getTokenFromRequest({ headers: { authorization: 'Bearer abc.def' } }), 'abc.def');
+    assert.equal(auth.getTokenFromRequest({ headers: { cookie: 'theme=dark; fm_admin_session=abc.def' } }), 'abc.def');
+    assert.equal(auth.getTokenFromRequest({ headers: { cookie: 'broken=%E0%A4%A; fm_admin_session=abc.def' } }), 'abc.def');
+    assert.equal(auth.getTokenFromRequest({ headers: { cookie: 'fm_admin_session=%E0%A4%A' } }), null);
+    assert.equal(auth.getTokenFromRequest({ headers: {} }), null);
+});
+
+test('passwords are salted and verified', async () => {
+    const auth = new AuthService({ database: offline });
+    const first = await auth.hashPassword('correct horse');
+    const second = await auth.hashPassword('correct horse');
+
+    assert.notEqual(first, second);
+    assert.equal(await auth.verifyPassword('correct horse', first), true);
+    assert.equal(await auth.verifyPassword('wrong horse', first), false);
+    assert.equal(await auth.verifyPassword('correct horse', 'plain-text'), false);
+});
+
+test('requireRole answers 401 without a session, 403 for other roles and calls next for allowed ones', async () => {
+    const auth = new AuthService({ database: offline });
+    const counselor = await auth.createUser({ email: 'C@Example.com', name: 'Casey', password: 'password123', role: 'counselor' });
+    const { token } = await auth.login('c@example.com', 'password123');
+    const signedIn = { headers: { authorization: `Bearer ${token}` } };
+
+    const anonymous = await runGuard(auth.requireRole('admin'), { headers: {} });
+    assert.equal(anonymous.res.statusCode, 401);
+    assert.equal(anonymous.nextCalled, false);
+
+    const forbidden = await runGuard(auth.requireRole('admin'), signedIn);
+    assert.equal(forbidden.res.statusCode, 403);
+    assert.equal(forbidden.nextCalled, false);
+
+    const allowedReq = { ...signedIn };
+    const allowed = await runGuard(auth.requireRole('admin', 'counselor'), allowedReq);
+    assert.equal(allowed.nextCalled, true);
+    assert.equal(allowedReq.user.userId, counselor.userId);
+
+    assert.equal((await runGuard(auth.requireRole(), { ...signedIn })).nextCalled, true);
+
+    // A deactivated user's session stops working
+    auth.fallbackUsers[0].active = false;
+    assert.equal((await runGuard(auth.requireRole(), { ...signedIn })).res.statusCode, 401);
+});
+
+test('createUser validates input and rejects duplicate emails', async () => {
+    const auth = new AuthService({ database: offline });
+
+    await assert.rejects(auth.createUser({ email: 'a@example.com', name: 'A' }), { statusCode: 400 });
+    await assert.rejects(auth.createUser({ email: 'a@example.com', name: 'A', password: 'password123', role: 'owner' }), { statusCode: 400 });
+    await assert.rejects(auth.createUser({ email: 'a@example.com', name: 'A', password: 'short' }), { statusCode: 400 });
+
+    const created = await auth.createUser({ email: 'a@example.com', name: 'A', password: 'password123' });
+    assert.equal(created.role, 'viewer');
+    assert.equal(created.passwordHash, undefined);
+    await assert.rejects(auth.createUser({ email: ' A@example.com', name: 'A', password: 'password123' }), { statusCode: 409 });
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CampaignService = require('../services/campaign-service');
+
+const { buildAudienceFilter, matchesAudience } = CampaignService;
+const STATUSES = ['new', 'contacted', 'qualified'];
+
+const leads = [
+    { leadId: 'lead_1', status: 'new', emailStatus: 'verified' },
+    { leadId: 'lead_2', status: 'new', emailStatus: 'unverified' },
+    { leadId: 'lead_3', status: 'contacted' }
+];
+const resolve = audience => {
+    const filter = buildAudienceFilter(audience, STATUSES);
+    return leads.filter(lead => matchesAudience(lead, filter)).map(lead => lead.leadId);
+};
+
+test('an all audience leaves out leads that never confirmed their address', () => {
+    assert.deepEqual(resolve({ type: 'all' }), ['lead_1', 'lead_3']);
+    assert.deepEqual(buildAudienceFilter({ type: 'all' }, STATUSES), { emailStatus: { $ne: 'unverified' } });
+});
+
+test('status and selected audiences leave out unconfirmed leads too', () => {
+    assert.deepEqual(resolve({ type: 'status', status: 'new' }), ['lead_1']);
+    assert.deepEqual(resolve({ type: 'selected', leadIds: ['lead_2', 'lead_3'] }), ['lead_3']);
+});
+
+test('buildAudienceFilter rejects invalid audiences with a 400', () => {
+    for (const audience of [{ type: 'status', status: 'lost' }, { type: 'selected', leadIds: [] }, { type: 'everyone' }]) {
+        assert.throws(() => buildAudienceFilter(audience, STATUSES), error => error.statusCode === 400);
+    }
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EmailTracking = require('../services/email-tracking');
+const EmailPreferences = require('../services/email-preferences');
+
+const offline = { getConnectionStatus: () => ({ connected: false }) };
+
+function createPreferences(secret = 'test-secret') {
+    const signer = new EmailTracking({ database: offline, secret });
+    return new EmailPreferences({ database: offline, signer, baseUrl: 'https://app.example.com' });
+}
+
+test('unsubscribe tokens carry the normalized address and lead and reject tampering', () => {
+    const preferences = createPreferences();
+    const token = preferences.createToken(' Ada@Example.com ', 'lead_1');
+
+    assert.deepEqual(preferences.verifyToken(token), { email: 'ada@example.com', leadId: 'lead_1' });
+    assert.equal(preferences.getUnsubscribeUrl(token), `https://app.example.com/api/email/unsubscribe/${token}`);
+
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ e: 'grace@example.com', l: null })).toString('base64url');
+    assert.equal(preferences.verifyToken(`${forged}.${signature}`), null);
+    assert.equal(preferences.verifyToken(token.split('.')[0]), null);
+    assert.equal(preferences.verifyToken('%%%.abc'), null);
+    assert.equal(createPreferences('other-secret').verifyToken(token), null);
+});
+
+test('preference tokens are not valid as tracking tokens and vice versa', () => {
+    const preferences = createPreferences();
+    const signer = preferences.signer;
+
+    const [payload, signature] = preferences.createToken('ada@example.com').split('.');
+    assert.equal(signer.verifyOpenToken(`${payload}.${signature}`), null);
+
+    const openToken = signer.getOpenUrl('msg_1').split('/').pop();
+    assert.equal(preferences.verifyToken(openToken), null);
+});
+
+test('a token whose payload has no address is rejected', () => {
+    const preferences = createPreferences();
+    const payload = Buffer.from(JSON.stringify({ l: 'lead_1' })).toString('base64url');
+
+    assert.equal(preferences.verifyToken(`${payload}.${preferences.signer.sign(`prefs|${payload}`)}`), null);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EmailScheduler = require('../services/email-scheduler');
+
+const offline = { getConnectionStatus: () => ({ connected: false }) };
+const lead = { leadId: 'lead_1', email: 'ada@example.com', name: 'Ada' };
+
+// Make a job that is waiting on a retry due now
+const makeDue = job => { job.runAt = new Date(0); };
+
+test('getRetryDelay doubles per attempt with jitter between half and the full delay, capped at 6h', () => {
+    const scheduler = new EmailScheduler({ database: offline, retryBaseMs: 1000 });
+
+    for (let i = 0; i < 50; i++) {
+        const first = scheduler.getRetryDelay(1);
+        const third = scheduler.getRetryDelay(3);
+        assert.ok(first >= 500 && first <= 1000, `attempt 1 delay ${first}`);
+        assert.ok(third >= 2000 && third <= 4000, `attempt 3 delay ${third}`);
+        assert.ok(scheduler.getRetryDelay(40) <= 6 * 60 * 60 * 1000);
+    }
+});
+
+test('a failed send is retried later and dead-lettered once out of attempts', async () => {
+    let calls = 0;
+    const scheduler = new EmailScheduler({
+        database: offline,
+        maxAttempts: 3,
+        retryBaseMs: 1000,
+        sendJob: async () => { calls++; return { status: 'failed', error: 'SMTP timeout' }; }
+    });
+    const [job] = await scheduler.scheduleSequence(lead, [{ delay: 0, type: 'day3' }]);
+
+    const before = Date.now();
+    assert.equal(await scheduler.processDueJobs(), 1);
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.lastError, 'SMTP timeout');
+    assert.ok(job.runAt.getTime() >= before + 500, 'retry waits for the backoff');
+
+    // Not due yet: nothing is sent
+    assert.equal(await scheduler.processDueJobs(), 0);
+
+    makeDue(job);
+    await scheduler.processDueJobs();
+    makeDue(job);
+    await scheduler.processDueJobs();
+
+    assert.equal(calls, 3);
+    assert.equal(job.status, 'dead_letter');
+    assert.equal(job.failureReason, 'max_attempts');
+    assert.deepEqual((await scheduler.getDeadLetters()).map(j => j.jobId), [job.jobId]);
+});
+
+test('a permanent failure is dead-lettered without a retry and can be requeued', async () => {
+    const scheduler = new EmailScheduler({
+        database: offline,
+        sendJob: async () => ({ status: 'failed', permanent: true, error: 'Mailbox does not exist' })
+    });
+    const [job] = await scheduler.scheduleSequence(lead, [{ delay: 0, type: 'day7' }]);
+
+    await scheduler.processDueJobs();
+    assert.equal(job.status, 'dead_letter');
+    assert.equal(job.failureReason, 'permanent');
+    assert.equal(job.attempts, 1);
+
+    const requeued = await scheduler.requeueJob(job.jobId);
+    assert.equal(requeued.status, 'pending');
+    assert.equal(requeued.attempts, 0);
+    assert.equal(requeued.failureReason, undefined);
+
+    await assert.rejects(scheduler.requeueJob(job.jobId), { statusCode: 409 });
+    assert.equal(await scheduler.requeueJob('job_missing'), null);
+});
+
+test('a thrown sendJob error counts as a failed attempt', async () => {
+    const scheduler = new EmailScheduler({
+        database: offline,
+        sendJob: async () => { throw new Error('Template missing'); }
+    });
+    const [job] = await scheduler.scheduleSequence(lead, [{ delay: 0, type: 'day14' }]);
+
+    await scheduler.processDueJobs();
+    assert.equal(job.status, 'pending');
+    assert.equal(job.lastError, 'Template missing');
+});
+
+test('enqueueFailedSend keeps one open retry job per lead and type', async () => {
+    const scheduler = new EmailScheduler({ database: offline, maxAttempts: 3 });
+    const failure = { status: 'failed', error: 'SMTP timeout' };
+
+    const update = await scheduler.enqueueFailedSend(lead, 'welcome', failure);
+    assert.equal(update.status, 'pending');
+    assert.equal(await scheduler.enqueueFailedSend(lead, 'welcome', failure), null);
+    assert.notEqual(await scheduler.enqueueFailedSend(lead, 'day3', failure), null);
+
+    const welcomeJobs = scheduler.fallbackJobs.filter(job => job.type === 'welcome');
+    assert.equal(welcomeJobs.length, 1);
+    assert.equal(welcomeJobs[0].attempts, 1);
+
+    // Once the queued job has finished, a new failure may queue again
+    welcomeJobs[0].status = 'sent';
+    assert.notEqual(await scheduler.enqueueFailedSend(lead, 'welcome', failure), null);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EmailTemplateEngine = require('../services/email-template-engine');
+
+const TEMPLATES = {
+    version: 2,
+    partials: {
+        greeting: 'Hi {{name}},',
+        signoff: ['', '{{> team}}'],
+        team: 'The Scaler Team',
+        loop: '{{> loop}}'
+    },
+    templates: {
+        welcome: {
+            subject: 'Welcome {{name}} & friends',
+            template: ['{{> greeting}}', '**Your plan** for {{interest}}{{> signoff}}'],
+            data: { interest: 'AI' }
+        }
+    }
+};
+
+const templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-templates-'));
+test.after(() => fs.rmSync(templatesDir, { recursive: true, force: true }));
+
+function createEngine() {
+    const templatesPath = path.join(templatesDir, 'email-templates.json');
+    fs.writeFileSync(templatesPath, JSON.stringify(TEMPLATES));
+    return new EmailTemplateEngine(templatesPath);
+}
+
+const render = (text, data) => createEngine().renderString(text, data, { markdown: false });
+
+test('render fills defaults, partials and markdown, and keeps the subject as plain text', () => {
+    const email = createEngine().render('welcome', { name: 'Ada <3' });
+
+    assert.equal(email.subject, 'Welcome Ada <3 & friends');
+    assert.equal(email.content, 'Hi Ada &lt;3,<br><strong>Your plan</strong> for AI<br>The Scaler Team');
+    assert.throws(() => createEngine().render('missing'), { statusCode: 404 });
+});
+
+test('variables are HTML-escaped, markdown markers included, unless triple-braced', () => {
+    const engine = createEngine();
+    const data = { name: '<script>alert("x")</script> *bold*', link: '<a href="/go">Go</a>' };
+
+    const html = engine.renderString('{{name}} {{{link}}}', data);
+    assert.equal(html, '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &#42;bold&#42; <a href="/go">Go</a>');
+    assert.equal(EmailTemplateEngine.escapeHtml("O'Brien & Co"), 'O&#39;Brien &amp; Co');
+});
+
+test('if, unless and comparisons pick the right branch', () => {
+    const text = '{{#if interest == "mlops"}}Ops{{else}}Other{{/if}}|{{#unless paid}}Free{{/unless}}|{{#if tags}}Tagged{{else}}None{{/if}}';
+
+    assert.equal(render(text, { interest: 'mlops', paid: true, tags: ['a'] }), 'Ops||Tagged');
+    assert.equal(render(text, { interest: 'data', tags: [] }), 'Other|Free|None');
+});
+
+test('each exposes this, item fields and loop positions while outer values stay visible', () => {
+    const text = '{{#each roadmap.phases}}{{@number}}. {{title}} for {{name}}{{#unless @last}}, {{/unless}}{{/each}} / {{#each tags}}{{@index}}={{this}} {{/each}}';
+    const data = {
+        name: 'Ada',
+        roadmap: { phases: [{ title: 'Python' }, { title: '<ML>' }] },
+        tags: ['x', 'y']
+    };
+
+    assert.equal(render(text, data), '1. Python for Ada, 2. &lt;ML&gt; for Ada / 0=x 1=y ');
+    assert.equal(render('{{#each missing}}never{{/each}}', {}), '');
+});
+
+test('missing values render empty and inherited object properties are not looked up', () => {
+    assert.equal(render('[{{nothing}}][{{constructor}}][{{roadmap.timeline}}]', { roadmap: null }), '[][][]');
+});
+
+test('validate reports malformed templates and partials cannot recurse forever', () => {
+    const engine = createEngine();
+
+    assert.deepEqual(engine.validate('{{#if name}}Hi'), ['Unclosed "{{#if}}"']);
+    assert.deepEqual(engine.validate('{{#each a}}x{{/if}}'), ['Unexpected "{{/if}}"']);
+    assert.deepEqual(engine.validate('{{else}}'), ['"{{else}}" outside of an if block']);
+    assert.deepEqual(engine.validate('{{#with a}}{{/with}}'), ['Unsupported block "{{#with a}}"']);
+    assert.deepEqual(engine.validate('{{#if name}}Hi {{name}}{{/if}}'), []);
+
+    assert.throws(() => render('{{> loop}}', {}), /nested more than 5 deep/);
+    assert.throws(() => render('{{> unknown}}', {}), /Unknown email partial "unknown"/);
+});
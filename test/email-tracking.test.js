@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EmailTracking = require('../services/email-tracking');
+
+const offline = { getConnectionStatus: () => ({ connected: false }) };
+const createTracking = (secret = 'test-secret') => new EmailTracking({ database: offline, baseUrl: 'https://app.example.com/', secret });
+
+test('open pixel tokens verify only for the tracking id they were signed for', () => {
+    const tracking = createTracking();
+    const url = tracking.getOpenUrl('msg_1');
+    assert.ok(url.startsWith('https://app.example.com/api/email/open/msg_1.'));
+
+    const token = url.split('/').pop();
+    assert.equal(tracking.verifyOpenToken(token), 'msg_1');
+    assert.equal(tracking.verifyOpenToken(`${token}.gif`), 'msg_1');
+    assert.equal(tracking.verifyOpenToken(token.replace('msg_1', 'msg_2')), null);
+    assert.equal(tracking.verifyOpenToken('msg_1'), null);
+    assert.equal(tracking.verifyOpenToken(undefined), null);
+    assert.equal(createTracking('other-secret').verifyOpenToken(token), null);
+});
+
+test('click links are signed over the tracking id and target and only redirect to http(s)', () => {
+    const tracking = createTracking();
+    const target = 'https://scaler.com/ai?utm=a&b=1';
+    const params = new URL(tracking.getClickUrl('msg_1', target)).searchParams;
+
+    assert.equal(params.get('u'), target);
+    assert.equal(tracking.verifyClick(params.get('m'), params.get('u'), params.get('s')), true);
+    assert.equal(tracking.verifyClick('msg_1', 'https://evil.example.com/', params.get('s')), false);
+    assert.equal(tracking.verifyClick('msg_2', target, params.get('s')), false);
+
+    const script = 'javascript:alert(1)';
+    assert.equal(tracking.verifyClick('msg_1', script, tracking.sign(`click|msg_1|${script}`)), false);
+});
+
+test('instrumentHtml tracks external links and adds the pixel but leaves links back to the app alone', () => {
+    const tracking = createTracking();
+    const html = tracking.instrumentHtml(
+        '<body><a href="https://scaler.com/?a=1&amp;b=2">Go</a> <a href="https://app.example.com/api/email/unsubscribe/t">Unsubscribe</a></body>',
+        'msg_1'
+    );
+
+    assert.ok(html.includes(`href="${tracking.getClickUrl('msg_1', 'https://scaler.com/?a=1&b=2').replace(/&/g, '&amp;')}"`));
+    assert.ok(html.includes('href="https://app.example.com/api/email/unsubscribe/t"'));
+    assert.ok(html.endsWith(`<img src="${tracking.getOpenUrl('msg_1')}" width="1" height="1" alt="" style="display:none;border:0;"></body>`));
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FunnelMetrics = require('../services/funnel-metrics');
+
+const { parseFormula } = FunnelMetrics;
+
+test('parseFormula collects the event names a formula uses', () => {
+    const formula = parseFormula('(lead_captured + lead_returned) / page_view * 100');
+    assert.deepEqual(formula.identifiers.sort(), ['lead_captured', 'lead_returned', 'page_view']);
+});
+
+test('parseFormula applies operator precedence, parentheses and unary minus', () => {
+    assert.equal(parseFormula('a + b * c').evaluate({ a: 1, b: 2, c: 3 }), 7);
+    assert.equal(parseFormula('(a + b) * c').evaluate({ a: 1, b: 2, c: 3 }), 9);
+    assert.equal(parseFormula('a - b - c').evaluate({ a: 10, b: 3, c: 2 }), 5);
+    assert.equal(parseFormula('-a + 2.5').evaluate({ a: 1 }), 1.5);
+});
+
+test('parseFormula counts missing events as zero', () => {
+    assert.equal(parseFormula('lead_captured / page_view * 100').evaluate({ lead_captured: 5, page_view: 20 }), 25);
+    assert.equal(parseFormula('lead_captured + page_view').evaluate({ page_view: 4 }), 4);
+});
+
+test('parseFormula returns null instead of dividing by zero', () => {
+    assert.equal(parseFormula('lead_captured / page_view * 100').evaluate({ lead_captured: 5 }), null);
+    assert.equal(parseFormula('1 + a / (b - b)').evaluate({ a: 1, b: 2 }), null);
+});
+
+test('parseFormula rejects malformed formulas instead of evaluating them', () => {
+    assert.throws(() => parseFormula('lead_captured /'), /Unexpected end of formula/);
+    assert.throws(() => parseFormula('(a + b'), /Missing "\)"/);
+    assert.throws(() => parseFormula('a b'), /Unexpected "b"/);
+    assert.throws(() => parseFormula('process.exit(1)'), /Unexpected "\."/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findDuplicateGroups } = require('../services/lead-dedup');
+
+const sortGroups = groups => groups
+    .map(group => ({ leadIds: [...group.leadIds].sort(), matchedOn: [...group.matchedOn].sort() }))
+    .sort((a, b) => a.leadIds[0].localeCompare(b.leadIds[0]));
+
+test('findDuplicateGroups matches emails case-insensitively and phones on their last digits', () => {
+    const groups = findDuplicateGroups([
+        { leadId: 'a', email: 'Ada@Example.com', phone: '' },
+        { leadId: 'b', email: ' ada@example.com ', phone: '' },
+        { leadId: 'c', email: 'grace@example.com', phone: '+91 98765 43210' },
+        { leadId: 'd', email: 'hopper@example.com', phone: '098765-43210' },
+        { leadId: 'e', email: 'solo@example.com', phone: '98765 43211' }
+    ]);
+
+    assert.deepEqual(sortGroups(groups), [
+        { leadIds: ['a', 'b'], matchedOn: ['email'] },
+        { leadIds: ['c', 'd'], matchedOn: ['phone'] }
+    ]);
+});
+
+test('findDuplicateGroups joins leads transitively across email and phone matches', () => {
+    // a-c share an email, c-d a phone; b-e share an email, and e-a a phone,
+    // which joins both chains into one group
+    const groups = findDuplicateGroups([
+        { leadId: 'a', email: 'ada@example.com', phone: '555 0100 111' },
+        { leadId: 'b', email: 'grace@example.com', phone: '' },
+        { leadId: 'c', email: 'ADA@example.com', phone: '555 0100 222' },
+        { leadId: 'd', email: 'hopper@example.com', phone: '5550100222' },
+        { leadId: 'e', email: 'grace@example.com', phone: '(555) 0100-111' },
+        { leadId: 'f', email: 'other@example.com', phone: '555 0100 333' }
+    ]);
+
+    assert.deepEqual(sortGroups(groups), [
+        { leadIds: ['a', 'b', 'c', 'd', 'e'], matchedOn: ['email', 'phone'] }
+    ]);
+});
+
+test('findDuplicateGroups ignores blank emails and phone numbers too short to compare', () => {
+    const groups = findDuplicateGroups([
+        { leadId: 'a', email: '', phone: '12345' },
+        { leadId: 'b', email: '', phone: '12345' }
+    ]);
+
+    assert.deepEqual(groups, []);
+});
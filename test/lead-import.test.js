@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../services/lead-import');
+
+test('parseCsv splits records and fields', () => {
+    assert.deepEqual(parseCsv('name,email\nAda,ada@example.com\n'), [
+        ['name', 'email'],
+        ['Ada', 'ada@example.com']
+    ]);
+});
+
+test('parseCsv keeps commas, escaped quotes and line breaks inside quoted fields', () => {
+    assert.deepEqual(parseCsv('name,notes\n"Lovelace, Ada","Said ""hi""\nthen left"\n'), [
+        ['name', 'notes'],
+        ['Lovelace, Ada', 'Said "hi"\nthen left']
+    ]);
+});
+
+test('parseCsv handles CRLF line endings and a missing final newline', () => {
+    assert.deepEqual(parseCsv('name,email\r\nAda,ada@example.com\r\nGrace,grace@example.com'), [
+        ['name', 'email'],
+        ['Ada', 'ada@example.com'],
+        ['Grace', 'grace@example.com']
+    ]);
+});
+
+test('parseCsv strips a leading byte order mark', () => {
+    const [headers] = parseCsv('\uFEFFemail,name\nada@example.com,Ada');
+    assert.deepEqual(headers, ['email', 'name']);
+});
+
+test('parseCsv drops blank lines but keeps empty fields', () => {
+    assert.deepEqual(parseCsv('name,phone\n\nAda,\n , \n'), [
+        ['name', 'phone'],
+        ['Ada', '']
+    ]);
+});
+
+test('parseCsv rejects an unterminated quoted field', () => {
+    assert.throws(() => parseCsv('name,notes\nAda,"never closed\n'), /Unterminated quoted field/);
+});
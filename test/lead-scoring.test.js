@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LeadScorer = require('../services/lead-scoring');
+
+const CONFIG = {
+    version: 3,
+    maxScore: 100,
+    factors: {
+        assessment: {
+            label: 'Assessment Answers',
+            maxPoints: 60,
+            questions: {
+                career_goal: { weight: 3, values: { switch_to_ai: 1, start_tech: 0.5 } },
+                timeline: { weight: 1, values: { immediately: 1, within_quarter: 0.2 } }
+            }
+        },
+        engagement: { label: 'Engagement', maxPoints: 20, events: { page_view: 1, assessment_started: 5 } },
+        email: { label: 'Email', maxPoints: 20, events: { email_opened: 2, email_clicked: 5 } }
+    }
+};
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-scoring-'));
+test.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+function createScorer(config = CONFIG) {
+    const configPath = path.join(configDir, `config-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return new LeadScorer(configPath);
+}
+
+test('scoreLead weighs answers and caps each event factor at its maxPoints', () => {
+    const result = createScorer().scoreLead({
+        assessmentAnswers: { career_goal: 'switch_to_ai', timeline: 'within_quarter' },
+        engagementEvents: { page_view: 3, assessment_started: 4, email_opened: 1 }
+    });
+
+    // Assessment: (3 * 1 + 1 * 0.2) / 4 * 60 = 48; engagement 3 + 20 capped at 20; email 2
+    assert.equal(result.breakdown.assessment.points, 48);
+    assert.deepEqual(result.breakdown.assessment.details, { career_goal: 3, timeline: 0.2 });
+    assert.equal(result.breakdown.engagement.points, 20);
+    assert.deepEqual(result.breakdown.email.details, { email_opened: 2 });
+    assert.equal(result.score, 70);
+    assert.equal(result.version, 3);
+});
+
+test('scoreLead gives unknown or prototype-named answers no points instead of NaN', () => {
+    const scorer = createScorer();
+    for (const answer of ['constructor', '__proto__', 'toString', 'hasOwnProperty', 'not_an_option']) {
+        const result = scorer.scoreLead({ assessmentAnswers: { career_goal: answer, timeline: answer } });
+        assert.equal(result.score, 0, answer);
+        assert.deepEqual(result.breakdown.assessment.details, { career_goal: 0, timeline: 0 });
+    }
+});
+
+test('scoreLead clamps the total to maxScore and handles leads without answers or events', () => {
+    const scorer = createScorer({ ...CONFIG, maxScore: 50 });
+    assert.equal(scorer.scoreLead({
+        assessmentAnswers: { career_goal: 'switch_to_ai', timeline: 'immediately' },
+        engagementEvents: { assessment_started: 10, email_clicked: 10 }
+    }).score, 50);
+    assert.equal(scorer.scoreLead({}).score, 0);
+});
+
+test('getScoredEvents lists the engagement and email events', () => {
+    assert.deepEqual(createScorer().getScoredEvents(), ['page_view', 'assessment_started', 'email_opened', 'email_clicked']);
+});